@@ -3,22 +3,36 @@ const path = require('path');
 const OpinionTradeSDK = require('./src/sdk/OpinionTradeSDK');
 const OrderBookAPI = require('./src/sdk/OrderBookAPI');
 const TopicAPI = require('./src/sdk/TopicAPI');
+const { defaultLogger } = require('./src/logger');
+const { snapPriceToTick } = require('./src/sdk/tradingRules');
 
 /**
  * 自动库存清理管理器
  * 负责追踪订单并在完全成交后自动挂反向清理单
  */
 class AutoClearManager {
-  constructor(sdkInstance = null, topicId = null) {
+  /**
+   * @param {OpinionTradeSDK} [sdkInstance] - SDK 实例
+   * @param {string} [topicId] - Topic ID
+   * @param {Object} [options]
+   * @param {Logger} [options.logger] - 日志实例（见 src/logger）
+   */
+  constructor(sdkInstance = null, topicId = null, options = {}) {
+    const { logger = defaultLogger } = options;
     this.sdk = sdkInstance;
-    this.topicAPI = new TopicAPI();
+    this.logger = logger.child({ component: 'AutoClearManager', topicId });
+    this.topicAPI = new TopicAPI(undefined, { logger });
     this.topicId = topicId;
     this.trackedOrders = new Map(); // orderId -> orderInfo
+    // 看板推送来的最新盘口: `${topicId}:${position}` -> { book, receivedAt }
+    this.latestBooks = new Map();
 
     // 创建存储目录和文件路径
     this.storageDir = path.join(__dirname, '.autoclear_data');
+    // 模拟盘的追踪订单单独存储，避免与实盘订单ID冲突
+    const isPaper = !!(sdkInstance && sdkInstance.isPaperMode && sdkInstance.isPaperMode());
     if (topicId) {
-      this.storageFile = path.join(this.storageDir, `topic_${topicId}.json`);
+      this.storageFile = path.join(this.storageDir, `topic_${topicId}${isPaper ? '_paper' : ''}.json`);
     } else {
       // 兼容旧版本（无 topicId）
       this.storageFile = path.join(__dirname, '.autoclear_tracked.json');
@@ -38,7 +52,7 @@ class AutoClearManager {
           await fs.mkdir(this.storageDir, { recursive: true });
         } catch (error) {
           if (error.code !== 'EEXIST') {
-            console.error('⚠️  创建存储目录失败:', error.message);
+            this.logger.error('创建存储目录失败', { error });
           }
         }
       }
@@ -52,15 +66,13 @@ class AutoClearManager {
         this.trackedOrders.set(parseInt(orderId), orderInfo);
       }
 
-      const topicInfo = this.topicId ? ` (Topic ${this.topicId})` : '';
-      console.log(`✓ AutoClearManager${topicInfo}: 已加载 ${this.trackedOrders.size} 个追踪订单`);
+      this.logger.info(`已加载 ${this.trackedOrders.size} 个追踪订单`);
       this.isInitialized = true;
     } catch (error) {
       if (error.code === 'ENOENT') {
-        const topicInfo = this.topicId ? ` (Topic ${this.topicId})` : '';
-        console.log(`✓ AutoClearManager${topicInfo}: 初始化（无历史追踪订单）`);
+        this.logger.info('初始化（无历史追踪订单）');
       } else {
-        console.error('⚠️  AutoClearManager: 加载追踪订单失败:', error.message);
+        this.logger.error('加载追踪订单失败', { error });
       }
       this.isInitialized = true;
     }
@@ -75,7 +87,7 @@ class AutoClearManager {
       const obj = Object.fromEntries(this.trackedOrders);
       await fs.writeFile(this.storageFile, JSON.stringify(obj, null, 2), 'utf-8');
     } catch (error) {
-      console.error('⚠️  AutoClearManager: 保存追踪订单失败:', error.message);
+      this.logger.error('保存追踪订单失败', { error });
     }
   }
 
@@ -89,12 +101,14 @@ class AutoClearManager {
    * @param {number} params.side - 1=BUY, 2=SELL
    * @param {string} params.price - 成交价格
    * @param {string} params.amount - 订单数量
+   * @param {string} [params.orderHash] - EIP-712 订单哈希（用于与本地记录对账）
    */
   async trackOrder(params) {
-    const { orderId, topicId, position, side, price, amount } = params;
+    const { orderId, topicId, position, side, price, amount, orderHash = null } = params;
 
     const orderInfo = {
       orderId,
+      orderHash,
       topicId,
       position,
       side,
@@ -103,13 +117,14 @@ class AutoClearManager {
       trackedAt: new Date().toISOString(),
       status: 'pending', // pending | filled | clearing | cleared | error
       errorMessage: null,
-      reverseOrderId: null // 反向订单ID
+      reverseOrderId: null, // 反向订单ID
+      reverseOrderHash: null // 反向订单哈希
     };
 
     this.trackedOrders.set(orderId, orderInfo);
     await this.save();
 
-    console.log(`✓ AutoClearManager: 开始追踪订单 #${orderId} (${side === 1 ? 'BUY' : 'SELL'} ${position} @${price})`);
+    this.logger.info(`开始追踪订单 #${orderId} (${side === 1 ? 'BUY' : 'SELL'} ${position} @${price})`, { orderId, orderHash });
 
     return orderInfo;
   }
@@ -156,7 +171,7 @@ class AutoClearManager {
 
         // 如果 USDT 成交金额接近总金额，说明是完全成交（不是取消）
         if (filledUsdt >= totalUsdt * 0.999) { // 允许0.1%误差
-          console.log(`🔔 订单 #${orderId} 完全成交！准备清理库存...`);
+          this.logger.info(`订单 #${orderId} 完全成交，准备清理库存`, { orderId });
 
           // 计算实际的 shares 数量：USDT 金额 / 价格
           const priceDecimal = trackedOrder.price / 100; // 转换为小数格式（90.00 -> 0.90）
@@ -168,13 +183,13 @@ class AutoClearManager {
           trackedOrder.filledUsdt = filledUsdt; // 存储 USDT 金额
           hasChanges = true;
 
-          console.log(`  成交数量: ${sharesAmount.toFixed(4)} shares (${filledUsdt.toFixed(4)} USDT @ ${priceDecimal.toFixed(4)})`);
+          this.logger.info('成交数量', { orderId, shares: sharesAmount, usdt: filledUsdt, price: priceDecimal });
 
           // 触发反向挂单
           await this.createReverseClearOrder(trackedOrder);
         } else {
           // 订单被取消或部分取消
-          console.log(`⚠️  订单 #${orderId} 未完全成交 (${filledUsdt.toFixed(4)}/${totalUsdt.toFixed(4)} USDT)，跳过清理`);
+          this.logger.warn(`订单 #${orderId} 未完全成交 (${filledUsdt.toFixed(4)}/${totalUsdt.toFixed(4)} USDT)，跳过清理`, { orderId });
         }
       }
     }
@@ -198,7 +213,7 @@ class AutoClearManager {
 
       // 只有买单成交后才需要清理（卖出库存）
       if (side !== 1) {
-        console.log(`⚠️  订单 #${trackedOrder.orderId} 是卖单，无需清理库存`);
+        this.logger.warn(`订单 #${trackedOrder.orderId} 是卖单，无需清理库存`, { orderId: trackedOrder.orderId });
         trackedOrder.status = 'cleared';
         await this.save();
         return;
@@ -213,24 +228,27 @@ class AutoClearManager {
       const costPrice = costPricePercent / 100;
 
       // 获取当前盘口
-      const topicInfo = await this.topicAPI.getTopicInfo(topicId);
-      const orderBookConfig = await this.topicAPI.getOrderBookConfig(topicId);
-      const orderBookAPI = new OrderBookAPI(orderBookConfig);
-
-      const orderBook = await orderBookAPI.getOrderBook(position);
+      const orderBook = this.getRecentOrderBook(topicId, position) || await this.fetchOrderBook(topicId, position);
 
       if (orderBook.error || !orderBook.bids || !orderBook.asks) {
         throw new Error(`无法获取订单簿: ${orderBook.error || '数据缺失'}`);
       }
 
-      // 计算清理价格（传入小数格式）
-      const clearPrice = this.calculateClearPrice(costPrice, orderBook);
+      // 计算清理价格（传入小数格式，按话题价格步长对齐）
+      const { tickSize } = await this.sdk.getTradingRules(topicId);
+      const clearPrice = this.calculateClearPrice(costPrice, orderBook, tickSize);
 
       if (!clearPrice) {
         throw new Error('无法计算安全的清理价格（盘口异常）');
       }
 
-      console.log(`📊 清理价格计算：成本=${costPrice.toFixed(4)}, 买1=${orderBook.bids[0]?.price.toFixed(4)}, 卖1=${orderBook.asks[0]?.price.toFixed(4)} → 目标=${clearPrice.toFixed(4)}`);
+      this.logger.info('清理价格计算', {
+        orderId: trackedOrder.orderId,
+        costPrice,
+        bestBid: orderBook.bids[0]?.price,
+        bestAsk: orderBook.asks[0]?.price,
+        clearPrice
+      });
 
       // 挂反向清理单（卖出）- 使用实际成交的 shares 数量
       const result = await this.sdk.sellByTopic({
@@ -242,14 +260,19 @@ class AutoClearManager {
 
       trackedOrder.status = 'cleared';
       trackedOrder.reverseOrderId = result.result?.orderData?.orderId || null;
+      trackedOrder.reverseOrderHash = result.orderHash || null;
       trackedOrder.reversePrice = clearPrice;
       trackedOrder.reverseShares = filledShares;
       trackedOrder.clearedAt = new Date().toISOString();
 
-      console.log(`✅ 清理订单已提交！订单ID: ${trackedOrder.reverseOrderId}, 价格: ${clearPrice.toFixed(4)}, 数量: ${filledShares.toFixed(4)} shares`);
+      this.logger.info(`清理订单已提交！订单ID: ${trackedOrder.reverseOrderId}, 价格: ${clearPrice.toFixed(4)}, 数量: ${filledShares.toFixed(4)} shares`, {
+        orderId: trackedOrder.orderId,
+        reverseOrderId: trackedOrder.reverseOrderId,
+        reverseOrderHash: trackedOrder.reverseOrderHash
+      });
 
     } catch (error) {
-      console.error(`❌ 创建清理订单失败:`, error.message);
+      this.logger.error('创建清理订单失败', { orderId: trackedOrder.orderId, error });
       trackedOrder.status = 'error';
       trackedOrder.errorMessage = error.message;
     } finally {
@@ -257,21 +280,63 @@ class AutoClearManager {
     }
   }
 
+  /**
+   * 接收看板的盘口更新（见 OrderBookStream），挂清理单时优先使用
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {string} position - 'YES' 或 'NO'
+   * @param {object} orderBook - 订单簿数据
+   */
+  handleOrderBook(topicId, position, orderBook) {
+    if (!orderBook || orderBook.error) return;
+    this.latestBooks.set(`${topicId}:${position}`, { book: orderBook, receivedAt: Date.now() });
+  }
+
+  /**
+   * 最近收到的盘口（超过 maxAgeMs 视为过期）
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {string} position - 'YES' 或 'NO'
+   * @param {number} [maxAgeMs=10000] - 最大允许的数据年龄
+   * @returns {object|null} 订单簿数据
+   */
+  getRecentOrderBook(topicId, position, maxAgeMs = 10000) {
+    const entry = this.latestBooks.get(`${topicId}:${position}`);
+    if (!entry || Date.now() - entry.receivedAt > maxAgeMs) {
+      return null;
+    }
+    return entry.book;
+  }
+
+  /**
+   * 通过 REST 拉取盘口（没有新鲜的推送数据时使用）
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {string} position - 'YES' 或 'NO'
+   * @returns {object} 订单簿数据
+   */
+  async fetchOrderBook(topicId, position) {
+    const orderBookConfig = await this.topicAPI.getOrderBookConfig(topicId);
+    const orderBookAPI = new OrderBookAPI(orderBookConfig, { logger: this.logger });
+    return await orderBookAPI.getOrderBook(position);
+  }
+
   /**
    * 计算清理价格
    *
    * @param {number} costPrice - 成本价格
    * @param {object} orderBook - 订单簿数据
+   * @param {number} [tickSize=0.001] - 价格最小变动单位
    * @returns {number|null} 清理价格，如果无法安全挂单则返回 null
    */
-  calculateClearPrice(costPrice, orderBook) {
+  calculateClearPrice(costPrice, orderBook, tickSize = 0.001) {
     if (!orderBook.bids || orderBook.bids.length === 0) {
-      console.error('❌ 无买单，无法计算清理价格');
+      this.logger.error('无买单，无法计算清理价格');
       return null;
     }
 
     if (!orderBook.asks || orderBook.asks.length === 0) {
-      console.error('❌ 无卖单，无法计算清理价格');
+      this.logger.error('无卖单，无法计算清理价格');
       return null;
     }
 
@@ -292,12 +357,12 @@ class AutoClearManager {
 
     // 3. 最终安全检查（确保不会挂到买盘上变成市价成交）
     if (targetPrice <= bestBid) {
-      console.error(`❌ 计算的清理价格 ${targetPrice.toFixed(4)} <= 买1 ${bestBid.toFixed(4)}，无法安全挂单`);
+      this.logger.error(`计算的清理价格 ${targetPrice.toFixed(4)} <= 买1 ${bestBid.toFixed(4)}，无法安全挂单`);
       return null;
     }
 
-    // 4. 精度修正（保留3位小数）
-    targetPrice = Math.round(targetPrice * 1000) / 1000;
+    // 4. 精度修正（向上对齐到价格步长，保证不低于成本价）
+    targetPrice = snapPriceToTick(targetPrice, tickSize, 'up');
 
     return targetPrice;
   }
@@ -330,7 +395,7 @@ class AutoClearManager {
     if (this.trackedOrders.has(orderId)) {
       this.trackedOrders.delete(orderId);
       await this.save();
-      console.log(`✓ 已移除追踪订单 #${orderId}`);
+      this.logger.info(`已移除追踪订单 #${orderId}`, { orderId });
       return true;
     }
     return false;
@@ -342,7 +407,7 @@ class AutoClearManager {
   async clearAll() {
     this.trackedOrders.clear();
     await this.save();
-    console.log('✓ 已清空所有追踪订单');
+    this.logger.info('已清空所有追踪订单');
   }
 
   /**
@@ -2,7 +2,7 @@ const { ethers } = require('ethers');
 
 /**
  * 预测市场库存管理系统
- * 用于查询BSC链上的NFT和USDT余额
+ * 用于查询BSC链上的NFT、USDT及其他计价币种余额
  */
 class InventoryManager {
   constructor(rpcUrl = 'https://bsc.publicnode.com') {
@@ -20,7 +20,8 @@ class InventoryManager {
         'function balanceOf(address owner) view returns (uint256)',
         'function decimals() view returns (uint8)',
         'function symbol() view returns (string)',
-        'function name() view returns (string)'
+        'function name() view returns (string)',
+        'function allowance(address owner, address spender) view returns (uint256)'
       ],
       erc721: [
         'function balanceOf(address owner) view returns (uint256)',
@@ -30,7 +31,8 @@ class InventoryManager {
       erc1155: [
         'function balanceOf(address account, uint256 id) view returns (uint256)',
         'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
-        'function supportsInterface(bytes4 interfaceId) view returns (bool)'
+        'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+        'function isApprovedForAll(address account, address operator) view returns (bool)'
       ]
     };
 
@@ -39,26 +41,58 @@ class InventoryManager {
       usdt: new ethers.Contract(this.config.usdt, this.abis.erc20, this.provider),
       nft: new ethers.Contract(this.config.nft, this.abis.erc1155, this.provider)
     };
+
+    // ERC20 代币元数据缓存: address -> { decimals, symbol }
+    this.tokenMetadata = new Map();
   }
 
   /**
-   * 获取USDT余额
+   * 获取ERC20代币的精度和符号（链上读取后缓存，已知的字段不再查询）
+   * @param {string} tokenAddress - 代币合约地址
+   * @param {Object} [known] - 已知的 { decimals, symbol }
+   * @returns {Object} { decimals, symbol }
+   */
+  async getTokenMetadata(tokenAddress, known = {}) {
+    const key = tokenAddress.toLowerCase();
+    if (!this.tokenMetadata.has(key)) {
+      const contract = new ethers.Contract(key, this.abis.erc20, this.provider);
+      const decimals = known.decimals ?? await contract.decimals();
+      const symbol = known.symbol ?? await contract.symbol();
+      this.tokenMetadata.set(key, { decimals: Number(decimals), symbol });
+    }
+    return this.tokenMetadata.get(key);
+  }
+
+  /**
+   * 获取ERC20代币余额
    * @param {string} address - 账户地址
+   * @param {string} tokenAddress - 代币合约地址
+   * @param {Object} [known] - 已知的 { decimals, symbol }，省略时从链上读取
    * @returns {Object} 余额信息
    */
-  async getUSDTBalance(address) {
-    const balance = await this.contracts.usdt.balanceOf(address);
-    const decimals = await this.contracts.usdt.decimals();
-    const symbol = await this.contracts.usdt.symbol();
+  async getTokenBalance(address, tokenAddress, known = {}) {
+    const { decimals, symbol } = await this.getTokenMetadata(tokenAddress, known);
+    const contract = new ethers.Contract(tokenAddress.toLowerCase(), this.abis.erc20, this.provider);
+    const balance = await contract.balanceOf(address);
 
     return {
+      address: tokenAddress.toLowerCase(),
       raw: balance.toString(),
       formatted: ethers.formatUnits(balance, decimals),
       symbol: symbol,
-      decimals: Number(decimals)
+      decimals: decimals
     };
   }
 
+  /**
+   * 获取USDT余额
+   * @param {string} address - 账户地址
+   * @returns {Object} 余额信息
+   */
+  async getUSDTBalance(address) {
+    return this.getTokenBalance(address, this.config.usdt);
+  }
+
   /**
    * 获取单个NFT token的余额 (ERC1155)
    * @param {string} address - 账户地址
@@ -80,39 +114,130 @@ class InventoryManager {
    * 批量获取NFT余额 (ERC1155)
    * @param {string} address - 账户地址
    * @param {Array<string|number>} tokenIds - Token ID数组
+   * @param {number} [decimals=18] - 精度（outcome token 与其计价币种精度相同）
    * @returns {Array<Object>} NFT余额信息数组
    */
-  async getNFTBalances(address, tokenIds) {
+  async getNFTBalances(address, tokenIds, decimals = 18) {
     const addresses = new Array(tokenIds.length).fill(address);
     const balances = await this.contracts.nft.balanceOfBatch(addresses, tokenIds);
 
     return tokenIds.map((tokenId, index) => ({
       tokenId: tokenId.toString(),
       raw: balances[index].toString(),
-      formatted: ethers.formatEther(balances[index]),
+      formatted: ethers.formatUnits(balances[index], decimals),
       address: address
     }));
   }
 
+  /**
+   * 获取ERC20代币授权额度
+   * @param {string} owner - 持有人地址
+   * @param {string} spender - 被授权地址
+   * @param {string} tokenAddress - 代币合约地址
+   * @param {Object} [known] - 已知的 { decimals, symbol }
+   * @returns {Object} { address, spender, raw, formatted, symbol, decimals }
+   */
+  async getAllowance(owner, spender, tokenAddress, known = {}) {
+    const { decimals, symbol } = await this.getTokenMetadata(tokenAddress, known);
+    const contract = new ethers.Contract(tokenAddress.toLowerCase(), this.abis.erc20, this.provider);
+    const allowance = await contract.allowance(owner, spender);
+
+    return {
+      address: tokenAddress.toLowerCase(),
+      spender: spender,
+      raw: allowance.toString(),
+      formatted: ethers.formatUnits(allowance, decimals),
+      symbol: symbol,
+      decimals: decimals
+    };
+  }
+
+  /**
+   * 查询NFT (ERC1155) 是否已对 operator 授权全部 token
+   * @param {string} owner - 持有人地址
+   * @param {string} operator - 被授权地址
+   * @returns {boolean}
+   */
+  async isApprovedForAll(owner, operator) {
+    return await this.contracts.nft.isApprovedForAll(owner, operator);
+  }
+
+  /**
+   * 检查交易所下单所需的授权
+   * 计价币种授权额度为 0 或低于余额（超出部分的买单会失败），以及 NFT 未 setApprovalForAll，都计入 missing
+   *
+   * @param {string} owner - 持有人地址（Safe）
+   * @param {string} spender - 交易所合约地址
+   * @param {Array<Object>} [collaterals] - 额外检查的计价币种 [{ address, decimals?, symbol? }]，USDT 总是检查
+   * @returns {Object} { ok, tokens: [{ address, symbol, allowance, balance, ok }], nft: { address, approved }, missing: [{ type, address, symbol }] }
+   */
+  async checkApprovals(owner, spender, collaterals = []) {
+    const tokenList = [{ address: this.config.usdt }, ...collaterals]
+      .filter((token, index, list) => list.findIndex(other => other.address.toLowerCase() === token.address.toLowerCase()) === index);
+
+    const tokens = [];
+    for (const token of tokenList) {
+      const [allowance, balance] = await Promise.all([
+        this.getAllowance(owner, spender, token.address, token),
+        this.getTokenBalance(owner, token.address, token)
+      ]);
+      const allowanceRaw = BigInt(allowance.raw);
+      tokens.push({
+        address: allowance.address,
+        symbol: allowance.symbol,
+        allowance: allowance.formatted,
+        balance: balance.formatted,
+        ok: allowanceRaw > 0n && allowanceRaw >= BigInt(balance.raw)
+      });
+    }
+
+    const nft = {
+      address: this.config.nft,
+      approved: await this.isApprovedForAll(owner, spender)
+    };
+
+    const missing = [
+      ...tokens.filter(token => !token.ok).map(token => ({ type: 'erc20', address: token.address, symbol: token.symbol })),
+      ...(nft.approved ? [] : [{ type: 'erc1155', address: nft.address, symbol: 'NFT' }])
+    ];
+
+    return { ok: missing.length === 0, tokens, nft, missing };
+  }
+
   /**
    * 获取完整的库存信息
    * @param {string} address - 账户地址
    * @param {Array<string|number>} tokenIds - 可选的Token ID数组
-   * @returns {Object} 完整库存信息
+   * @param {Array<Object>} [collaterals] - 额外查询的计价币种 [{ address, decimals?, symbol? }]，
+   *   第一个视为 tokenIds 所属市场的计价币种（决定 NFT 精度）
+   * @returns {Object} 完整库存信息 { address, usdt, collaterals, nfts }
    */
-  async getFullInventory(address, tokenIds = []) {
+  async getFullInventory(address, tokenIds = [], collaterals = []) {
     const inventory = {
       address: address,
       usdt: null,
+      collaterals: [],
       nfts: []
     };
 
     // 获取USDT余额
     inventory.usdt = await this.getUSDTBalance(address);
+    inventory.collaterals.push(inventory.usdt);
+
+    // 获取其他计价币种余额
+    for (const collateral of collaterals) {
+      if (inventory.collaterals.some(entry => entry.address === collateral.address.toLowerCase())) {
+        continue;
+      }
+      inventory.collaterals.push(await this.getTokenBalance(address, collateral.address, collateral));
+    }
 
     // 获取NFT余额
     if (tokenIds.length > 0) {
-      inventory.nfts = await this.getNFTBalances(address, tokenIds);
+      const marketCollateral = collaterals[0]
+        ? inventory.collaterals.find(entry => entry.address === collaterals[0].address.toLowerCase())
+        : inventory.usdt;
+      inventory.nfts = await this.getNFTBalances(address, tokenIds, marketCollateral.decimals);
     }
 
     return inventory;
@@ -136,9 +261,11 @@ class InventoryManager {
     output.push(`账户地址: ${inventory.address}`);
     output.push('');
 
-    // 打印USDT余额
-    output.push('【USDT余额】');
-    output.push(`  余额: ${inventory.usdt.formatted} ${inventory.usdt.symbol}`);
+    // 打印计价币种余额
+    output.push('【币种余额】');
+    (inventory.collaterals || [inventory.usdt]).forEach(balance => {
+      output.push(`  ${balance.symbol}: ${balance.formatted}`);
+    });
     output.push('');
 
     // 打印NFT库存
@@ -156,7 +283,7 @@ class InventoryManager {
         const label = tokenLabels[nft.tokenId] || `Token ${index + 1}`;
         output.push(`  ${label}:`);
         output.push(`    ID: ${nft.tokenId}`);
-        output.push(`    数量: ${nft.formatted} ether`);
+        output.push(`    数量: ${nft.formatted}`);
         output.push('');
       });
     } else {
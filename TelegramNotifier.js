@@ -1,17 +1,26 @@
 const { HttpClient } = require('./src/network');
+const { defaultLogger } = require('./src/logger');
 
 /**
  * Telegram 通知器
  * 用于向指定的 Telegram 聊天发送通知消息
  */
 class TelegramNotifier {
-  constructor(botToken, chatId) {
+  /**
+   * @param {string} botToken - Bot token
+   * @param {string} chatId - 聊天 ID
+   * @param {Object} [options]
+   * @param {Logger} [options.logger] - 日志实例（见 src/logger）
+   */
+  constructor(botToken, chatId, options = {}) {
+    const { logger = defaultLogger } = options;
     this.botToken = botToken;
     this.chatId = chatId;
     this.enabled = !!(botToken && chatId);
+    this.logger = logger.child({ component: 'TelegramNotifier' });
 
     if (!this.enabled) {
-      console.warn('⚠️  Telegram 通知未配置，通知功能已禁用');
+      this.logger.warn('Telegram 通知未配置，通知功能已禁用');
     }
 
     // 创建专用的 HTTP 客户端（不检查 API 错误码，因为 Telegram API 使用不同的格式）
@@ -53,12 +62,11 @@ class TelegramNotifier {
       if (result.ok) {
         return true;
       } else {
-        console.error('Telegram API 错误:', result.description);
-        console.error('错误代码:', result.error_code);
+        this.logger.error('Telegram API 错误', { description: result.description, errorCode: result.error_code });
         return false;
       }
     } catch (error) {
-      console.error('发送 Telegram 消息失败:', error.message);
+      this.logger.error('发送 Telegram 消息失败', { error });
       return false;
     }
   }
@@ -157,17 +165,17 @@ ${content}
    */
   async test() {
     if (!this.enabled) {
-      console.log('Telegram 通知未启用');
+      this.logger.info('Telegram 通知未启用');
       return false;
     }
 
-    console.log('正在测试 Telegram 连接...');
+    this.logger.info('正在测试 Telegram 连接...');
     const success = await this.sendMessage('🤖 Telegram 通知测试\n\n✅ 连接成功！');
 
     if (success) {
-      console.log('✅ Telegram 通知测试成功');
+      this.logger.info('Telegram 通知测试成功');
     } else {
-      console.log('❌ Telegram 通知测试失败');
+      this.logger.error('Telegram 通知测试失败');
     }
 
     return success;
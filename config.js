@@ -21,6 +21,45 @@ module.exports = {
   orderbook: {
     apiUrl: 'https://proxy.opinion.trade:8443/api/bsc/api/v2/order/market/depth',
     chainId: '56',
-    refreshInterval: 7000  // 自动刷新间隔（毫秒）
+    refreshInterval: 7000,  // 自动刷新间隔（毫秒）
+    // 深度推送 WebSocket 地址，未配置或连接不上时回退为轮询
+    wsUrl: process.env.ORDERBOOK_WS_URL || null,
+    // 事件历史中的盘口动态：只记录最优 depth 档以内、数量变化不小于 minAmount 的挂单变化和推断成交
+    activity: {
+      enabled: true,
+      depth: 3,
+      minAmount: 0
+    }
+  },
+
+  // 交易规则（下单签名前校验）
+  // 话题数据中返回的规则优先于这里的默认值；topics 中可按 topicId 单独覆盖
+  tradingRules: {
+    tickSize: 0.001,    // 价格最小变动单位（0-1）
+    minShares: 0.01,    // 最小下单数量
+    minNotional: 0,     // 最小下单金额（0 = 不限制）
+    topics: {
+      // 789: { tickSize: 0.01, minNotional: 5 }
+    }
+  },
+
+  // 手续费率（基点，签入订单的 feeRateBps）
+  // 话题数据中返回的费率优先于这里的默认值；topics 中可按 topicId 单独覆盖
+  fees: {
+    feeRateBps: 0,
+    topics: {
+      // 789: { feeRateBps: 200 }
+    }
+  },
+
+  // 盈亏核算
+  profitLoss: {
+    costMethod: 'average'  // 持仓成本算法：'average'（加权平均）或 'fifo'（先进先出）
+  },
+
+  // 计价币种（话题的 currencyAddress）
+  // USDT 已内置；话题数据未返回精度的其他代币需在这里登记，否则拒绝下单
+  collaterals: {
+    // '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d': { decimals: 18, symbol: 'USDC' }
   }
 };
@@ -0,0 +1,121 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const OpinionTradeSDK = require('./src/sdk/OpinionTradeSDK');
+const { reportToCsv, reportToJson } = require('./src/sdk/accountReport');
+const { loadSignerFromEnv } = require('./tradingDashboard');
+const { createLogger } = require('./src/logger');
+const config = require('./config');
+
+/**
+ * 账户盈亏报表导出
+ *
+ * 用法:
+ *   npm run pnl-report -- [--format csv|json] [--out 文件] [--wallet 地址] [--method average|fifo] [--offline]
+ *
+ * 汇总钱包在所有话题的成交（来自本地成交账本，默认先增量同步），
+ * 不指定 --out 时打印汇总表，指定后按格式写入文件（默认 CSV）
+ */
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+  const args = { format: 'csv', out: null, wallet: null, method: config.profitLoss.costMethod, offline: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') args.format = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--wallet') args.wallet = argv[++i];
+    else if (arg === '--method') args.method = argv[++i];
+    else if (arg === '--offline') args.offline = true;
+    else throw new Error(`未知参数: ${arg}`);
+  }
+
+  if (args.format !== 'csv' && args.format !== 'json') {
+    throw new Error('--format 只支持 csv 或 json');
+  }
+
+  return args;
+}
+
+/**
+ * 在终端打印汇总表
+ */
+function printSummary(report) {
+  console.log(`钱包: ${report.walletAddress}  (成本算法: ${report.costMethod})`);
+  if (report.syncError) {
+    console.log(`⚠️  同步失败，使用本地账本数据: ${report.syncError}`);
+  }
+  console.log();
+  console.log(`${'Topic'.padEnd(8)} ${'币种'.padEnd(6)} ${'笔数'.padStart(4)} ${'流入'.padStart(12)} ${'流出'.padStart(12)} ${'手续费'.padStart(9)} ${'净盈亏'.padStart(10)}  标题`);
+
+  report.topics.forEach(topic => {
+    console.log([
+      topic.topicId.padEnd(8),
+      topic.currency.padEnd(8),
+      String(topic.tradeCount).padStart(6),
+      topic.totalInflow.toFixed(4).padStart(14),
+      topic.totalOutflow.toFixed(4).padStart(14),
+      topic.totalFees.toFixed(4).padStart(12),
+      topic.profitLoss.toFixed(4).padStart(13),
+      ` ${topic.title || '(未知话题)'}`
+    ].join(' '));
+  });
+
+  console.log();
+  Object.entries(report.totals).forEach(([currency, totals]) => {
+    console.log(`合计 ${currency}: ${totals.topicCount} 个话题  ${totals.tradeCount} 笔  流入 ${totals.totalInflow.toFixed(4)}  流出 ${totals.totalOutflow.toFixed(4)}  手续费 ${totals.totalFees.toFixed(4)}  净盈亏 ${totals.profitLoss.toFixed(4)}`);
+  });
+
+  if (report.totals.UNKNOWN) {
+    console.log('⚠️  UNKNOWN: 话题信息获取失败、计价币种未知，这些话题未计入其他币种合计');
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // 日志走 stderr（warn 及以上），避免混进导出内容
+  const logger = createLogger({ level: process.env.LOG_LEVEL || 'warn' });
+
+  const signer = await loadSignerFromEnv();
+  if (!signer) {
+    throw new Error('请先在 .env 中配置签名后端（PRIVATE_KEY 等），报表按签名地址查询成交');
+  }
+
+  const sdk = new OpinionTradeSDK({
+    signer,
+    logger,
+    makerAddress: process.env.MAKER_ADDRESS,
+    authorizationToken: process.env.AUTHORIZATION_TOKEN,
+    auth: {
+      loginUrl: process.env.AUTH_LOGIN_URL
+    },
+    collaterals: config.collaterals
+  });
+
+  const report = await sdk.getAccountProfitLoss({
+    walletAddress: args.wallet || undefined,
+    sync: !args.offline,
+    costMethod: args.method
+  });
+
+  if (!args.out) {
+    printSummary(report);
+    return;
+  }
+
+  const content = args.format === 'json' ? reportToJson(report) : reportToCsv(report);
+  fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+  fs.writeFileSync(args.out, content, 'utf-8');
+  console.log(`已导出 ${report.topics.length} 个话题到 ${args.out}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('错误:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,195 @@
+require('dotenv').config();
+const OpinionTradeSDK = require('./src/sdk/OpinionTradeSDK');
+const InventoryManager = require('./InventoryManager');
+const { EXCHANGE_ADDRESS } = require('./src/sdk/constants');
+const { loadSignerFromEnv } = require('./tradingDashboard');
+const { createLogger } = require('./src/logger');
+const config = require('./config');
+
+/**
+ * 链上持仓操作（通过 Gnosis Safe 执行）
+ *
+ * 用法:
+ *   npm run positions -- split <topicId> <金额> [--dry-run]
+ *   npm run positions -- merge <topicId> <数量|max> [--dry-run]
+ *   npm run positions -- redeem <topicId> [--dry-run]
+ *   npm run positions -- redeem-all [topicId...] [--dry-run]
+ *   npm run positions -- approve [--dry-run]
+ *
+ * split: 用计价币种拆分出等量的 YES + NO
+ * merge: 把成对的 YES + NO 合并回计价币种，max 表示合并 Safe 中全部成对持仓
+ * redeem: 话题结算后把持有的 YES / NO 赎回为计价币种
+ * redeem-all: 检查成交账本中的全部话题（或指定的话题），逐个赎回已结算的
+ * approve: 检查并补齐 Safe 对交易所的授权（USDT 及 config.collaterals 中的币种、NFT）
+ * --dry-run 只构造交易并打印 calldata，不签名不发送
+ */
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+  const args = { command: null, topicId: null, amount: null, topicIds: [], dryRun: false };
+  const positional = [];
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg.startsWith('--')) throw new Error(`未知参数: ${arg}`);
+    else positional.push(arg);
+  }
+
+  [args.command, args.topicId, args.amount] = positional;
+
+  if (args.command === 'redeem-all') {
+    args.topicIds = positional.slice(1);
+    return args;
+  }
+  if (args.command === 'approve') {
+    return args;
+  }
+  if (args.command === 'redeem') {
+    if (!args.topicId) throw new Error('缺少 topicId');
+    return args;
+  }
+  if (args.command !== 'split' && args.command !== 'merge') {
+    throw new Error('用法: positions <split|merge|redeem|redeem-all|approve> ... [--dry-run]');
+  }
+  if (!args.topicId || !args.amount) {
+    throw new Error('缺少 topicId 或数量');
+  }
+  if (args.command === 'split' && args.amount === 'max') {
+    throw new Error('split 需要指定金额');
+  }
+
+  return args;
+}
+
+/**
+ * 打印执行结果
+ */
+function printResult(result) {
+  const label = { split: '拆分', merge: '合并', redeem: '赎回' }[result.action];
+  console.log(`${label} Topic ${result.topicId}: ${result.amount}`);
+  if (result.preview) {
+    result.preview.positions.forEach(position => {
+      console.log(`  ${position.outcome}: 持有 ${position.balance}  赔付比例 ${position.payoutRatio}  可赎回 ${position.redeemable}`);
+    });
+  }
+  console.log(`Safe:        ${result.safeAddress}`);
+  console.log(`Safe nonce:  ${result.safeTx.nonce}`);
+  console.log(`safeTxHash:  ${result.safeTxHash}`);
+  console.log(`调用合约:    ${result.call.to}`);
+  console.log(`calldata:    ${result.call.data}`);
+
+  if (result.dryRun) {
+    console.log('(dry run，未发送)');
+  } else {
+    console.log(`交易哈希:    ${result.txHash} (区块 ${result.blockNumber})`);
+  }
+}
+
+/**
+ * 打印批量赎回结果
+ */
+function printRedeemAll(report) {
+  console.log(`检查 ${report.checked} 个话题，可赎回 ${report.redeemable} 个`);
+  report.previewErrors.forEach(({ topicId, error }) => {
+    console.log(`⚠️  Topic ${topicId} 查询失败: ${error}`);
+  });
+
+  report.results.forEach(item => {
+    console.log();
+    if (item.ok) {
+      printResult(item.result);
+    } else {
+      console.log(`❌ Topic ${item.topicId} ${item.title || ''} 赎回失败 (${item.amount} ${item.currency}): ${item.error}`);
+    }
+  });
+
+  if (report.results.length > 0) {
+    console.log();
+    console.log(`完成: 成功 ${report.succeeded}，失败 ${report.failed}`);
+  }
+}
+
+/**
+ * 检查交易所授权，缺少的通过 Safe 补齐
+ */
+async function approve(sdk, dryRun) {
+  const inventoryManager = new InventoryManager(config.rpc);
+  const collaterals = Object.entries(config.collaterals).map(([address, known]) => ({ address, ...known }));
+  const status = await inventoryManager.checkApprovals(sdk.getMakerAddress(), EXCHANGE_ADDRESS, collaterals);
+
+  status.tokens.forEach(token => {
+    console.log(`${token.ok ? '✅' : '❌'} ${token.symbol}: 授权额度 ${token.allowance}，余额 ${token.balance}`);
+  });
+  console.log(`${status.nft.approved ? '✅' : '❌'} NFT: ${status.nft.approved ? '已' : '未'} setApprovalForAll`);
+
+  if (status.ok) {
+    console.log('授权完整，无需操作');
+    return;
+  }
+
+  const results = await sdk.grantApprovals(status.missing, { dryRun });
+  results.forEach(result => {
+    console.log();
+    console.log(result.description);
+    console.log(`safeTxHash:  ${result.safeTxHash}`);
+    console.log(`calldata:    ${result.call.data}`);
+    console.log(result.dryRun ? '(dry run，未发送)' : `交易哈希:    ${result.txHash} (区块 ${result.blockNumber})`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const logger = createLogger({ level: process.env.LOG_LEVEL || 'warn' });
+
+  const signer = await loadSignerFromEnv();
+  if (!signer) {
+    throw new Error('请先在 .env 中配置签名后端（PRIVATE_KEY 等），交易由 Safe 的 owner 签名发送');
+  }
+
+  const sdk = new OpinionTradeSDK({
+    signer,
+    logger,
+    makerAddress: process.env.MAKER_ADDRESS,
+    authorizationToken: process.env.AUTHORIZATION_TOKEN,
+    auth: {
+      loginUrl: process.env.AUTH_LOGIN_URL
+    },
+    collaterals: config.collaterals,
+    rpcUrl: config.rpc
+  });
+
+  const options = { dryRun: args.dryRun };
+
+  if (args.command === 'approve') {
+    await approve(sdk, args.dryRun);
+    return;
+  }
+
+  if (args.command === 'redeem-all') {
+    printRedeemAll(await sdk.redeemAllResolved({
+      ...options,
+      topicIds: args.topicIds.length > 0 ? args.topicIds : undefined
+    }));
+    return;
+  }
+
+  let result;
+  if (args.command === 'split') {
+    result = await sdk.splitPosition(args.topicId, args.amount, options);
+  } else if (args.command === 'merge') {
+    result = await sdk.mergePositions(args.topicId, args.amount, options);
+  } else {
+    result = await sdk.redeemPositions(args.topicId, options);
+  }
+
+  printResult(result);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('错误:', error.message);
+    process.exit(1);
+  });
+}
@@ -72,6 +72,24 @@ class PanelBase {
     return width;
   }
 
+  /**
+   * 辅助方法：格式化订单有效期
+   * @param {number} ttlSeconds - 有效期（秒），0 表示长期有效（GTC）
+   * @returns {string} 例如 "GTC"、"45m"、"3h12m"
+   */
+  formatDuration(ttlSeconds) {
+    if (!ttlSeconds || ttlSeconds <= 0) return 'GTC';
+    const hours = Math.floor(ttlSeconds / 3600);
+    const minutes = Math.floor((ttlSeconds % 3600) / 60);
+    if (hours >= 24) {
+      return `${Math.floor(hours / 24)}d${hours % 24}h`;
+    }
+    if (hours > 0) {
+      return `${hours}h${minutes}m`;
+    }
+    return minutes > 0 ? `${minutes}m` : `${Math.floor(ttlSeconds)}s`;
+  }
+
   /**
    * 辅助方法：移除ANSI转义码
    */
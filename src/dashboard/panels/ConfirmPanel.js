@@ -1,4 +1,5 @@
 const PanelBase = require('../PanelBase');
+const { VolumeType } = require('../../sdk/constants');
 
 /**
  * 确认订单面板
@@ -14,7 +15,7 @@ class ConfirmPanel extends PanelBase {
   }
 
   render(context) {
-    const { topicId, currentView, selectedOrderData, priceAdjustment, inputBuffer, interactionMode, submitMessage, autoClearEnabled, autoClearManager } = context;
+    const { topicId, currentView, selectedOrderData, priceAdjustment, inputBuffer, interactionMode, submitMessage, autoClearEnabled, autoClearManager, orderTtlSeconds, inputVolumeType } = context;
     const lines = [];
 
     lines.push('');
@@ -23,49 +24,85 @@ class ConfirmPanel extends PanelBase {
     lines.push('├─────────────────────────────────────────────────────────────────────────────────┤');
 
     if (selectedOrderData) {
-      const actionLabel = selectedOrderData.side === 'ask' ? 'SELL (卖出)' : 'BUY (买入)';
-      const adjustedPrice = selectedOrderData.order.price + (priceAdjustment * 0.001);
+      const isTake = !!selectedOrderData.take;
+      const isBuy = isTake ? selectedOrderData.side === 'ask' : selectedOrderData.side === 'bid';
+      const actionLabel = isBuy ? 'BUY (买入)' : 'SELL (卖出)';
+      const adjustedPrice = context.getAdjustedPrice();
       const pricePercent = (adjustedPrice * 100).toFixed(2);
-      const shares = parseFloat(inputBuffer);
-      const totalValue = (shares * adjustedPrice).toFixed(4);
+      // 金额模式：输入的是计价币种金额，shares 由限价换算
+      const { symbol } = context.collateral;
+      const isAmount = inputVolumeType === VolumeType.AMOUNT;
+      const shares = isAmount ? context.getInputShares() : parseFloat(inputBuffer);
+      const totalValue = isAmount ? parseFloat(inputBuffer).toFixed(4) : (shares * adjustedPrice).toFixed(4);
+
+      lines.push(this.padLine(`  Topic ID: ${topicId}`));
+      lines.push(this.padLine(`  Position: ${currentView}`));
+      lines.push(this.padLine(`  操作: ${actionLabel}${isTake ? ' 吃单(市价)' : ''}`));
+      lines.push(this.padLine(''));
+
+      if (isTake) {
+        // 吃单：展示按盘口深度预估的成交均价
+        const fill = context.estimateTakeFill(inputBuffer, inputVolumeType);
+        lines.push(this.padLine(`  最差价: ${adjustedPrice.toFixed(4)} (${pricePercent}%)`));
+        if (isAmount) {
+          lines.push(this.padLine(`  金额: ${totalValue} ${symbol}`));
+        } else {
+          lines.push(this.padLine(`  数量: ${shares.toFixed(4)} shares`));
+        }
+        if (fill.error) {
+          lines.push(this.padLine(`  \x1b[31m无法成交: ${fill.error}\x1b[0m`));
+        } else if (isAmount) {
+          lines.push(this.padLine(`  预计均价: ${fill.avgPrice.toFixed(4)}  预计数量: ${fill.shares.toFixed(4)} shares`));
+        } else {
+          lines.push(this.padLine(`  预计均价: ${fill.avgPrice.toFixed(4)}  预计总额: ${fill.amount.toFixed(4)} ${symbol}`));
+        }
+        if (!fill.error) {
+          lines.push(this.formatFeeLine(context, fill.amount, isBuy, symbol));
+        }
+      } else {
+        if (priceAdjustment !== 0) {
+          const adjustmentStr = priceAdjustment > 0 ? `+${priceAdjustment}` : `${priceAdjustment}`;
+          lines.push(this.padLine(`  价格: ${adjustedPrice.toFixed(4)} (${pricePercent}%) [原价${selectedOrderData.order.price.toFixed(4)} ${adjustmentStr}tick]`));
+        } else {
+          lines.push(this.padLine(`  价格: ${adjustedPrice.toFixed(4)} (${pricePercent}%)`));
+        }
 
-      lines.push(`│  Topic ID: ${topicId}`.padEnd(84) + '│');
-      lines.push(`│  Position: ${currentView}`.padEnd(84) + '│');
-      lines.push(`│  操作: ${actionLabel}`.padEnd(84) + '│');
-      lines.push('│'.padEnd(84) + '│');
+        if (isAmount) {
+          lines.push(this.padLine(`  数量: ${shares.toFixed(4)} shares (按金额换算)`));
+          lines.push(this.padLine(`  金额: ${totalValue} ${symbol}`));
+        } else {
+          lines.push(this.padLine(`  数量: ${shares.toFixed(4)} shares`));
+          lines.push(this.padLine(`  总价值: ${totalValue} ${symbol}`));
+        }
+        lines.push(this.formatFeeLine(context, parseFloat(totalValue), isBuy, symbol));
 
-      if (priceAdjustment !== 0) {
-        const adjustmentStr = priceAdjustment > 0 ? `+${priceAdjustment}` : `${priceAdjustment}`;
-        lines.push(`│  价格: ${adjustedPrice.toFixed(4)} (${pricePercent}%) [原价${selectedOrderData.order.price.toFixed(4)} ${adjustmentStr}tick]`.padEnd(108) + '│');
-      } else {
-        lines.push(`│  价格: ${adjustedPrice.toFixed(4)} (${pricePercent}%)`.padEnd(84) + '│');
+        if (orderTtlSeconds > 0) {
+          const expiresAt = new Date(Date.now() + orderTtlSeconds * 1000).toLocaleString('zh-CN');
+          lines.push(this.padLine(`  有效期: ${this.formatDuration(orderTtlSeconds)} (至 ${expiresAt})`));
+        } else {
+          lines.push(this.padLine(`  有效期: GTC (长期有效)`));
+        }
       }
+      lines.push(this.padLine(''));
 
-      lines.push(`│  数量: ${shares.toFixed(4)} shares`.padEnd(84) + '│');
-      lines.push(`│  总价值: ${totalValue} USDT`.padEnd(84) + '│');
-      lines.push('│'.padEnd(84) + '│');
-
-      // 显示自动清理状态（仅对买单有效）
-      if (selectedOrderData.side === 'bid' && autoClearManager) {
+      // 显示自动清理状态（仅对买单挂单有效）
+      if (selectedOrderData.side === 'bid' && !isTake && autoClearManager) {
         let statusLine;
         if (autoClearEnabled) {
           // 启用：绿色背景 + 白色文字
-          statusLine = `│  \x1b[42m\x1b[97m ✅ 成交后反向订单: 已启用 \x1b[0m`;
-          const padding = 82 - 21; // 显示宽度
-          lines.push(statusLine + ' '.repeat(padding) + '│');
+          statusLine = `  \x1b[42m\x1b[97m ✅ 成交后反向订单: 已启用 \x1b[0m`;
         } else {
           // 未启用：灰色文字
-          statusLine = `│  \x1b[90m❌ 成交后反向订单: 未启用\x1b[0m`;
-          const padding = 82 - 20;
-          lines.push(statusLine + ' '.repeat(padding) + '│');
+          statusLine = `  \x1b[90m❌ 成交后反向订单: 未启用\x1b[0m`;
         }
-        lines.push('│'.padEnd(84) + '│');
+        lines.push(this.padLine(statusLine));
+        lines.push(this.padLine(''));
       }
 
       if (interactionMode === 'submitting') {
-        lines.push('│  📤 提交订单中，请稍候...'.padEnd(84) + '│');
+        lines.push(this.padLine('  📤 提交订单中，请稍候...'));
       } else {
-        lines.push('│  [Enter] 提交订单  |  [ESC] 返回修改'.padEnd(84) + '│');
+        lines.push(this.padLine('  [Enter] 提交订单  |  [ESC] 返回修改'));
       }
     }
 
@@ -79,13 +116,31 @@ class ConfirmPanel extends PanelBase {
     return { lines, width: 84 };
   }
 
+  /**
+   * 手续费行：费率、预计手续费，以及买入合计支出 / 卖出扣费后的净收入
+   */
+  formatFeeLine(context, amount, isBuy, symbol) {
+    const { fee, net, feeRateBps } = context.estimateFee(amount);
+    const netLabel = isBuy ? '合计支出' : '净收入';
+    return this.padLine(`  手续费: ${fee.toFixed(4)} ${symbol} (${(feeRateBps / 100).toFixed(2)}%)  ${netLabel}: ${net.toFixed(4)} ${symbol}`);
+  }
+
+  /**
+   * 按显示宽度填充一行并补上左右边框（忽略颜色码，中文按两格计）
+   */
+  padLine(content) {
+    const displayWidth = this.getDisplayWidth(this.stripAnsi(content));
+    const padding = 82 - displayWidth; // 82 = 84 - 2 (边框)
+    return '│' + content + ' '.repeat(Math.max(0, padding)) + '│';
+  }
+
   buildGridItems(context) {
     // 确认面板不参与网格选择
     return [];
   }
 
   getDimensions(context) {
-    let height = 13; // 基本行数
+    let height = 15; // 基本行数（含手续费行）
     if (context.priceAdjustment !== 0) {
       height += 1; // 价格调整说明行
     }
@@ -2,7 +2,7 @@ const PanelBase = require('../PanelBase');
 
 /**
  * 事件历史面板
- * 显示交易事件历史（虚拟滚动）
+ * 显示交易事件历史和盘口动态（虚拟滚动）
  */
 class EventHistoryPanel extends PanelBase {
   constructor(dashboard) {
@@ -86,6 +86,16 @@ class EventHistoryPanel extends PanelBase {
           message = `\x1b[35m新单\x1b[0m ${event.side} ${event.outcome} @${event.price}`;
           break;
 
+        case 'market_trade':
+          // 从盘口消耗推断的成交
+          const tradeColor = event.side === 'BUY' ? '\x1b[32m' : '\x1b[31m';
+          message = `\x1b[33m成交\x1b[0m ${event.outcome} ${tradeColor}${event.side}\x1b[0m ${event.amount.toFixed(2)} @${event.price.toFixed(4)}`;
+          break;
+
+        case 'market_level':
+          message = `\x1b[90m盘口\x1b[0m ${event.outcome} ${event.side === 'bid' ? '买' : '卖'} @${event.price.toFixed(4)} ${this.formatLevelChange(event)}`;
+          break;
+
         default:
           message = `未知: ${event.type}`;
       }
@@ -102,6 +112,21 @@ class EventHistoryPanel extends PanelBase {
     return { lines, width: 58 };
   }
 
+  /**
+   * 格式化档位变化：新增 / 移除 / 数量增减
+   */
+  formatLevelChange(event) {
+    if (event.kind === 'added') {
+      return `\x1b[32m新增 ${event.amount.toFixed(2)}\x1b[0m`;
+    }
+    if (event.kind === 'removed') {
+      return `\x1b[31m移除 ${event.previousAmount.toFixed(2)}\x1b[0m`;
+    }
+    const sign = event.delta > 0 ? '+' : '';
+    const colorCode = event.delta > 0 ? '\x1b[32m' : '\x1b[31m';
+    return `${colorCode}${sign}${event.delta.toFixed(2)}\x1b[0m → ${event.amount.toFixed(2)}`;
+  }
+
   buildGridItems(context) {
     const { eventHistory, openOrders } = context;
     const items = [];
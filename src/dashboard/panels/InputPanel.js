@@ -1,4 +1,5 @@
 const PanelBase = require('../PanelBase');
+const { VolumeType } = require('../../sdk/constants');
 
 /**
  * 输入数量面板
@@ -61,7 +62,7 @@ class InputPanel extends PanelBase {
   }
 
   render(context) {
-    const { currentView, selectedOrderData, inputBuffer, priceAdjustment, submitMessage, autoClearEnabled, autoClearManager } = context;
+    const { currentView, selectedOrderData, inputBuffer, priceAdjustment, submitMessage, autoClearEnabled, autoClearManager, orderTtlSeconds, inputVolumeType } = context;
     const lines = [];
     const BOX_WIDTH = 82; // 内容区域宽度（不含边框）
 
@@ -71,10 +72,12 @@ class InputPanel extends PanelBase {
     lines.push('├─────────────────────────────────────────────────────────────────────────────────┤');
 
     if (selectedOrderData) {
+      const isTake = !!selectedOrderData.take;
+      const isAmount = inputVolumeType === VolumeType.AMOUNT;
       const sideLabel = selectedOrderData.side === 'ask' ? '卖单' : '买单';
-      const actionLabel = selectedOrderData.side === 'ask' ? 'SELL' : 'BUY';
+      const actionLabel = this.isBuyAction(selectedOrderData) ? 'BUY' : 'SELL';
       const basePrice = selectedOrderData.order.price;
-      const adjustedPrice = basePrice + (priceAdjustment * 0.001);
+      const adjustedPrice = context.getAdjustedPrice();
       const pricePercent = (adjustedPrice * 100).toFixed(2);
 
       // 第一行：显示选中的订单信息
@@ -88,27 +91,77 @@ class InputPanel extends PanelBase {
       lines.push('│' + this.padToWidth(orderInfoLine, BOX_WIDTH) + '│');
 
       // 第二行：操作类型
-      const actionLine = `  操作: ${actionLabel} (作为Maker挂单)`;
+      const actionLine = isTake
+        ? `  操作: ${actionLabel} (吃单，最差价 ${basePrice.toFixed(4)})`
+        : `  操作: ${actionLabel} (作为Maker挂单)`;
       lines.push('│' + this.padToWidth(actionLine, BOX_WIDTH) + '│');
       lines.push('│' + ' '.repeat(BOX_WIDTH) + '│');
 
-      // 第三行：输入数量
-      const maxAmount = this.calculateMaxAmount(context);
-      const inputLine = `  输入Shares数量: ${inputBuffer}_     (最大: ${maxAmount.toFixed(2)})`;
+      // 第三行：输入数量（买入时可按U切换为计价币种金额）
+      const { symbol } = context.collateral;
+      let inputLine;
+      if (isAmount) {
+        const maxSpend = this.calculateMaxSpend(context);
+        inputLine = `  输入${symbol}金额: ${inputBuffer}_     (最大: ${maxSpend.toFixed(2)})     (按U改为数量)`;
+      } else {
+        const maxAmount = this.calculateMaxAmount(context);
+        const toggleHint = this.isBuyAction(selectedOrderData) ? '     (按U改为金额)' : '';
+        inputLine = `  输入Shares数量: ${inputBuffer}_     (最大: ${maxAmount.toFixed(2)})${toggleHint}`;
+      }
       lines.push('│' + this.padToWidth(inputLine, BOX_WIDTH) + '│');
+
+      // 有效期（吃单立即成交，无有效期）
+      if (!isTake) {
+        const expiryLabel = orderTtlSeconds > 0 ? `${this.formatDuration(orderTtlSeconds)} 后自动失效` : 'GTC (长期有效)';
+        const expiryLine = `  有效期: ${expiryLabel}     (按E切换)`;
+        lines.push('│' + this.padToWidth(expiryLine, BOX_WIDTH) + '│');
+      }
       lines.push('│' + ' '.repeat(BOX_WIDTH) + '│');
 
-      // 预计成本
+      // 预计成本（金额模式下为预计得到的数量）
       if (inputBuffer && !isNaN(parseFloat(inputBuffer))) {
         const shares = parseFloat(inputBuffer);
-        const estimatedCost = (shares * adjustedPrice).toFixed(4);
-        const costLine = `  预计成本: ~${estimatedCost} USDT`;
-        lines.push('│' + this.padToWidth(costLine, BOX_WIDTH) + '│');
+        let costLine;
+        // 订单成交额（用于估算手续费），无法估算时为 null
+        let orderValue = null;
+        if (isAmount && isTake) {
+          const fill = context.estimateTakeFill(inputBuffer, VolumeType.AMOUNT);
+          costLine = fill.error
+            ? `  \x1b[31m无法成交: ${fill.error}\x1b[0m`
+            : `  预计成交: 均价 ${fill.avgPrice.toFixed(4)}  约 ${fill.shares.toFixed(2)} shares`;
+          orderValue = fill.error ? null : fill.amount;
+        } else if (isAmount) {
+          const estimatedShares = context.getInputShares();
+          costLine = estimatedShares > 0
+            ? `  预计数量: ≈${estimatedShares.toFixed(4)} shares (按 ${pricePercent}% 换算)`
+            : `  \x1b[31m金额太小，按当前价格买不到 0.01 shares\x1b[0m`;
+          orderValue = estimatedShares > 0 ? shares : null;
+        } else if (isTake) {
+          const fill = context.estimateTakeFill(shares);
+          costLine = fill.error
+            ? `  \x1b[31m无法成交: ${fill.error}\x1b[0m`
+            : `  预计成交: 均价 ${fill.avgPrice.toFixed(4)}  合计 ~${fill.amount.toFixed(4)} ${symbol}`;
+          orderValue = fill.error ? null : fill.amount;
+        } else {
+          const estimatedCost = (shares * adjustedPrice).toFixed(4);
+          costLine = `  预计成本: ~${estimatedCost} ${symbol}`;
+          orderValue = shares * adjustedPrice;
+        }
+        const costPadding = Math.max(0, BOX_WIDTH - this.getDisplayWidth(this.stripAnsi(costLine)));
+        lines.push('│' + costLine + ' '.repeat(costPadding) + '│');
+
+        // 手续费及扣费后的净额
+        if (orderValue !== null) {
+          const { fee, net, feeRateBps } = context.estimateFee(orderValue);
+          const netLabel = this.isBuyAction(selectedOrderData) ? '合计支出' : '净收入';
+          const feeLine = `  手续费: ~${fee.toFixed(4)} ${symbol} (${(feeRateBps / 100).toFixed(2)}%)     ${netLabel}: ~${net.toFixed(4)} ${symbol}`;
+          lines.push('│' + this.padToWidth(feeLine, BOX_WIDTH) + '│');
+        }
         lines.push('│' + ' '.repeat(BOX_WIDTH) + '│');
       }
 
-      // 显示自动清理选项（仅对买单有效）
-      if (selectedOrderData.side === 'bid' && autoClearManager) {
+      // 显示自动清理选项（仅对买单挂单有效）
+      if (selectedOrderData.side === 'bid' && !isTake && autoClearManager) {
         const checkbox = autoClearEnabled ? '☑' : '☐';
         const optionText = `${checkbox} 成交后反向订单(按TAB切换)`;
         const textDisplayWidth = this.getDisplayWidth(optionText);
@@ -130,10 +183,12 @@ class InputPanel extends PanelBase {
 
     // 帮助文本
     let helpText;
-    if (selectedOrderData && selectedOrderData.side === 'bid' && autoClearManager) {
-      helpText = '  [↑↓] 价格  [Tab] 自动清理  [M] 最大  [Enter] 确认  [ESC] 取消';
+    if (selectedOrderData && selectedOrderData.take) {
+      helpText = '  [M] 最大数量(不超过该档位累计深度)  |  [Enter] 确认  |  [ESC] 取消';
+    } else if (selectedOrderData && selectedOrderData.side === 'bid' && autoClearManager) {
+      helpText = '  [↑↓] 价格  [Tab] 自动清理  [M] 最大  [E] 有效期  [Enter] 确认  [ESC] 取消';
     } else {
-      helpText = '  [↑↓] 调整价格(±0.001)  |  [M] 最大数量  |  [Enter] 确认  |  [ESC] 取消';
+      helpText = `  [↑↓] 调整价格(±${context.tradingRules.tickSize})  [M] 最大数量  [E] 有效期  [Enter] 确认  [ESC] 取消`;
     }
     lines.push('│' + this.padToWidth(helpText, BOX_WIDTH) + '│');
     lines.push('└─────────────────────────────────────────────────────────────────────────────────┘');
@@ -146,36 +201,109 @@ class InputPanel extends PanelBase {
     return { lines: lines, width: 84 };
   }
 
+  /**
+   * 是否为买入操作
+   * 挂单：选中买单档位 = BUY；吃单：选中卖单档位 = BUY（吃掉卖盘）
+   */
+  isBuyAction(selectedOrderData) {
+    return selectedOrderData.take
+      ? selectedOrderData.side === 'ask'
+      : selectedOrderData.side === 'bid';
+  }
+
   /**
    * 计算最大可下单数量
    */
   calculateMaxAmount(context) {
-    const { previousInventory, selectedOrderData, priceAdjustment, openOrders, currentView, topicInfo } = context;
+    const { selectedOrderData, orderBooks, currentView } = context;
+    const maxAmount = this.calculateMaxBalanceAmount(context);
 
-    if (!previousInventory || !selectedOrderData) {
+    if (!selectedOrderData || !selectedOrderData.take) {
+      return maxAmount;
+    }
+
+    // 吃单：不超过从最优价到选中档位的累计深度
+    const book = orderBooks[currentView];
+    const levels = book ? (selectedOrderData.side === 'ask' ? book.asks : book.bids) || [] : [];
+    const limitPrice = selectedOrderData.order.price;
+    const depth = levels
+      .filter(level => selectedOrderData.side === 'ask' ? level.price <= limitPrice : level.price >= limitPrice)
+      .reduce((sum, level) => sum + level.amount, 0);
+
+    return Math.min(maxAmount, Math.floor(depth * 100) / 100);
+  }
+
+  /**
+   * 计算金额模式下最多可花费的计价币种金额
+   * 挂单：可用余额；吃单：不超过吃到选中档位为止的累计成交额
+   */
+  calculateMaxSpend(context) {
+    const { selectedOrderData, orderBooks, currentView } = context;
+    const availableUsdt = Math.max(0, this.calculateAvailableUsdt(context));
+    let maxSpend = availableUsdt;
+
+    if (selectedOrderData && selectedOrderData.take) {
+      const book = orderBooks[currentView];
+      const levels = book ? book.asks || [] : [];
+      const limitPrice = selectedOrderData.order.price;
+      const depthValue = levels
+        .filter(level => level.price <= limitPrice)
+        .reduce((sum, level) => sum + level.amount * level.price, 0);
+      maxSpend = Math.min(availableUsdt, depthValue);
+    }
+
+    return Math.floor(maxSpend * 100) / 100;
+  }
+
+  /**
+   * 计算可用计价币种余额（余额减去当前视图买单挂单占用）
+   */
+  calculateAvailableUsdt(context) {
+    const { previousInventory, openOrders, currentView, collateral } = context;
+
+    if (!previousInventory) {
       return 0;
     }
 
-    const adjustedPrice = selectedOrderData.order.price + (priceAdjustment * 0.001);
+    // 按本市场的计价币种取余额（旧格式的库存只有 usdt）
+    const balances = previousInventory.collaterals || [previousInventory.usdt];
+    const balance = balances.find(token => token.address === collateral.address);
+    if (!balance) {
+      return 0;
+    }
+    const usdtBalance = parseFloat(balance.formatted);
 
-    if (selectedOrderData.side === 'bid') {
-      // 买入：计算可用USDT / 价格
-      const usdtBalance = parseFloat(previousInventory.usdt.formatted);
+    let lockedUsdt = 0;
+    if (openOrders && openOrders.list) {
+      openOrders.list.forEach(order => {
+        if (order.side === 1 && order.status === 1 && order.outcome === currentView) {
+          const price = parseFloat(order.price);
+          const amount = parseFloat(order.amount);
+          const filled = parseFloat(order.filled || 0);
+          const remaining = amount - filled;
+          lockedUsdt += remaining * price;
+        }
+      });
+    }
 
-      let lockedUsdt = 0;
-      if (openOrders && openOrders.list) {
-        openOrders.list.forEach(order => {
-          if (order.side === 1 && order.status === 1 && order.outcome === currentView) {
-            const price = parseFloat(order.price);
-            const amount = parseFloat(order.amount);
-            const filled = parseFloat(order.filled || 0);
-            const remaining = amount - filled;
-            lockedUsdt += remaining * price;
-          }
-        });
-      }
+    return usdtBalance - lockedUsdt;
+  }
+
+  /**
+   * 根据可用余额计算最大可下单数量
+   */
+  calculateMaxBalanceAmount(context) {
+    const { previousInventory, selectedOrderData, openOrders, currentView, topicInfo } = context;
+
+    if (!previousInventory || !selectedOrderData) {
+      return 0;
+    }
+
+    const adjustedPrice = context.getAdjustedPrice();
 
-      const availableUsdt = usdtBalance - lockedUsdt;
+    if (this.isBuyAction(selectedOrderData)) {
+      // 买入：计算可用余额 / 价格
+      const availableUsdt = this.calculateAvailableUsdt(context);
       const maxShares = availableUsdt / adjustedPrice;
       return Math.max(0, Math.floor(maxShares * 100) / 100);
 
@@ -214,9 +342,9 @@ class InputPanel extends PanelBase {
   }
 
   getDimensions(context) {
-    let height = 10; // 基本行数
+    let height = 11; // 基本行数
     if (context.inputBuffer && !isNaN(parseFloat(context.inputBuffer))) {
-      height += 2; // 预计成本行
+      height += 3; // 预计成本、手续费行
     }
     if (context.submitMessage) {
       height += 2; // 消息行
@@ -17,21 +17,21 @@ class MyOrdersPanel extends PanelBase {
     const { openOrders, gridManager } = context;
     const lines = [];
 
-    lines.push('我的订单');
+    lines.push(openOrders && openOrders.list && openOrders.list.length > 0 ? `我的订单 (${openOrders.list.length})` : '我的订单');
 
     if (!openOrders) {
       lines.push('加载中...');
-      return { lines, width: 40 };
+      return { lines, width: 44 };
     }
 
     if (openOrders.error) {
       lines.push(`\x1b[31m查询失败: ${openOrders.error}\x1b[0m`);
-      return { lines, width: 40 };
+      return { lines, width: 44 };
     }
 
     if (openOrders.list.length === 0) {
       lines.push('暂无未完成订单');
-      return { lines, width: 40 };
+      return { lines, width: 44 };
     }
 
     const sortedOrders = [...openOrders.list].sort((a, b) => {
@@ -40,8 +40,8 @@ class MyOrdersPanel extends PanelBase {
       return priceB - priceA;
     });
 
-    lines.push('方向 仓位   价格     价值    已成交');
-    lines.push('─'.repeat(36));
+    lines.push('方向 仓位   价格     价值    已成交   剩余');
+    lines.push('─'.repeat(43));
 
     let lineY = 0;
     const cursorPos = gridManager.getCursorPosition();
@@ -69,9 +69,10 @@ class MyOrdersPanel extends PanelBase {
       }
 
       const filled = order.filled ? parseFloat(order.filled).toFixed(2) : '0';
+      const timeLeft = this.formatTimeLeft(order);
 
       const isSelected = cursorPos.x === 1 && cursorPos.y === lineY;
-      const lineContent = `${sideColor}${sideLabel}\x1b[0m ${outcome.padEnd(3)} ${price.padStart(8)} ${amount.padStart(8)} ${filled.padStart(8)}`;
+      const lineContent = `${sideColor}${sideLabel}\x1b[0m ${outcome.padEnd(3)} ${price.padStart(8)} ${amount.padStart(8)} ${filled.padStart(8)} ${timeLeft.padStart(6)}`;
 
       if (isSelected) {
         lines.push(`\x1b[7m${lineContent}\x1b[0m`);
@@ -82,7 +83,23 @@ class MyOrdersPanel extends PanelBase {
       lineY++;
     });
 
-    return { lines, width: 40 };
+    return { lines, width: 44 };
+  }
+
+  /**
+   * 计算订单剩余有效时间
+   * 兼容 orderExpTime / expiration 字段（秒或毫秒），0 或缺失视为长期有效
+   */
+  formatTimeLeft(order) {
+    let expiration = parseInt(order.orderExpTime || order.expiration || 0);
+    if (!expiration) {
+      return 'GTC';
+    }
+    if (expiration > 1e12) {
+      expiration = Math.floor(expiration / 1000);
+    }
+    const remaining = expiration - Math.floor(Date.now() / 1000);
+    return remaining > 0 ? this.formatDuration(remaining) : 'EXP';
   }
 
   buildGridItems(context) {
@@ -127,7 +144,7 @@ class MyOrdersPanel extends PanelBase {
       height += 2 + openOrders.list.length; // 表头 + 分隔符 + 订单行
     }
 
-    return { width: 40, height };
+    return { width: 44, height };
   }
 }
 
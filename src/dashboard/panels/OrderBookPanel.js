@@ -2,11 +2,12 @@ const PanelBase = require('../PanelBase');
 
 /**
  * 订单簿面板
- * 显示当前视图（YES/NO）的买单和卖单
+ * 显示当前视图（YES/NO）的全部买单和卖单（虚拟滚动），可按价格区间合并档位
  */
 class OrderBookPanel extends PanelBase {
   constructor(dashboard) {
     super(dashboard);
+    this.levelsViewportSize = 20;
   }
 
   isVisible(context) {
@@ -14,50 +15,127 @@ class OrderBookPanel extends PanelBase {
   }
 
   /**
-   * 计算订单簿数据的最大列宽
+   * 整理盘口档位：按价格区间合并，并计算从最优价起的累计数量
+   * 买单向下取整、卖单向上取整到区间边界，合并后的价格作为该档的最差价
+   *
+   * @param {Object} book - 盘口
+   * @param {number} groupSize - 合并区间（0 = 不合并）
+   * @returns {Object} { asks, bids }，均为最优价在前，档位 { price, amount, total, cumulative, levels }
    */
-  calculateColumnWidths(book) {
+  groupLevels(book, groupSize) {
     if (!book || book.error) {
-      return { price: 7, amount: 7, total: 7 };
+      return { asks: [], bids: [] };
     }
 
+    const group = (levels, toBucket) => {
+      const grouped = [];
+      (levels || []).forEach(level => {
+        const price = groupSize > 0 ? parseFloat(toBucket(level.price / groupSize).toFixed(4)) : level.price;
+        const last = grouped[grouped.length - 1];
+        if (last && last.price === price) {
+          last.amount += level.amount;
+          last.total += level.total;
+          last.levels.push(level);
+        } else {
+          grouped.push({ price, amount: level.amount, total: level.total, levels: [level] });
+        }
+      });
+
+      let cumulative = 0;
+      grouped.forEach(level => {
+        cumulative += level.amount;
+        level.cumulative = cumulative;
+      });
+      return grouped;
+    };
+
+    // 1e-9 容差避免浮点误差把恰好落在边界上的价格推到相邻区间
+    return {
+      asks: group(book.asks, units => Math.ceil(units - 1e-9) * groupSize),
+      bids: group(book.bids, units => Math.floor(units + 1e-9) * groupSize)
+    };
+  }
+
+  /**
+   * 计算订单簿数据的最大列宽
+   */
+  calculateColumnWidths(levels) {
     let maxAmountWidth = 7;
     let maxTotalWidth = 7;
+    let maxCumulativeWidth = 7;
     const priceWidth = 7;
 
-    if (book.asks && book.asks.length > 0) {
-      book.asks.slice(0, 10).forEach(ask => {
-        const amountStr = this.formatNumber(ask.amount, 2);
-        const totalStr = this.formatNumber(ask.total, 2);
-        maxAmountWidth = Math.max(maxAmountWidth, amountStr.length);
-        maxTotalWidth = Math.max(maxTotalWidth, totalStr.length);
-      });
-    }
-
-    if (book.bids && book.bids.length > 0) {
-      book.bids.slice(0, 10).forEach(bid => {
-        const amountStr = this.formatNumber(bid.amount, 2);
-        const totalStr = this.formatNumber(bid.total, 2);
-        maxAmountWidth = Math.max(maxAmountWidth, amountStr.length);
-        maxTotalWidth = Math.max(maxTotalWidth, totalStr.length);
-      });
-    }
+    [...levels.asks, ...levels.bids].forEach(level => {
+      maxAmountWidth = Math.max(maxAmountWidth, this.formatNumber(level.amount, 2).length);
+      maxTotalWidth = Math.max(maxTotalWidth, this.formatNumber(level.total, 2).length);
+      maxCumulativeWidth = Math.max(maxCumulativeWidth, this.formatNumber(level.cumulative, 2).length);
+    });
 
     return {
       price: priceWidth,
       amount: maxAmountWidth,
-      total: maxTotalWidth
+      total: maxTotalWidth,
+      cumulative: maxCumulativeWidth
     };
   }
 
+  /**
+   * 面板宽度
+   */
+  getWidth(colWidths) {
+    const totalWidth = 2 + colWidths.price + 2 + colWidths.amount + 2 + colWidths.total + 2 + colWidths.cumulative;
+    return Math.max(totalWidth, 36);
+  }
+
+  /**
+   * 按显示顺序排列的档位行：卖单从高到低，再接买单从高到低
+   * 行号与网格 y 坐标一致
+   */
+  buildRows(levels) {
+    return [
+      ...levels.asks.map((level, index) => ({ side: 'ask', level, index })).reverse(),
+      ...levels.bids.map((level, index) => ({ side: 'bid', level, index }))
+    ];
+  }
+
+  /**
+   * 计算可见窗口起始行
+   * 光标在订单簿时以光标为中心，否则以买卖分界为中心
+   */
+  getViewportStart(rows, askCount, cursorPos) {
+    const halfViewport = Math.floor(this.levelsViewportSize / 2);
+    const center = cursorPos.x === 0 ? cursorPos.y : askCount;
+    return Math.max(0, Math.min(rows.length - this.levelsViewportSize, center - halfViewport));
+  }
+
+  /**
+   * 最近变化档位的高亮样式：推断成交用黄底，其余变化用灰底
+   * 合并档位中任一原始价位有变化即高亮
+   */
+  getFlashStyle(bookChanges, side, level) {
+    if (!bookChanges || bookChanges.size === 0) return '';
+    const kinds = level.levels.map(source => bookChanges.get(`${side}:${source.price.toFixed(4)}`));
+    if (kinds.includes('trade')) return '\x1b[43m';
+    return kinds.some(Boolean) ? '\x1b[100m' : '';
+  }
+
+  /**
+   * 分隔线，可在开头带一段说明
+   */
+  formatRule(label, width) {
+    if (!label) return '━'.repeat(width);
+    const prefix = `━━ ${label} `;
+    return prefix + '━'.repeat(Math.max(0, width - this.getDisplayWidth(prefix)));
+  }
+
   render(context) {
-    const { currentView, orderBooks, openOrders, gridManager } = context;
+    const { currentView, orderBooks, openOrders, gridManager, bookChanges, priceGroupSize } = context;
     const book = orderBooks[currentView];
     const lines = [];
 
-    const colWidths = this.calculateColumnWidths(book);
-    const totalWidth = 2 + colWidths.price + 2 + colWidths.amount + 2 + colWidths.total;
-    const orderBookWidth = Math.max(totalWidth, 36);
+    const levels = this.groupLevels(book, priceGroupSize);
+    const colWidths = this.calculateColumnWidths(levels);
+    const orderBookWidth = this.getWidth(colWidths);
 
     if (!book) {
       lines.push('加载中...');
@@ -80,140 +158,106 @@ class OrderBookPanel extends PanelBase {
       });
     }
 
-    const amountLabel = '数量'.padStart(colWidths.amount);
-    const totalLabel = '总价值'.padStart(colWidths.total);
-    lines.push(`${currentView}订单簿 ${amountLabel} ${totalLabel}`);
-    lines.push('━'.repeat(orderBookWidth));
-
-    let lineY = 0;
+    const rows = this.buildRows(levels);
+    const askCount = levels.asks.length;
     const cursorPos = gridManager.getCursorPosition();
+    const start = this.getViewportStart(rows, askCount, cursorPos);
+    const end = Math.min(rows.length, start + this.levelsViewportSize);
 
-    // 卖单区域
-    if (book.asks && book.asks.length > 0) {
-      const asksToShow = book.asks.slice(0, 10).reverse();
-      asksToShow.forEach((ask, index) => {
-        const priceStr = this.formatNumber(ask.price, 4).padStart(colWidths.price);
-        const amountStr = this.formatNumber(ask.amount, 2).padStart(colWidths.amount);
-        const totalStr = this.formatNumber(ask.total, 2).padStart(colWidths.total);
-
-        // 检查是否为选中项
-        const isSelected = cursorPos.x === 0 && cursorPos.y === lineY;
-
-        // 检查是否是自己的订单
-        const priceKey = ask.price.toFixed(4);
-        const myOrderMarker = myOrderPrices.has(priceKey) ? '●' : ' ';
-
-        const lineContent = `${myOrderMarker} ${priceStr} ${amountStr} ${totalStr}`;
+    const amountLabel = '数量'.padStart(colWidths.amount);
+    const totalLabel = '总价值'.padStart(colWidths.total);
+    const cumulativeLabel = '累计'.padStart(colWidths.cumulative);
+    lines.push(`${currentView}订单簿 ${amountLabel} ${totalLabel} ${cumulativeLabel}`);
 
-        if (isSelected) {
-          lines.push(`\x1b[7m\x1b[31m${lineContent}\x1b[0m`);
-        } else {
-          lines.push(`\x1b[31m${lineContent}\x1b[0m`);
-        }
+    const headerLabels = [];
+    if (priceGroupSize > 0) headerLabels.push(`合并 ${priceGroupSize}`);
+    if (start > 0) headerLabels.push(`↑${start}档`);
+    lines.push(this.formatRule(headerLabels.join(' '), orderBookWidth));
 
-        lineY++;
-      });
-    } else {
+    if (askCount === 0 && start === 0) {
       lines.push('暂无卖单');
     }
 
-    // 买单区域
-    lines.push('━'.repeat(orderBookWidth));
+    for (let y = start; y < end; y++) {
+      const { side, level } = rows[y];
+      if (y === askCount) {
+        lines.push('━'.repeat(orderBookWidth));
+      }
 
-    if (book.bids && book.bids.length > 0) {
-      const bidsToShow = book.bids.slice(0, 10);
-      bidsToShow.forEach((bid, index) => {
-        const priceStr = this.formatNumber(bid.price, 4).padStart(colWidths.price);
-        const amountStr = this.formatNumber(bid.amount, 2).padStart(colWidths.amount);
-        const totalStr = this.formatNumber(bid.total, 2).padStart(colWidths.total);
+      const priceStr = this.formatNumber(level.price, 4).padStart(colWidths.price);
+      const amountStr = this.formatNumber(level.amount, 2).padStart(colWidths.amount);
+      const totalStr = this.formatNumber(level.total, 2).padStart(colWidths.total);
+      const cumulativeStr = this.formatNumber(level.cumulative, 2).padStart(colWidths.cumulative);
 
-        const isSelected = cursorPos.x === 0 && cursorPos.y === lineY;
+      // 检查是否为选中项
+      const isSelected = cursorPos.x === 0 && cursorPos.y === y;
 
-        const priceKey = bid.price.toFixed(4);
-        const myOrderMarker = myOrderPrices.has(priceKey) ? '●' : ' ';
+      // 检查是否是自己的订单（合并档位中任一价位有挂单）
+      const isMine = level.levels.some(source => myOrderPrices.has(source.price.toFixed(4)));
+      const myOrderMarker = isMine ? '●' : ' ';
 
-        const lineContent = `${myOrderMarker} ${priceStr} ${amountStr} ${totalStr}`;
+      const lineContent = `${myOrderMarker} ${priceStr} ${amountStr} ${totalStr} ${cumulativeStr}`;
+      const colorCode = side === 'ask' ? '\x1b[31m' : '\x1b[32m';
 
-        if (isSelected) {
-          lines.push(`\x1b[7m\x1b[32m${lineContent}\x1b[0m`);
-        } else {
-          lines.push(`\x1b[32m${lineContent}\x1b[0m`);
-        }
+      if (isSelected) {
+        lines.push(`\x1b[7m${colorCode}${lineContent}\x1b[0m`);
+      } else {
+        lines.push(`${this.getFlashStyle(bookChanges, side, level)}${colorCode}${lineContent}\x1b[0m`);
+      }
+    }
 
-        lineY++;
-      });
-    } else {
+    // 窗口恰好止于卖单末尾时补上买卖分隔线
+    if (end === askCount) {
+      lines.push('━'.repeat(orderBookWidth));
+    }
+
+    if (levels.bids.length === 0 && end === rows.length) {
       lines.push('暂无买单');
     }
 
+    if (end < rows.length) {
+      lines.push(this.formatRule(`↓${rows.length - end}档`, orderBookWidth));
+    }
+
     return { lines, width: orderBookWidth };
   }
 
   buildGridItems(context) {
-    const { currentView, orderBooks, selectOrderBookItem } = context;
+    const { currentView, orderBooks, selectOrderBookItem, priceGroupSize } = context;
     const book = orderBooks[currentView];
-    const items = [];
 
     if (!book || book.error) {
-      return items;
-    }
-
-    let y = 0;
-
-    // 卖单（从高到低，倒序显示）
-    if (book.asks && book.asks.length > 0) {
-      const asksToShow = book.asks.slice(0, 10).reverse();
-      asksToShow.forEach((ask, index) => {
-        items.push({
-          x: 0,
-          y: y,
-          type: 'orderbook_ask',
-          data: { order: ask, side: 'ask', index },
-          renderData: ask,
-          onSelect: () => selectOrderBookItem('ask', ask)
-        });
-        y++;
-      });
-    }
-
-    // 买单（从高到低）
-    if (book.bids && book.bids.length > 0) {
-      const bidsToShow = book.bids.slice(0, 10);
-      bidsToShow.forEach((bid, index) => {
-        items.push({
-          x: 0,
-          y: y,
-          type: 'orderbook_bid',
-          data: { order: bid, side: 'bid', index },
-          renderData: bid,
-          onSelect: () => selectOrderBookItem('bid', bid)
-        });
-        y++;
-      });
+      return [];
     }
 
-    return items;
+    // 全部档位都可选择，y 与 buildRows 的行号一致（卖单从高到低，再接买单从高到低）
+    return this.buildRows(this.groupLevels(book, priceGroupSize)).map(({ side, level, index }, y) => ({
+      x: 0,
+      y: y,
+      type: side === 'ask' ? 'orderbook_ask' : 'orderbook_bid',
+      data: { order: level, side, index },
+      renderData: level,
+      onSelect: () => selectOrderBookItem(side, level)
+    }));
   }
 
   getDimensions(context) {
-    const { orderBooks, currentView } = context;
+    const { orderBooks, currentView, gridManager, priceGroupSize } = context;
     const book = orderBooks[currentView];
-    const colWidths = this.calculateColumnWidths(book);
-    const width = Math.max(2 + colWidths.price + 2 + colWidths.amount + 2 + colWidths.total, 36);
+    const levels = this.groupLevels(book, priceGroupSize);
+    const width = this.getWidth(this.calculateColumnWidths(levels));
 
     let height = 2; // 标题 + 分隔符
     if (book && !book.error) {
-      if (book.asks && book.asks.length > 0) {
-        height += Math.min(book.asks.length, 10);
-      } else {
-        height += 1;
-      }
-      height += 1; // 中间分隔符
-      if (book.bids && book.bids.length > 0) {
-        height += Math.min(book.bids.length, 10);
-      } else {
-        height += 1;
-      }
+      const rows = this.buildRows(levels);
+      const start = this.getViewportStart(rows, levels.asks.length, gridManager.getCursorPosition());
+      const end = Math.min(rows.length, start + this.levelsViewportSize);
+
+      height += end - start;
+      if (start <= levels.asks.length && levels.asks.length <= end) height += 1; // 中间分隔符
+      if (levels.asks.length === 0 && start === 0) height += 1;
+      if (levels.bids.length === 0 && end === rows.length) height += 1;
+      if (end < rows.length) height += 1; // 下方剩余档数
     } else {
       height += 1;
     }
@@ -1,4 +1,5 @@
 const PanelBase = require('../PanelBase');
+const { markPositions } = require('../../sdk/positionAccounting');
 
 /**
  * 历史盈亏面板
@@ -33,6 +34,14 @@ class ProfitLossPanel extends PanelBase {
 
       // 交易统计
       lines.push(this.padLine(`  总交易笔数: ${pl.tradeCount}  (成功: ${pl.successCount}  失败: ${pl.failedCount})`));
+
+      // 账本同步状态
+      const syncedAt = pl.lastSyncAt ? new Date(pl.lastSyncAt).toLocaleTimeString('zh-CN') : '--:--:--';
+      if (pl.syncing) {
+        lines.push(this.padLine(`  🔄 本地账本 (同步于 ${syncedAt})，正在同步新成交...`));
+      } else if (pl.syncError) {
+        lines.push(this.padLineWithColor(`  \x1b[33m同步失败，显示本地账本 (同步于 ${syncedAt})\x1b[0m`));
+      }
       lines.push(this.padLine(''));
 
       // 资金流动
@@ -56,6 +65,12 @@ class ProfitLossPanel extends PanelBase {
       }
       lines.push('├─────────────────────────────────────────────────────────────────────────────────┤');
 
+      // 持仓成本与已实现/未实现盈亏
+      if (pl.positions) {
+        lines.push(...this.renderPositions(pl.positions, assetValue));
+        lines.push('├─────────────────────────────────────────────────────────────────────────────────┤');
+      }
+
       // 交易类型明细
       const details = [];
       if (pl.details.split.count > 0) {
@@ -78,6 +93,51 @@ class ProfitLossPanel extends PanelBase {
     return { lines, width: 84 };
   }
 
+  /**
+   * 渲染每个仓位的成本、已实现和未实现盈亏
+   * 未实现盈亏按最高买价（可立即卖出的价格）估值，与当前资产一致
+   */
+  renderPositions(accounting, assetValue) {
+    const lines = [];
+    const marks = assetValue.error
+      ? { YES: null, NO: null }
+      : { YES: assetValue.yesPrice, NO: assetValue.noPrice };
+    const marked = markPositions(accounting, marks);
+    const methodLabel = marked.method === 'fifo' ? '先进先出' : '加权平均';
+
+    lines.push(this.padLine(`  持仓成本 (${methodLabel})`));
+    lines.push(this.padLine('  仓位      数量     均价         成本    现价     未实现盈亏     已实现盈亏'));
+    ['YES', 'NO'].forEach(outcome => {
+      const position = marked.positions[outcome];
+      const mark = position.mark === null ? '  N/A' : this.formatPrice(position.mark);
+      const unrealized = position.unrealizedPnl === null ? 'N/A'.padStart(14) : this.formatPnl(position.unrealizedPnl);
+      lines.push(this.padLineWithColor(`  ${outcome.padEnd(4)} ${this.formatShares(position.shares)} ${this.formatPrice(position.avgCost).padStart(8)} ${this.formatAmount(position.costBasis)}  ${mark} ${unrealized} ${this.formatPnl(position.realizedPnl)}`));
+    });
+
+    lines.push(this.padLineWithColor(`  已实现: ${this.formatPnl(marked.realizedPnl)}   未实现: ${this.formatPnl(marked.unrealizedPnl)}   合计: ${this.formatPnl(marked.totalPnl)}`));
+
+    // 成交记录与链上余额对不上时（转入转出、记录缺失），成本仅供参考
+    const unmatched = marked.positions.YES.unmatchedShares + marked.positions.NO.unmatchedShares;
+    const mismatch = !assetValue.error && (
+      Math.abs(assetValue.yesBalance - marked.positions.YES.shares) > 0.01 ||
+      Math.abs(assetValue.noBalance - marked.positions.NO.shares) > 0.01
+    );
+    if (unmatched > 0 || mismatch || marked.unattributed > 0) {
+      lines.push(this.padLineWithColor('  \x1b[33m注意: 成交记录与链上持仓不一致（可能有转入转出），成本仅按成交记录计算\x1b[0m'));
+    }
+
+    return lines;
+  }
+
+  /**
+   * 格式化盈亏（带符号和颜色，右对齐）
+   */
+  formatPnl(value) {
+    const color = value >= 0 ? '\x1b[32m' : '\x1b[31m';
+    const text = `${value >= 0 ? '+' : ''}${value.toFixed(4)}`.padStart(14);
+    return `${color}${text}\x1b[0m`;
+  }
+
   /**
    * 格式化数量（右对齐）
    */
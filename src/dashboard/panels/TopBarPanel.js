@@ -14,7 +14,7 @@ class TopBarPanel extends PanelBase {
   }
 
   render(context) {
-    const { topicInfo, currentView, orderBooks, previousInventory, gridManager, refreshInterval, networkMonitor } = context;
+    const { topicInfo, currentView, orderBooks, previousInventory, gridManager, refreshInterval, networkMonitor, rateLimiter, paperMode, authStatus, approvalStatus, orderBookStatus } = context;
     const lines = [];
     const book = orderBooks[currentView];
 
@@ -31,10 +31,11 @@ class TopBarPanel extends PanelBase {
       }
     }
 
-    const refreshStatus = `${refreshInterval / 1000}s`;
-    lines.push(`${topicInfo.title.substring(0, 50)} | 刷新:${refreshStatus} ${focusHint}`);
+    const refreshStatus = `${refreshInterval / 1000}s${this.formatOrderBookStatus(orderBookStatus)}`;
+    const modeTag = paperMode ? '\x1b[43m\x1b[30m 模拟盘 \x1b[0m ' : '';
+    lines.push(`${modeTag}${topicInfo.title.substring(0, 50)} | 刷新:${refreshStatus}${this.formatAuthStatus(authStatus)}${this.formatApprovalStatus(approvalStatus)} ${focusHint}`);
 
-    lines.push(`[TAB]切换YES/NO [↑↓←→]导航 [Enter]选择 [H]盈亏 [A]追踪 [Q]退出`);
+    lines.push(`[TAB]切换YES/NO [↑↓←→]导航 [Enter]选择 [T]吃单 [X]全撤 [H]盈亏 [A]追踪 [Q]退出`);
 
     // 库存
     let inventoryLine = '';
@@ -52,8 +53,11 @@ class TopBarPanel extends PanelBase {
         inventoryParts.push(`${label}:${colorCode}${balance}\x1b[0m`);
       });
 
-      const usdtBalance = parseFloat(previousInventory.usdt.formatted).toFixed(2);
-      inventoryParts.push(`USDT:\x1b[36m${usdtBalance}\x1b[0m`);
+      // 各计价币种余额（旧格式的库存只有 usdt）
+      (previousInventory.collaterals || [previousInventory.usdt]).forEach(token => {
+        const tokenBalance = parseFloat(token.formatted).toFixed(2);
+        inventoryParts.push(`${token.symbol}:\x1b[36m${tokenBalance}\x1b[0m`);
+      });
 
       inventoryLine = `库存: ${inventoryParts.join(' ')}`;
     }
@@ -61,13 +65,58 @@ class TopBarPanel extends PanelBase {
     const timestamp = book && book.timestamp ? new Date(book.timestamp).toLocaleTimeString('zh-CN') : '--:--:--';
     const qps = networkMonitor ? networkMonitor.getQPS() : 0;
     const qpsDisplay = qps > 0 ? `QPS:${qps}` : 'QPS:0.00';
-    const updateTime = `更新: ${timestamp}  |  ${qpsDisplay}`;
+    // 限流排队数（积压时黄色提示）
+    const queueDepth = rateLimiter ? rateLimiter.getQueueDepth() : 0;
+    const queueDisplay = queueDepth > 0 ? `\x1b[33m排队:${queueDepth}\x1b[0m` : '排队:0';
+    const updateTime = `更新: ${timestamp}  |  ${qpsDisplay} ${queueDisplay}`;
 
     lines.push(`${inventoryLine}  |  ${updateTime}`);
 
     return { lines, width: 120 };
   }
 
+  /**
+   * 格式化登录 Token 状态
+   * 即将过期显示黄色，已过期显示红色（配置了钱包登录时会自动续期）
+   */
+  formatAuthStatus(authStatus) {
+    if (!authStatus) return '';
+    if (!authStatus.hasToken) {
+      return authStatus.canRelogin ? ' | Token:待登录' : ' | \x1b[31mToken:未配置\x1b[0m';
+    }
+    if (authStatus.expiresAt === null) return '';
+
+    if (authStatus.expired) {
+      return authStatus.canRelogin
+        ? ' | \x1b[33mToken:已过期(自动登录)\x1b[0m'
+        : ' | \x1b[41m\x1b[97m Token已过期 \x1b[0m';
+    }
+
+    const left = this.formatDuration(authStatus.secondsLeft);
+    return authStatus.expiringSoon
+      ? ` | \x1b[33mToken:${left}后过期\x1b[0m`
+      : ` | Token:${left}`;
+  }
+
+  /**
+   * 格式化盘口数据来源：推送 / 轮询（配置了推送却在轮询时黄色提示）
+   */
+  formatOrderBookStatus(status) {
+    if (!status || !status.streamConfigured) return '';
+    if (status.mode === 'stream') return ' 盘口:推送';
+    if (status.mode === 'poll') return ` \x1b[33m盘口:轮询(重连${status.reconnectAttempts})\x1b[0m`;
+    return ' 盘口:连接中';
+  }
+
+  /**
+   * 格式化交易所授权状态（只在缺少授权时显示）
+   */
+  formatApprovalStatus(approvalStatus) {
+    if (!approvalStatus || approvalStatus.ok) return '';
+    const labels = approvalStatus.missing.map(item => item.symbol).join(',');
+    return ` | \x1b[41m\x1b[97m 未授权:${labels} \x1b[0m`;
+  }
+
   buildGridItems(context) {
     // 顶部栏不参与网格选择
     return [];
@@ -0,0 +1,24 @@
+/**
+ * Logger module entry point
+ * 统一导出日志相关功能
+ */
+
+const {
+  Logger,
+  LogLevel,
+  consoleSink,
+  fileSink,
+  redact,
+  createLogger,
+  defaultLogger
+} = require('./logger');
+
+module.exports = {
+  Logger,
+  LogLevel,
+  consoleSink,
+  fileSink,
+  redact,
+  createLogger,
+  defaultLogger
+};
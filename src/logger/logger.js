@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 日志级别（数值越大越严重）
+ */
+const LogLevel = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const REDACTED = '[REDACTED]';
+
+// 按字段名脱敏（不区分大小写，精确匹配，避免误伤 tokenId 等字段）
+const SECRET_KEYS = new Set([
+  'signature',
+  'sign',
+  'authorization',
+  'authorizationtoken',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'privatekey',
+  'private_key',
+  'passphrase',
+  'password',
+  'secret',
+  'apikey',
+  'bottoken',
+  'mnemonic',
+  'cookie'
+]);
+
+// 按内容脱敏：Bearer token、JWT、65 字节签名、Telegram bot token
+const SECRET_PATTERNS = [
+  [/Bearer\s+[\w\-.~+/=]+/gi, `Bearer ${REDACTED}`],
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/0x[0-9a-fA-F]{130,}/g, `0x${REDACTED}`],
+  [/bot\d+:[\w-]+/g, `bot${REDACTED}`]
+];
+
+/**
+ * 对字符串做内容脱敏
+ * @param {string} str
+ * @returns {string}
+ */
+function redactString(str) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), str);
+}
+
+/**
+ * 深度脱敏（返回新对象，不修改原对象）
+ * @param {*} value - 任意值
+ * @param {boolean} [includeStack=false] - Error 是否保留调用栈
+ * @returns {*} 脱敏后的值
+ */
+function redact(value, includeStack = false, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const serialized = { name: value.name, message: redactString(value.message) };
+    ['errno', 'status', 'code'].forEach(key => {
+      if (value[key] !== undefined) serialized[key] = value[key];
+    });
+    if (includeStack && value.stack) {
+      serialized.stack = redactString(value.stack);
+    }
+    return serialized;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, includeStack, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEYS.has(key.toLowerCase()) && item ? REDACTED : redact(item, includeStack, seen);
+  }
+  return result;
+}
+
+/**
+ * 控制台输出
+ * @param {Object} [options]
+ * @param {boolean} [options.showMeta=true] - 是否打印附加字段
+ * @returns {Function} sink(entry)
+ */
+function consoleSink(options = {}) {
+  const { showMeta = true } = options;
+
+  return (entry) => {
+    const { time, level, msg, ...meta } = entry;
+    const method = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+    if (showMeta && Object.keys(meta).length > 0) {
+      console[method](msg, JSON.stringify(meta));
+    } else {
+      console[method](msg);
+    }
+  };
+}
+
+/**
+ * JSON Lines 文件输出（每条日志一行 JSON，追加写入）
+ * @param {string} filePath - 日志文件路径
+ * @returns {Function} sink(entry)
+ */
+function fileSink(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  return (entry) => {
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf-8');
+    } catch (error) {
+      // 日志写入失败不影响业务流程
+    }
+  };
+}
+
+/**
+ * 结构化日志
+ * 支持级别过滤、多个输出、上下文字段继承，所有输出自动脱敏
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level='info'] - 最低输出级别 debug | info | warn | error | silent
+   * @param {Function[]} [options.sinks] - 输出列表，默认输出到控制台
+   * @param {Object} [options.context] - 每条日志附带的上下文字段
+   */
+  constructor(options = {}) {
+    const { level = 'info', sinks = [consoleSink()], context = {} } = options;
+
+    if (!(level in LogLevel)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+
+    this.level = level;
+    this.sinks = sinks;
+    this.context = context;
+  }
+
+  /**
+   * 修改最低输出级别
+   * @param {string} level
+   */
+  setLevel(level) {
+    if (!(level in LogLevel)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * 该级别是否会输出
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LogLevel[level] >= LogLevel[this.level];
+  }
+
+  /**
+   * 创建带附加上下文的子 logger（共享输出和级别设置）
+   * @param {Object} context - 附加上下文，如 { component: 'TopicAPI' }
+   * @returns {Logger}
+   */
+  child(context) {
+    const child = Object.create(this);
+    child.context = { ...this.context, ...context };
+    return child;
+  }
+
+  /**
+   * 输出一条日志
+   * @param {string} level - 日志级别
+   * @param {string} msg - 日志内容
+   * @param {Object} [meta] - 附加字段（Error 可直接放在 meta.error）
+   */
+  log(level, msg, meta = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(msg)),
+      ...redact({ ...this.context, ...meta }, this.isLevelEnabled('debug'))
+    };
+
+    this.sinks.forEach(sink => sink(entry));
+  }
+
+  debug(msg, meta) {
+    this.log('debug', msg, meta);
+  }
+
+  info(msg, meta) {
+    this.log('info', msg, meta);
+  }
+
+  warn(msg, meta) {
+    this.log('warn', msg, meta);
+  }
+
+  error(msg, meta) {
+    this.log('error', msg, meta);
+  }
+}
+
+/**
+ * 根据环境变量创建 logger
+ * LOG_LEVEL: 最低级别（默认 info）
+ * LOG_FILE: JSON Lines 日志文件路径（可选）
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.console=true] - 是否输出到控制台（全屏界面应关闭）
+ * @param {string} [options.file] - 日志文件路径，默认读取 LOG_FILE
+ * @param {string} [options.level] - 最低级别，默认读取 LOG_LEVEL
+ * @returns {Logger}
+ */
+function createLogger(options = {}) {
+  const {
+    console: toConsole = true,
+    file = process.env.LOG_FILE,
+    level = process.env.LOG_LEVEL || 'info',
+    context
+  } = options;
+
+  const sinks = [];
+  if (toConsole) sinks.push(consoleSink());
+  if (file) sinks.push(fileSink(file));
+
+  return new Logger({ level, sinks, context });
+}
+
+// 默认 logger：未注入时使用
+const defaultLogger = createLogger();
+
+module.exports = {
+  Logger,
+  LogLevel,
+  consoleSink,
+  fileSink,
+  redact,
+  createLogger,
+  defaultLogger
+};
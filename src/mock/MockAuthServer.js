@@ -0,0 +1,197 @@
+const http = require('http');
+const crypto = require('crypto');
+const { ethers  } = require('ethers');
+
+/**
+ * Mock login / API server
+ *
+ * Implements the wallet-signature login flow expected by the SDK (see
+ * src/sdk/auth.js) plus token-protected order endpoints, so token expiry and
+ * re-login can be exercised offline:
+ *
+ *   POST /v1/user/login/nonce   { address }                            -> { nonce, message }
+ *   POST /v1/user/login         { address, nonce, message, signature } -> { token }
+ *   GET  /v2/order, /v2/trade   (Bearer token required, 401 otherwise) -> empty list
+ *   POST /v2/order              (Bearer token required, 401 otherwise) -> { orderData }
+ *
+ * Usage:
+ *   const server = new MockAuthServer({ tokenTtlSeconds: 60 });
+ *   const baseUrl = await server.start();
+ *   const sdk = new OpinionTradeSDK({ ..., apiBaseUrl: baseUrl, auth: { loginUrl: `${baseUrl}/v1/user/login` } });
+ */
+class MockAuthServer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.port=0] - Port to listen on (0 = random free port)
+   * @param {number} [options.tokenTtlSeconds=3600] - Lifetime of issued tokens
+   */
+  constructor(options = {}) {
+    const { port = 0, tokenTtlSeconds = 3600 } = options;
+
+    this.port = port;
+    this.tokenTtlSeconds = tokenTtlSeconds;
+    this.secret = crypto.randomBytes(32);
+    this.nonces = new Map(); // nonce -> address
+    this.server = null;
+    this.nextOrderId = 1;
+
+    // Counters for assertions in tests
+    this.stats = { logins: 0, rejected: 0, requests: 0 };
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:12345
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve) => this.server.listen(this.port, '127.0.0.1', resolve));
+    const { port } = this.server.address();
+    return `http://127.0.0.1:${port}`;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Issue a signed JWT (HS256) for an address
+   *
+   * @param {string} address - Wallet address (sub claim)
+   * @param {number} [ttlSeconds] - Lifetime; negative values produce an already expired token
+   * @returns {string} JWT
+   */
+  issueToken(address, ttlSeconds = this.tokenTtlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url({ alg: 'HS256', typ: 'JWT' });
+    const payload = base64url({ sub: address.toLowerCase(), iat: now, exp: now + ttlSeconds });
+    const signature = crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  /**
+   * Verify an Authorization header
+   * @returns {object|null} Token payload, or null if missing, forged or expired
+   */
+  verifyToken(authorization) {
+    const token = String(authorization || '').replace(/^Bearer\s+/i, '');
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest('base64url');
+    if (signature !== expected) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    return claims.exp > Math.floor(Date.now() / 1000) ? claims : null;
+  }
+
+  /**
+   * Internal: Route a request
+   * @private
+   */
+  async _handle(req, res) {
+    this.stats.requests++;
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      const body = req.method === 'POST' ? await readJson(req) : null;
+
+      if (req.method === 'POST' && pathname === '/v1/user/login/nonce') {
+        return this._handleNonce(body, res);
+      }
+      if (req.method === 'POST' && pathname === '/v1/user/login') {
+        return this._handleLogin(body, res);
+      }
+      if (pathname === '/v2/order' || pathname === '/v2/trade') {
+        if (!this.verifyToken(req.headers.authorization)) {
+          this.stats.rejected++;
+          return send(res, 401, { errno: 401, errmsg: 'token expired' });
+        }
+        if (req.method === 'POST') {
+          const orderId = this.nextOrderId++;
+          return send(res, 200, { errno: 0, errmsg: '', result: { orderData: { orderId, transNo: `mock-${orderId}` } } });
+        }
+        return send(res, 200, { errno: 0, errmsg: '', result: { total: 0, list: [] } });
+      }
+
+      send(res, 404, { errno: 404, errmsg: 'not found' });
+    } catch (error) {
+      send(res, 400, { errno: 400, errmsg: error.message });
+    }
+  }
+
+  /**
+   * Internal: Issue a login challenge
+   * @private
+   */
+  _handleNonce(body, res) {
+    if (!body || !ethers.isAddress(body.address)) {
+      return send(res, 200, { errno: 10001, errmsg: 'invalid address' });
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    this.nonces.set(nonce, body.address.toLowerCase());
+    const message = `Sign in to opinion.trade\nAddress: ${body.address.toLowerCase()}\nNonce: ${nonce}`;
+    send(res, 200, { errno: 0, errmsg: '', result: { nonce, message } });
+  }
+
+  /**
+   * Internal: Verify the signed challenge and issue a token
+   * @private
+   */
+  _handleLogin(body, res) {
+    const address = body && this.nonces.get(body.nonce);
+    if (!address || address !== String(body.address).toLowerCase()) {
+      return send(res, 200, { errno: 10002, errmsg: 'unknown nonce' });
+    }
+    this.nonces.delete(body.nonce);
+
+    const recovered = ethers.verifyMessage(body.message, body.signature).toLowerCase();
+    if (recovered !== address || !body.message.includes(body.nonce)) {
+      return send(res, 200, { errno: 10003, errmsg: 'invalid signature' });
+    }
+
+    this.stats.logins++;
+    send(res, 200, { errno: 0, errmsg: '', result: { token: this.issueToken(address) } });
+  }
+}
+
+function base64url(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(new Error('invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Run standalone: node src/mock/MockAuthServer.js [port]
+if (require.main === module) {
+  const server = new MockAuthServer({ port: parseInt(process.argv[2] || '8787') });
+  server.start().then((url) => {
+    console.log(`Mock auth server listening on ${url}`);
+    console.log(`Set AUTH_LOGIN_URL=${url}/v1/user/login`);
+  });
+}
+
+module.exports = MockAuthServer;
@@ -0,0 +1,158 @@
+const { WebSocketServer } = require('ws');
+
+/**
+ * Mock order book push server
+ *
+ * Speaks the depth subscription protocol of OrderBookStream over WebSocket,
+ * so streaming, reconnect, resubscribe and heartbeat handling can be
+ * exercised offline:
+ *
+ *   <- { action: 'subscribe', channel: 'depth', questionId, symbol, symbolType }
+ *   <- { action: 'ping' }                       -> { action: 'pong' }
+ *   -> { channel: 'depth', symbol, data: { bids, asks, last_price } }
+ *
+ * A subscription is answered with the latest snapshot of that symbol (if
+ * any); publish() pushes a new snapshot to every subscriber.
+ *
+ * Usage:
+ *   const server = new MockOrderBookServer();
+ *   const url = await server.start();
+ *   const stream = new OrderBookStream(orderBookAPI, { url });
+ *   server.publish(yesTokenId, { bids: [['0.45', '100']], asks: [['0.47', '50']] });
+ *   server.dropConnections(); // stream reconnects and resubscribes
+ */
+class MockOrderBookServer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.port=0] - Port to listen on (0 = random free port)
+   * @param {boolean} [options.respondToPing=true] - Answer pings (false simulates a stalled connection)
+   */
+  constructor(options = {}) {
+    const { port = 0, respondToPing = true } = options;
+
+    this.port = port;
+    this.respondToPing = respondToPing;
+    this.server = null;
+    this.snapshots = new Map(); // symbol -> depth data
+    this.subscriptions = new Map(); // socket -> Set of symbols
+
+    // Counters for assertions in tests
+    this.stats = { connections: 0, subscriptions: 0, pings: 0, published: 0 };
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} WebSocket URL, e.g. ws://127.0.0.1:12345
+   */
+  async start() {
+    this.server = new WebSocketServer({ port: this.port, host: '127.0.0.1' });
+    this.server.on('connection', (socket) => this._handleConnection(socket));
+    await new Promise((resolve) => this.server.once('listening', resolve));
+    const { port } = this.server.address();
+    return `ws://127.0.0.1:${port}`;
+  }
+
+  /**
+   * Stop listening and close all connections
+   */
+  async stop() {
+    if (!this.server) return;
+    this.dropConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Push a depth snapshot to every subscriber of a symbol
+   *
+   * @param {string} symbol - Token ID
+   * @param {object} data - { bids: [[price, size]], asks: [[price, size]], last_price? }
+   */
+  publish(symbol, data) {
+    this.snapshots.set(String(symbol), data);
+    this.stats.published++;
+
+    for (const [socket, symbols] of this.subscriptions) {
+      if (symbols.has(String(symbol))) {
+        socket.send(JSON.stringify({ channel: 'depth', symbol: String(symbol), data }));
+      }
+    }
+  }
+
+  /**
+   * Abruptly close every client connection (simulates a network drop)
+   */
+  dropConnections() {
+    for (const socket of this.server.clients) {
+      socket.terminate();
+    }
+    this.subscriptions.clear();
+  }
+
+  /**
+   * Internal: Handle a client connection
+   * @private
+   */
+  _handleConnection(socket) {
+    this.stats.connections++;
+    this.subscriptions.set(socket, new Set());
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+
+      if (message.action === 'ping') {
+        this.stats.pings++;
+        if (this.respondToPing) {
+          socket.send(JSON.stringify({ action: 'pong' }));
+        }
+        return;
+      }
+
+      if (message.action === 'subscribe' && message.channel === 'depth') {
+        const symbol = String(message.symbol);
+        this.stats.subscriptions++;
+        this.subscriptions.get(socket).add(symbol);
+        if (this.snapshots.has(symbol)) {
+          socket.send(JSON.stringify({ channel: 'depth', symbol, data: this.snapshots.get(symbol) }));
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      this.subscriptions.delete(socket);
+    });
+  }
+}
+
+// Run standalone: node src/mock/MockOrderBookServer.js [port]
+if (require.main === module) {
+  const server = new MockOrderBookServer({ port: parseInt(process.argv[2] || '8788') });
+  server.start().then((url) => {
+    console.log(`Mock order book server listening on ${url}`);
+    console.log(`Set ORDERBOOK_WS_URL=${url}`);
+  });
+
+  // Push a random-walk book for every subscribed symbol once a second
+  const mids = new Map();
+  setInterval(() => {
+    const symbols = new Set([...server.subscriptions.values()].flatMap(set => [...set]));
+    symbols.forEach(symbol => {
+      const mid = Math.min(0.95, Math.max(0.05, (mids.get(symbol) || 0.5) + (Math.random() - 0.5) * 0.004));
+      mids.set(symbol, mid);
+      const level = (offset) => (mid + offset).toFixed(3);
+      const size = () => (Math.random() * 500).toFixed(2);
+      server.publish(symbol, {
+        bids: [1, 2, 3, 4, 5].map(i => [level(-0.001 * i), size()]),
+        asks: [1, 2, 3, 4, 5].map(i => [level(0.001 * i), size()]),
+        last_price: mid.toFixed(3)
+      });
+    });
+  }, 1000);
+}
+
+module.exports = MockOrderBookServer;
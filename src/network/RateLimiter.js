@@ -0,0 +1,224 @@
+/**
+ * 请求限流模块
+ * 令牌桶限流 + 优先级调度：所有发往目标域名的请求共享一个总预算，
+ * 并按接口分别限速；排队时撤单、下单优先于订单簿轮询
+ */
+
+/**
+ * 请求优先级（数值越小越优先）
+ */
+const Priority = {
+  CRITICAL: 0,  // 下单、撤单
+  HIGH: 1,      // 订单/成交查询
+  NORMAL: 2,    // 其他请求
+  LOW: 3        // 订单簿轮询
+};
+
+/**
+ * 令牌桶
+ */
+class TokenBucket {
+  /**
+   * @param {number} rate - 每秒补充的令牌数
+   * @param {number} [burst] - 桶容量（允许的突发请求数），默认等于 rate
+   */
+  constructor(rate, burst = rate) {
+    this.rate = rate;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * 按经过的时间补充令牌
+   * @param {number} now - 当前时间戳
+   */
+  refill(now) {
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 是否有可用令牌
+   */
+  hasToken(now) {
+    this.refill(now);
+    return this.tokens >= 1;
+  }
+
+  /**
+   * 取走一个令牌（调用前需确认 hasToken）
+   */
+  take() {
+    this.tokens -= 1;
+  }
+
+  /**
+   * 距离下一个令牌可用的等待时间（毫秒）
+   */
+  msUntilToken(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+}
+
+/**
+ * 默认接口预算（按顺序匹配，第一个命中的生效）
+ */
+const DEFAULT_BUDGETS = [
+  { name: 'submit', method: 'POST', pattern: /\/v2\/order(\?|$)/, rate: 2, burst: 5, priority: Priority.CRITICAL },
+  { name: 'cancel', method: 'POST', pattern: /\/order\/cancel/, rate: 4, burst: 10, priority: Priority.CRITICAL },
+  { name: 'orders', pattern: /\/v2\/order(\?|$)/, rate: 1, burst: 4, priority: Priority.HIGH },
+  { name: 'trades', pattern: /\/v2\/trade(\?|$)/, rate: 1, burst: 3, priority: Priority.HIGH },
+  { name: 'depth', pattern: /\/order\/market\/depth/, rate: 2, burst: 4, priority: Priority.LOW }
+];
+
+/**
+ * 请求限流调度器
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.targetDomain='proxy.opinion.trade'] - 只对该域名限流
+   * @param {Object} [options.global] - 总预算 { rate, burst }
+   * @param {Array<Object>} [options.budgets] - 接口预算 [{ name, method?, pattern, rate, burst, priority }]
+   * @param {Object} [options.defaultBudget] - 未匹配接口的预算 { rate, burst }
+   */
+  constructor(options = {}) {
+    const {
+      targetDomain = 'proxy.opinion.trade',
+      global = { rate: 5, burst: 10 },
+      budgets = DEFAULT_BUDGETS,
+      defaultBudget = { rate: 2, burst: 4 }
+    } = options;
+
+    this.targetDomain = targetDomain;
+    this.globalBucket = new TokenBucket(global.rate, global.burst);
+    this.budgets = budgets.map(budget => ({
+      ...budget,
+      bucket: new TokenBucket(budget.rate, budget.burst)
+    }));
+    this.defaultBudget = {
+      name: 'default',
+      priority: Priority.NORMAL,
+      bucket: new TokenBucket(defaultBudget.rate, defaultBudget.burst)
+    };
+
+    this.queue = []; // { budget, priority, seq, resolve }
+    this.seq = 0;
+    this.timer = null;
+  }
+
+  /**
+   * 找到请求对应的接口预算
+   * @param {string} method - HTTP 方法
+   * @param {string} url - 请求 URL
+   */
+  matchBudget(method, url) {
+    const upperMethod = (method || 'GET').toUpperCase();
+    return this.budgets.find(budget =>
+      (!budget.method || budget.method === upperMethod) && budget.pattern.test(url)
+    ) || this.defaultBudget;
+  }
+
+  /**
+   * 等待发送许可
+   * @param {string} method - HTTP 方法
+   * @param {string} url - 请求 URL
+   * @param {number} [priority] - 优先级，默认使用接口预算的优先级
+   * @returns {Promise<void>} 获得令牌后 resolve
+   */
+  acquire(method, url, priority) {
+    if (!url.includes(this.targetDomain)) {
+      return Promise.resolve();
+    }
+
+    const budget = this.matchBudget(method, url);
+    return new Promise(resolve => {
+      this.queue.push({
+        budget,
+        priority: priority ?? budget.priority,
+        seq: this.seq++,
+        resolve
+      });
+      this.drain();
+    });
+  }
+
+  /**
+   * 按优先级放行有令牌的请求，其余继续排队
+   */
+  drain() {
+    const now = Date.now();
+    this.queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+
+    const waiting = [];
+    for (const item of this.queue) {
+      // 总预算耗尽时后面的请求都只能等待（保证高优先级先拿到下一个令牌）
+      if (this.globalBucket.hasToken(now) && item.budget.bucket.hasToken(now)) {
+        this.globalBucket.take();
+        item.budget.bucket.take();
+        item.resolve();
+      } else {
+        waiting.push(item);
+      }
+    }
+    this.queue = waiting;
+
+    this.scheduleDrain(now);
+  }
+
+  /**
+   * 安排下一次放行
+   */
+  scheduleDrain(now) {
+    if (this.timer || this.queue.length === 0) {
+      return;
+    }
+
+    const waits = this.queue.map(item => Math.max(
+      this.globalBucket.msUntilToken(now),
+      item.budget.bucket.msUntilToken(now)
+    ));
+    const delay = Math.max(1, Math.min(...waits));
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, delay);
+  }
+
+  /**
+   * 当前排队的请求数
+   * @returns {number}
+   */
+  getQueueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * 按接口统计排队数
+   * @returns {Object} { [budgetName]: count }
+   */
+  getQueueStats() {
+    const stats = {};
+    this.queue.forEach(item => {
+      stats[item.budget.name] = (stats[item.budget.name] || 0) + 1;
+    });
+    return stats;
+  }
+}
+
+/**
+ * 创建默认的限流实例（所有 HttpClient 共享，预算按目标域名计算）
+ */
+const defaultRateLimiter = new RateLimiter();
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  Priority,
+  DEFAULT_BUDGETS,
+  defaultRateLimiter
+};
@@ -1,11 +1,19 @@
 const axios = require('axios');
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const { defaultMonitor } = require('./NetworkPerformance');
+const { RateLimiter, Priority, defaultRateLimiter } = require('./RateLimiter');
 
 /**
  * HTTP 客户端配置
  */
 class HttpClient {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.timeout=10000] - 默认超时时间（毫秒）
+   * @param {object} [config.headers] - 该客户端的默认请求头
+   * @param {number} [config.maxContentLength] - 响应体大小上限（字节）
+   * @param {RateLimiter|null} [config.rateLimiter] - 限流调度器，默认共享 defaultRateLimiter，null 表示不限流
+   */
   constructor(config = {}) {
     this.defaultTimeout = config.timeout || 10000;
     this.defaultHeaders = {
@@ -13,6 +21,8 @@ class HttpClient {
       'Accept': 'application/json',
       ...config.headers
     };
+    this.maxContentLength = config.maxContentLength;
+    this.rateLimiter = config.rateLimiter === undefined ? defaultRateLimiter : config.rateLimiter;
 
     // 代理配置
     this.proxyEnabled = !!process.env.HTTPS_PROXY;
@@ -21,15 +31,29 @@ class HttpClient {
     }
   }
 
+  /**
+   * 设置默认请求头（仅影响当前客户端）
+   * @param {string} name - 请求头名称
+   * @param {string|null} value - 值，为 null 时移除该请求头
+   */
+  setDefaultHeader(name, value) {
+    if (value === null || value === undefined) {
+      delete this.defaultHeaders[name];
+    } else {
+      this.defaultHeaders[name] = value;
+    }
+  }
+
   /**
    * 发送 HTTP 请求
    * @param {string} url - 请求 URL
    * @param {object} options - 请求选项
    * @param {string} options.method - HTTP 方法 (GET, POST, etc.)
    * @param {object} [options.data] - 请求体数据
-   * @param {object} [options.headers] - 自定义请求头
+   * @param {object} [options.headers] - 自定义请求头（值为 null 时不发送该默认请求头）
    * @param {number} [options.timeout] - 超时时间（毫秒）
    * @param {boolean} [options.checkApiError] - 是否检查 API 错误代码（默认 true）
+   * @param {number} [options.priority] - 排队优先级（Priority），默认按接口预算
    * @returns {Promise<object>} 响应数据
    */
   async request(url, options = {}) {
@@ -38,27 +62,42 @@ class HttpClient {
       data = null,
       headers = {},
       timeout = this.defaultTimeout,
-      checkApiError = true
+      checkApiError = true,
+      priority
     } = options;
 
+    // 等待限流许可（撤单、下单优先放行）
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire(method, url, priority);
+    }
+
     try {
       // 记录请求到性能监控
       defaultMonitor.recordRequest(url);
 
+      const mergedHeaders = { ...this.defaultHeaders, ...headers };
+      Object.keys(mergedHeaders).forEach(name => {
+        if (mergedHeaders[name] === null || mergedHeaders[name] === undefined) {
+          delete mergedHeaders[name];
+        }
+      });
+
       const config = {
         method,
         url,
         timeout,
-        headers: {
-          ...this.defaultHeaders,
-          ...headers
-        }
+        headers: mergedHeaders
       };
 
       if (data) {
         config.data = data;
       }
 
+      if (this.maxContentLength) {
+        config.maxContentLength = this.maxContentLength;
+        config.maxBodyLength = this.maxContentLength;
+      }
+
       // 添加代理支持
       if (this.proxyEnabled) {
         config.httpsAgent = this.httpsAgent;
@@ -71,7 +110,9 @@ class HttpClient {
       if (checkApiError && response.data.errno !== undefined && response.data.errno !== 0) {
         throw new ApiError(
           response.data.errno,
-          response.data.errmsg || 'Unknown API error'
+          response.data.errmsg || 'Unknown API error',
+          response.data,
+          response.status
         );
       }
 
@@ -88,7 +129,7 @@ class HttpClient {
           error.response.data
         );
       } else if (error.request) {
-        throw new NetworkError(`No response from server: ${error.message}`);
+        throw new NetworkError(`No response from server: ${error.message}`, error.code);
       } else {
         throw error;
       }
@@ -125,36 +166,57 @@ class HttpClient {
 }
 
 /**
- * API 错误类
+ * API 错误类（HTTP 成功但 errno 非 0）
  */
 class ApiError extends Error {
-  constructor(errno, message) {
+  /**
+   * @param {number} errno - API 错误码
+   * @param {string} message - 错误信息（errmsg）
+   * @param {object} [data] - 完整响应体
+   * @param {number} [status=200] - HTTP 状态码
+   */
+  constructor(errno, message, data = null, status = 200) {
     super(`API error (errno: ${errno}): ${message}`);
     this.name = 'ApiError';
     this.errno = errno;
+    this.errmsg = message;
+    this.status = status;
+    this.data = data;
   }
 }
 
 /**
- * HTTP 错误类
+ * HTTP 错误类（非 2xx 响应）
  */
 class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP 状态码
+   * @param {string} statusText - 状态描述
+   * @param {*} data - 响应体
+   */
   constructor(status, statusText, data) {
     super(`HTTP ${status}: ${statusText}`);
     this.name = 'HttpError';
     this.status = status;
     this.statusText = statusText;
     this.data = data;
+    // opinion.trade 的错误响应体通常也带 errno
+    this.errno = data && typeof data === 'object' && data.errno !== undefined ? data.errno : null;
   }
 }
 
 /**
- * 网络错误类
+ * 网络错误类（请求已发出但没有收到响应，如超时、连接重置）
  */
 class NetworkError extends Error {
-  constructor(message) {
+  /**
+   * @param {string} message - 错误信息
+   * @param {string} [code] - 底层错误码（ECONNRESET、ECONNABORTED 等）
+   */
+  constructor(message, code = null) {
     super(message);
     this.name = 'NetworkError';
+    this.code = code;
   }
 }
 
@@ -178,5 +240,8 @@ module.exports = {
   NetworkError,
   defaultClient,
   makeHttpRequest,
-  networkMonitor: defaultMonitor
+  RateLimiter,
+  Priority,
+  networkMonitor: defaultMonitor,
+  rateLimiter: defaultRateLimiter
 };
@@ -9,7 +9,9 @@ const {
   HttpError,
   NetworkError,
   defaultClient,
-  makeHttpRequest
+  makeHttpRequest,
+  RateLimiter,
+  Priority
 } = require('./httpClient');
 
 module.exports = {
@@ -18,5 +20,7 @@ module.exports = {
   HttpError,
   NetworkError,
   defaultClient,
-  makeHttpRequest
+  makeHttpRequest,
+  RateLimiter,
+  Priority
 };
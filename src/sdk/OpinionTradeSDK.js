@@ -1,19 +1,41 @@
 const { ethers  } = require('ethers');
-const axios = require('axios');
-const { HttpsProxyAgent } = require('https-proxy-agent');
 const { CHAIN_ID,
   COLLATERAL_TOKEN_ADDRESS,
+  CONDITIONAL_TOKENS_ADDRESS,
+  DEFAULT_RPC_URL,
   API_BASE_URL,
   API_ENDPOINTS,
   Side,
   VolumeType,
+  TradingMethod,
   YesOrNo,
   OrderQueryType,
-  OrderStatus
+  OrderStatus,
+  SubmitOutcome,
+  COLLATERAL_TOKEN_DECIMAL
  } = require('./constants');
-const { buildSignedOrder  } = require('./signer');
-const { buildOrderParams, buildApiPayload  } = require('./orderBuilder');
+const { buildSignedOrder, getOrderHash, verifySignedOrder  } = require('./signer');
+const { PrivateKeySigner  } = require('./signers');
+const { buildOrderParams, buildApiPayload, priceMarketOrder, getPriceDecimals  } = require('./orderBuilder');
+const { resolveExpiration, runWithConcurrency, sleep, sharesForAmount, toUnixSeconds  } = require('./utils');
+const { getTokenStatus, walletLogin, stripBearer  } = require('./auth');
+const { resolveTradingRules  } = require('./tradingRules');
+const { resolveCollateral  } = require('./collateral');
+const { resolveFeeSchedule  } = require('./fees');
+const { calculatePositions  } = require('./positionAccounting');
+const { encodeSplitPosition, encodeMergePositions, encodeRedeemPositions, getPayouts, getPositionBalances  } = require('./conditionalTokens');
+const { isTopicResolved, computeRedemption  } = require('./redemption');
+const { buildApprovalCalls  } = require('./approvals');
+const { SafeTransactor  } = require('./SafeTransactor');
 const TopicAPI = require('./TopicAPI');
+const OrderBookAPI = require('./OrderBookAPI');
+const PaperExchange = require('./PaperExchange');
+const { TradeLedger  } = require('./TradeLedger');
+const { defaultLogger } = require('../logger');
+const { HttpClient, HttpError, NetworkError, Priority } = require('../network');
+
+// Margin before the first submit attempt when looking the order up (clock skew with the API)
+const SUBMIT_LOOKUP_SKEW_MS = 5 * 60 * 1000;
 
 /**
  * Opinion Trade SDK
@@ -24,72 +46,186 @@ class OpinionTradeSDK {
    * Create an instance of OpinionTradeSDK
    *
    * @param {object} config
-   * @param {string} config.privateKey - Private key of the signer (owner of Gnosis Safe)
+   * @param {string} [config.privateKey] - Private key of the signer (owner of Gnosis Safe)
+   * @param {SignerBase} [config.signer] - Signer backend (keystore, external JSON-RPC signer, ...), instead of privateKey
    * @param {string} config.makerAddress - Maker address (Gnosis Safe address)
-   * @param {string} [config.collateralTokenAddr] - Collateral token address (default: USDT)
+   * @param {string} [config.collateralTokenAddr] - Collateral used when topic data does not name one (default: USDT)
+   * @param {object} [config.collaterals] - Known collateral tokens { [address]: { decimals, symbol } }
    * @param {number} [config.chainId] - Chain ID (default: 56 for BSC)
    * @param {string} [config.apiBaseUrl] - API base URL (default: opinion.trade API)
+   * @param {string} [config.mode='live'] - 'live' or 'paper' (orders served by a local simulated exchange)
+   * @param {object} [config.paper] - Paper exchange options (initialUsdt, initialTokens), see PaperExchange
+   * @param {Logger} [config.logger] - Structured logger (see src/logger), defaults to the console logger
+   * @param {object} [config.auth] - Authorization token lifecycle
+   * @param {string} [config.auth.loginUrl] - Wallet-signature login endpoint; enables automatic re-login
+   * @param {number} [config.auth.warnBeforeSeconds=600] - Warn when the token expires within this window
+   * @param {object} [config.tradingRules] - Default tick size / minimum sizes and per-topic overrides, see tradingRules.js
+   * @param {object} [config.fees] - Default fee rate { feeRateBps } and per-topic overrides, see fees.js
+   * @param {string} [config.ledgerDir] - Directory of the local trade ledgers (default: .cache/trades), see TradeLedger
+   * @param {string} [config.rpcUrl] - JSON-RPC endpoint for on-chain calls (default: public BSC node)
+   * @param {object} [config.provider] - ethers provider for on-chain calls, instead of rpcUrl
+   * @param {string} [config.conditionalTokensAddr] - Conditional tokens (outcome ERC1155) contract
    */
   constructor(config) {
     const {
       privateKey,
-      makerAddress,
+      signer,
       authorizationToken,
       collateralTokenAddr = COLLATERAL_TOKEN_ADDRESS,
+      collaterals = {},
       chainId = CHAIN_ID,
-      apiBaseUrl = API_BASE_URL
+      apiBaseUrl = API_BASE_URL,
+      mode = 'live',
+      paper = {},
+      logger = defaultLogger,
+      auth = {},
+      tradingRules = {},
+      fees = {},
+      ledgerDir,
+      rpcUrl = DEFAULT_RPC_URL,
+      provider = null,
+      conditionalTokensAddr = CONDITIONAL_TOKENS_ADDRESS
     } = config;
+    let { makerAddress } = config;
+
+    if (mode !== 'live' && mode !== 'paper') {
+      throw new Error('mode must be "live" or "paper"');
+    }
+
+    const isPaper = mode === 'paper';
+
+    if (!privateKey && !signer && !isPaper) {
+      throw new Error('Private key or signer is required');
+    }
+
+    // Signer backend (paper mode can run with a throwaway key)
+    if (signer) {
+      this.signer = signer;
+    } else {
+      this.signer = new PrivateKeySigner(privateKey || ethers.Wallet.createRandom());
+    }
+    this.signerAddress = this.signer.getAddress();
 
-    if (!privateKey) {
-      throw new Error('Private key is required');
+    if (!makerAddress && isPaper) {
+      makerAddress = this.signerAddress;
     }
 
     if (!makerAddress) {
       throw new Error('Maker address (Gnosis Safe) is required');
     }
 
-    // Create wallet from private key
-    this.wallet = new ethers.Wallet(privateKey);
-    this.signerAddress = this.wallet.address;
-
     // Store configuration
+    this.mode = mode;
     this.makerAddress = makerAddress.toLowerCase();
     this.collateralTokenAddr = collateralTokenAddr.toLowerCase();
+    this.collaterals = collaterals;
     this.chainId = chainId;
     this.apiBaseUrl = apiBaseUrl;
-    this.authorizationToken = authorizationToken; // 可选的authorization token
+    this.loginUrl = auth.loginUrl || null;
+    this.tokenWarnBeforeSeconds = auth.warnBeforeSeconds ?? 600;
+    this.loginPromise = null;
+    this.tradingRulesConfig = tradingRules;
+    this.feesConfig = fees;
+    this.ledgerDir = ledgerDir;
+    // Local trade ledgers keyed by wallet address (live mode only)
+    this.tradeLedgers = new Map();
+    // On-chain access (provider and Safe executor are created on first use)
+    this.rpcUrl = rpcUrl;
+    this.provider = provider;
+    this.conditionalTokensAddr = conditionalTokensAddr;
+    this.safeTransactor = null;
+
+    this.logger = logger.child({ component: 'OpinionTradeSDK' });
 
     // Initialize TopicAPI for auto-fetching topic information
-    this.topicAPI = new TopicAPI();
+    this.topicAPI = new TopicAPI(undefined, { logger });
+
+    // Paper mode: orders, cancels and queries are served by an in-process simulated exchange
+    this.paperExchange = isPaper
+      ? new PaperExchange({ topicAPI: this.topicAPI, collaterals, ...paper })
+      : null;
+
+    // Orders submitted by this instance, keyed by EIP-712 order hash
+    this.submittedOrders = new Map();
 
-    // Configure axios with proxy support
-    this.axiosConfig = {
+    // Shared HTTP client (QPS monitoring, typed errors, HTTPS_PROXY support)
+    this.httpClient = new HttpClient({
       timeout: 30000,
       maxContentLength: 10 * 1024 * 1024, // 10MB
-      maxBodyLength: 10 * 1024 * 1024,
       headers: {
-        'Content-Type': 'application/json',
         'Accept': 'application/json, text/plain, */*',
         'Referer': 'https://app.opinion.trade/',
         'Origin': 'https://app.opinion.trade',
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36'
       }
-    };
+    });
 
-    // Add proxy support from environment variable
     if (process.env.HTTPS_PROXY) {
-      console.log(`Using proxy: ${process.env.HTTPS_PROXY}`);
-      this.axiosConfig.httpsAgent = new HttpsProxyAgent(process.env.HTTPS_PROXY);
-      this.axiosConfig.proxy = false; // Disable axios default proxy handling
+      this.logger.info('Using proxy', { proxy: process.env.HTTPS_PROXY });
     }
 
     // Add authorization token if provided
-    if (this.authorizationToken) {
-      const token = this.authorizationToken.startsWith('Bearer ')
-        ? this.authorizationToken
-        : `Bearer ${this.authorizationToken}`;
-      this.axiosConfig.headers['Authorization'] = token;
+    this.setAuthorizationToken(authorizationToken);
+  }
+
+  /**
+   * Replace the authorization token used for API requests
+   *
+   * @param {string|null} token - JWT, with or without "Bearer " prefix
+   */
+  setAuthorizationToken(token) {
+    this.authorizationToken = token || null; // 可选的authorization token
+    this.tokenWarningIssued = false;
+
+    this.httpClient.setDefaultHeader(
+      'Authorization',
+      this.authorizationToken ? `Bearer ${stripBearer(this.authorizationToken)}` : null
+    );
+  }
+
+  /**
+   * Get the lifecycle state of the authorization token (decoded from the JWT `exp` claim)
+   *
+   * @returns {{hasToken: boolean, expiresAt: number|null, secondsLeft: number|null, expired: boolean, expiringSoon: boolean, canRelogin: boolean}}
+   */
+  getAuthStatus() {
+    return {
+      ...getTokenStatus(this.authorizationToken, { warnBeforeSeconds: this.tokenWarnBeforeSeconds }),
+      canRelogin: this.loginUrl !== null
+    };
+  }
+
+  /**
+   * Obtain a fresh authorization token through the wallet-signature login flow
+   * Concurrent callers share a single login request.
+   *
+   * @returns {Promise<string>} New token
+   */
+  async login() {
+    if (!this.loginUrl) {
+      throw new Error('Wallet login is not configured (auth.loginUrl)');
     }
+
+    if (!this.loginPromise) {
+      this.loginPromise = (async () => {
+        const token = await walletLogin({
+          signer: this.signer,
+          loginUrl: this.loginUrl,
+          post: (url, body) => this.httpClient.post(url, body, {
+            headers: { Authorization: null },
+            checkApiError: false
+          })
+        });
+
+        this.setAuthorizationToken(token);
+        this.logger.info('Wallet login succeeded', { expiresAt: this.getAuthStatus().expiresAt });
+        return token;
+      })().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+
+    return await this.loginPromise;
   }
 
   /**
@@ -103,8 +239,13 @@ class OpinionTradeSDK {
    * @param {number} params.side - Order side (0: BUY, 1: SELL)
    * @param {string} [params.volumeType='Shares'] - Volume type ('Shares' or 'Amount')
    * @param {string} [params.buyInputVal='0'] - Buy input value (required if volumeType is 'Amount')
-   * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
    * @param {string} [params.safeRate='0'] - Safe rate
+   * @param {number|Date} [params.expiresAt] - Good-til-date expiry (Unix seconds or Date)
+   * @param {number} [params.ttlSeconds] - Good-til-date expiry relative to now (seconds)
+   * @param {number} [params.tradingMethod=2] - Trading method (1: MARKET, 2: LIMIT)
+   * @param {object} [params.tradingRules] - Trading rules to validate against (default: resolved for topicId)
+   * @param {object} [params.collateral] - Collateral { address, decimals } (default: resolved for topicId)
+   * @param {object} [params.feeSchedule] - Fee schedule { feeRateBps } (default: resolved for topicId)
    * @returns {Promise<object>} API response
    */
   async createLimitOrder(params) {
@@ -116,19 +257,29 @@ class OpinionTradeSDK {
       side,
       volumeType = VolumeType.SHARES,
       buyInputVal = '0',
-      isStableCoin = true,
-      safeRate = '0'
+      safeRate = '0',
+      expiresAt,
+      ttlSeconds,
+      tradingMethod = TradingMethod.LIMIT
     } = params;
 
     try {
-      console.log('Creating limit order...');
-      console.log('Parameters:', {
+      // Resolve expiration ('0' = good-til-cancelled)
+      const expiration = resolveExpiration({ expiresAt, ttlSeconds });
+      const tradingRules = params.tradingRules || await this.getTradingRules(topicId);
+      const collateral = params.collateral || await this.getCollateral(topicId);
+      const feeSchedule = params.feeSchedule || await this.getFeeSchedule(topicId);
+
+      this.logger.info('Creating limit order', {
         topicId,
         tokenId,
         limitPrice,
         shares,
         side: side === Side.BUY ? 'BUY' : 'SELL',
-        volumeType
+        volumeType,
+        expiration,
+        collateral: collateral.symbol,
+        feeRateBps: feeSchedule.feeRateBps
       });
 
       // Step 1: Build order parameters
@@ -141,45 +292,88 @@ class OpinionTradeSDK {
         side,
         volumeType,
         buyInputVal,
-        isStableCoin
+        decimals: collateral.decimals,
+        expiration,
+        feeRateBps: String(feeSchedule.feeRateBps),
+        tradingRules
       });
 
-      console.log('Order parameters built');
+      this.logger.debug('Order parameters built');
 
       // Step 2: Sign the order
-      const signedOrder = await buildSignedOrder(this.wallet, orderParams);
+      const signedOrder = await buildSignedOrder(this.signer, orderParams);
 
-      console.log('Order signed successfully');
-      console.log('Signature:', signedOrder.signature);
+      this.logger.debug('Order signed', { signature: signedOrder.signature });
+
+      // Step 2b: Verify the signature locally before it reaches the API
+      const verification = this.verifySignedOrder(signedOrder);
+      if (!verification.valid) {
+        throw new Error(`Order signature verification failed (orderHash ${verification.orderHash}): ${verification.error}`);
+      }
+      const { orderHash } = verification;
+      this.logger.info('Order signature verified', { orderHash });
 
       // Step 3: Build API payload
       const apiPayload = buildApiPayload({
         signedOrder,
         topicId,
         limitPrice,
-        collateralTokenAddr: this.collateralTokenAddr,
+        collateralTokenAddr: collateral.address,
         chainId: this.chainId,
-        isStableCoin,
-        safeRate
+        priceDecimals: getPriceDecimals(tradingRules),
+        safeRate,
+        tradingMethod
       });
 
-      console.log('API payload built');
-      console.log('API payload preview:', JSON.stringify({
+      this.logger.debug('API payload built', {
         topicId: apiPayload.topicId,
         price: apiPayload.price,
         side: apiPayload.side,
         makerAmount: apiPayload.makerAmount,
         takerAmount: apiPayload.takerAmount
-      }, null, 2));
-      console.log();
+      });
       // Step 4: Submit order to API
       const response = await this.submitOrder(apiPayload);
 
-      console.log('Order submitted successfully');
+      this.logger.info('Order submitted', { orderHash });
+
+      // Step 5: Remember the order hash so fills and cancels can be matched to this order
+      const orderData = response?.result?.orderData || {};
+      this.submittedOrders.set(orderHash, {
+        orderHash,
+        salt: signedOrder.salt,
+        orderId: orderData.orderId ?? null,
+        transNo: orderData.transNo ?? null,
+        topicId,
+        tokenId,
+        side,
+        limitPrice,
+        submittedAt: Date.now()
+      });
+      if (response && typeof response === 'object') {
+        response.orderHash = orderHash;
+      }
 
       return response;
     } catch (error) {
-      console.error('Failed to create limit order:', error.message);
+      // Outcome unknown: keep the hash so a later fill/cancel can still be matched to this order
+      if (error.outcome === SubmitOutcome.UNKNOWN && error.orderHash === undefined && error.salt) {
+        const orderHash = this.getOrderHash(error.payload);
+        error.orderHash = orderHash;
+        this.submittedOrders.set(orderHash, {
+          orderHash,
+          salt: error.salt,
+          orderId: null,
+          transNo: null,
+          topicId,
+          tokenId,
+          side,
+          limitPrice,
+          outcome: SubmitOutcome.UNKNOWN,
+          submittedAt: Date.now()
+        });
+      }
+      this.logger.error('Failed to create limit order', { error });
       throw error;
     }
   }
@@ -188,30 +382,156 @@ class OpinionTradeSDK {
    * Submit order to API
    * Corresponds to SubmitOrderV2 in readme.md (lines 395-396)
    *
+   * Network errors and 5xx responses are retried with exponential backoff,
+   * resending the exact same payload (same salt and signature). Before each
+   * retry every page of the topic's open/closed orders created since the first
+   * attempt is checked for that salt/signature, so an order that reached the
+   * exchange despite the error is never submitted twice. The resend only happens
+   * when that check positively shows the order is absent.
+   *
+   * Outcome:
+   *   - accepted: resolves with the API response, `response.outcome === 'accepted'`
+   *     (`response.recovered === true` when it was found by the lookup)
+   *   - rejected: throws the API/HTTP error with `error.outcome === 'rejected'`
+   *   - unknown:  throws with `error.outcome === 'unknown'` when retries are exhausted
+   *     (or the order list cannot be checked) and the order was not found
+   *
    * @param {object} payload - Order payload
+   * @param {object} [options]
+   * @param {number} [options.maxRetries=3] - Retries after the first attempt
+   * @param {number} [options.retryDelayMs=1000] - Initial backoff delay, doubled per retry
    * @returns {Promise<object>} API response
    */
-  async submitOrder(payload) {
-    try {
-      const url = `${this.apiBaseUrl}${API_ENDPOINTS.SUBMIT_ORDER}`;
-      console.log('Submitting order to API...');
-      console.log('API URL:', url);
-      console.log('Full payload:', JSON.stringify(payload, null, 2));
+  async submitOrder(payload, options = {}) {
+    if (this.paperExchange) {
+      const response = await this.paperExchange.submitOrder(payload);
+      return { ...response, outcome: SubmitOutcome.ACCEPTED };
+    }
 
-      if (this.authorizationToken) {
-        console.log('Using authorization token');
-      } else {
-        console.warn('⚠️  WARNING: No authorization token provided. API call may fail.');
+    const { maxRetries = 3, retryDelayMs = 1000 } = options;
+    const url = `${this.apiBaseUrl}${API_ENDPOINTS.SUBMIT_ORDER}`;
+    this.logger.debug('Submitting order to API', { url, payload });
+
+    if (!this.authorizationToken) {
+      this.logger.warn('No authorization token provided. API call may fail.');
+    }
+
+    let lastError = null;
+    const firstAttemptAt = Date.now();
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.min(retryDelayMs * 2 ** (attempt - 1), 30000);
+        this.logger.warn(`Submit order failed, checking before retry ${attempt}/${maxRetries} in ${delay}ms`, {
+          salt: payload.salt,
+          error: lastError
+        });
+        await sleep(delay);
+
+        // The previous attempt may have reached the exchange: look for it before resending
+        const lookup = await this._lookupSubmittedOrder(payload, firstAttemptAt);
+        if (lookup.order) {
+          this.logger.info('Order found after failed submit, not resending', { salt: payload.salt, orderId: lookup.order.orderId });
+          return {
+            errno: 0,
+            errmsg: '',
+            result: { orderData: lookup.order },
+            outcome: SubmitOutcome.ACCEPTED,
+            recovered: true
+          };
+        }
+        if (!lookup.verifiable) {
+          // Without a reliable "not there" answer a resend could duplicate the order
+          lastError = lookup.error || lastError;
+          break;
+        }
       }
 
-      const responseData = await this._makeRequest('POST', url, payload);
-      console.log('API response data:', JSON.stringify(responseData, null, 2));
+      try {
+        const responseData = await this._makeRequest('POST', url, payload, { priority: Priority.CRITICAL });
+        this.logger.debug('Submit order response', { response: responseData });
+        return { ...responseData, outcome: SubmitOutcome.ACCEPTED };
+      } catch (error) {
+        if (!this._isRetryableSubmitError(error)) {
+          error.outcome = SubmitOutcome.REJECTED;
+          this.logger.error('Submit order rejected', { error });
+          throw error;
+        }
+        lastError = error;
+      }
+    }
 
-      return responseData;
+    // Final check after the last failed attempt
+    const lookup = await this._lookupSubmittedOrder(payload, firstAttemptAt);
+    if (lookup.order) {
+      return {
+        errno: 0,
+        errmsg: '',
+        result: { orderData: lookup.order },
+        outcome: SubmitOutcome.ACCEPTED,
+        recovered: true
+      };
+    }
+
+    const error = new Error(`Order submission outcome unknown (salt ${payload.salt}): ${lastError ? lastError.message : 'no response'}`);
+    error.outcome = SubmitOutcome.UNKNOWN;
+    error.salt = payload.salt;
+    error.payload = payload;
+    error.cause = lastError;
+    this.logger.error('Submit order outcome unknown', { salt: payload.salt, error: lastError });
+    throw error;
+  }
+
+  /**
+   * Internal: Whether a submit failure may be transient (no answer, or a 5xx from the server)
+   * @private
+   */
+  _isRetryableSubmitError(error) {
+    return error instanceof NetworkError ||
+      (error instanceof HttpError && error.status >= 500);
+  }
+
+  /**
+   * Internal: Look for a previously sent order in open and closed orders by salt or signature
+   *
+   * Pages through all of the topic's orders created since the first attempt
+   * (minus a margin for clock skew between us and the API).
+   *
+   * @private
+   * @param {object} payload - Order payload that was sent
+   * @param {number} firstAttemptAt - Time of the first submit attempt (ms)
+   * @returns {Promise<{order: object|null, verifiable: boolean, error: Error|null}>}
+   *   verifiable=false unless the lookup positively shows the order is absent: the
+   *   orders could not be fetched, none were listed in the window (the API may not
+   *   have caught up yet), or a listed order carries neither salt nor signature
+   */
+  async _lookupSubmittedOrder(payload, firstAttemptAt) {
+    const matches = (order) =>
+      (order.salt !== undefined && String(order.salt) === String(payload.salt)) ||
+      (order.signature && order.signature === payload.signature);
+
+    const since = new Date(firstAttemptAt - SUBMIT_LOOKUP_SKEW_MS);
+    let listed = 0;
+    let exposesIdentity = true;
+    try {
+      for (const queryType of [OrderQueryType.OPEN, OrderQueryType.CLOSED]) {
+        for await (const order of this.iterateOrders({ topicId: payload.topicId, queryType, since })) {
+          if (matches(order)) {
+            return { order, verifiable: true, error: null };
+          }
+          listed++;
+          if (order.salt === undefined && order.signature === undefined) {
+            exposesIdentity = false;
+          }
+        }
+      }
     } catch (error) {
-      console.error('Submit order error:', error.message);
-      throw error;
+      this.logger.warn('Could not check orders for a previous submit', { salt: payload.salt, error });
+      return { order: null, verifiable: false, error };
     }
+
+    // A miss only proves absence if the API listed orders in the window and they expose salt or signature
+    return { order: null, verifiable: listed > 0 && exposesIdentity, error: null };
   }
 
   /**
@@ -234,6 +554,13 @@ class OpinionTradeSDK {
     });
   }
 
+  /**
+   * Whether the SDK runs against the local paper exchange
+   */
+  isPaperMode() {
+    return this.paperExchange !== null;
+  }
+
   /**
    * Get signer address
    */
@@ -249,43 +576,99 @@ class OpinionTradeSDK {
   }
 
   /**
-   * Internal: Make HTTP request with axios
+   * Compute the EIP-712 hash of an order
+   *
+   * @param {object} order - Signed order or API payload
+   * @returns {string} 0x-prefixed order hash
+   */
+  getOrderHash(order) {
+    return getOrderHash(order);
+  }
+
+  /**
+   * Verify that an order's signature recovers to this SDK's signer address
+   *
+   * @param {object} order - Signed order or API payload (must include signature)
+   * @returns {{valid: boolean, orderHash: string, recoveredAddress: string|null, error: string|null}}
+   */
+  verifySignedOrder(order) {
+    return verifySignedOrder(order, this.signerAddress);
+  }
+
+  /**
+   * Look up an order submitted by this instance
+   * Matches an API order/trade record by order hash, transNo, orderId or salt.
+   *
+   * @param {object} ref - { orderHash?, transNo?, orderId?, salt? }
+   * @returns {object|null} Submitted order info ({ orderHash, salt, orderId, transNo, ... })
+   */
+  findSubmittedOrder(ref) {
+    if (!ref) return null;
+    if (ref.orderHash && this.submittedOrders.has(ref.orderHash)) {
+      return this.submittedOrders.get(ref.orderHash);
+    }
+
+    for (const info of this.submittedOrders.values()) {
+      if ((ref.transNo && info.transNo === ref.transNo) ||
+          (ref.orderId != null && info.orderId != null && String(info.orderId) === String(ref.orderId)) ||
+          (ref.salt && info.salt === String(ref.salt))) {
+        return info;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Internal: Make an authenticated HTTP request
+   * Refreshes an expired token first (when wallet login is configured) and
+   * retries once if the API rejects the token.
    * @private
    * @param {string} method - HTTP method (GET/POST)
    * @param {string} url - Request URL
    * @param {object} data - Request payload (for POST)
+   * @param {object} [options]
+   * @param {number} [options.priority] - Rate limiter priority (see Priority in src/network)
    * @returns {Promise<object>} Response data
+   * @throws {ApiError|HttpError|NetworkError} Typed errors from src/network (errno, status and body preserved)
    */
-  async _makeRequest(method, url, data = null) {
-    try {
-      const config = {
-        ...this.axiosConfig,
-        method,
-        url
-      };
+  async _makeRequest(method, url, data = null, options = {}) {
+    const { priority } = options;
+    await this._ensureFreshToken();
 
-      if (data) {
-        config.data = data;
+    try {
+      return await this.httpClient.request(url, { method, data, priority });
+    } catch (error) {
+      const authFailure = error instanceof HttpError && (error.status === 401 || error.status === 403);
+      if (!authFailure || !this.loginUrl) {
+        throw error;
       }
 
-      const response = await axios(config);
+      // Token rejected: log in again with the wallet and retry once
+      this.logger.warn('Authorization rejected, logging in again', { url, status: error.status });
+      await this.login();
+      return await this.httpClient.request(url, { method, data, priority });
+    }
+  }
 
-      // Check API error code
-      if (response.data.errno !== undefined && response.data.errno !== 0) {
-        throw new Error(`API error (errno: ${response.data.errno}): ${response.data.errmsg || 'Unknown error'}`);
-      }
+  /**
+   * Internal: Warn ahead of token expiry and re-login when it has already expired
+   * @private
+   */
+  async _ensureFreshToken() {
+    const status = this.getAuthStatus();
 
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        // HTTP error response
-        throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
-      } else if (error.request) {
-        // No response received
-        throw new Error(`No response from server: ${error.message}`);
+    if (status.expired && status.canRelogin) {
+      this.logger.info('Authorization token expired, logging in again', { expiresAt: status.expiresAt });
+      await this.login();
+      return;
+    }
+
+    if ((status.expired || status.expiringSoon) && !this.tokenWarningIssued) {
+      this.tokenWarningIssued = true;
+      if (status.expired) {
+        this.logger.warn('Authorization token has expired. API calls will fail until it is replaced.', { expiresAt: status.expiresAt });
       } else {
-        // Other errors
-        throw error;
+        this.logger.warn(`Authorization token expires in ${status.secondsLeft}s`, { expiresAt: status.expiresAt });
       }
     }
   }
@@ -301,6 +684,57 @@ class OpinionTradeSDK {
     return await this.topicAPI.getTopicInfo(topicId, forceRefresh);
   }
 
+  /**
+   * Get the trading rules (tick size, minimum shares, minimum order value) of a topic
+   * Falls back to the configured defaults when topic info cannot be fetched.
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<{tickSize: number, minShares: number, minNotional: number}>}
+   */
+  async getTradingRules(topicId) {
+    let topicInfo = null;
+    try {
+      topicInfo = await this.getTopicInfo(topicId);
+    } catch (error) {
+      this.logger.warn('Could not load topic info for trading rules, using defaults', { topicId, error });
+    }
+
+    return resolveTradingRules(topicInfo || { topicId }, this.tradingRulesConfig);
+  }
+
+  /**
+   * Get the fee schedule of a topic
+   * Falls back to the configured rate when topic info cannot be fetched.
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<{feeRateBps: number}>}
+   */
+  async getFeeSchedule(topicId) {
+    let topicInfo = null;
+    try {
+      topicInfo = await this.getTopicInfo(topicId);
+    } catch (error) {
+      this.logger.warn('Could not load topic info for fee schedule, using configured rate', { topicId, error });
+    }
+
+    return resolveFeeSchedule(topicInfo || { topicId }, this.feesConfig);
+  }
+
+  /**
+   * Get the collateral token a topic is quoted in
+   * Topics without currency data use the configured collateralTokenAddr. If the
+   * topic cannot be loaded the error propagates: guessing the token would sign
+   * orders on a non-USDT market with the wrong token and decimals.
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<{address: string, decimals: number, symbol: string}>}
+   * @throws {Error} If the topic cannot be loaded, or the collateral's decimals are unknown (see config.collaterals)
+   */
+  async getCollateral(topicId) {
+    const topicInfo = await this.getTopicInfo(topicId);
+    return resolveCollateral(topicInfo, this.collaterals, this.collateralTokenAddr);
+  }
+
   /**
    * Create limit order by topic (auto-fetch token IDs)
    * Only need topicId and position (YES/NO), other info will be fetched automatically
@@ -313,8 +747,9 @@ class OpinionTradeSDK {
    * @param {number} params.side - Order side (0: BUY, 1: SELL)
    * @param {string} [params.volumeType='Shares'] - Volume type
    * @param {string} [params.buyInputVal='0'] - Buy input value
-   * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
    * @param {string} [params.safeRate='0'] - Safe rate
+   * @param {number|Date} [params.expiresAt] - Good-til-date expiry (Unix seconds or Date)
+   * @param {number} [params.ttlSeconds] - Good-til-date expiry relative to now (seconds)
    * @returns {Promise<object>} API response
    */
   async createOrderByTopic(params) {
@@ -326,8 +761,9 @@ class OpinionTradeSDK {
       side,
       volumeType = VolumeType.SHARES,
       buyInputVal = '0',
-      isStableCoin = true,
-      safeRate = '0'
+      safeRate = '0',
+      expiresAt,
+      ttlSeconds
     } = params;
 
     // Validate position
@@ -336,7 +772,7 @@ class OpinionTradeSDK {
       throw new Error('Position must be "YES" or "NO"');
     }
 
-    console.log(`→ Fetching topic info for Topic ${topicId}...`);
+    this.logger.debug('Fetching topic info', { topicId });
 
     // Fetch topic info to get token IDs
     const topicInfo = await this.getTopicInfo(topicId);
@@ -348,8 +784,7 @@ class OpinionTradeSDK {
       throw new Error(`${positionUpper} token ID not found for topic ${topicId}`);
     }
 
-    console.log(`✓ Topic: ${topicInfo.title}`);
-    console.log(`✓ Token ID (${positionUpper}): ${tokenId}`);
+    this.logger.debug('Resolved topic token', { topicId, title: topicInfo.title, position: positionUpper, tokenId });
 
     // Create order with the fetched token ID
     return await this.createLimitOrder({
@@ -360,8 +795,9 @@ class OpinionTradeSDK {
       side,
       volumeType,
       buyInputVal,
-      isStableCoin,
-      safeRate
+      safeRate,
+      expiresAt,
+      ttlSeconds
     });
   }
 
@@ -373,6 +809,8 @@ class OpinionTradeSDK {
    * @param {string} params.position - Position: 'YES' or 'NO'
    * @param {string} params.limitPrice - Limit price (0-100)
    * @param {string} params.shares - Number of shares
+   * @param {number|Date} [params.expiresAt] - Good-til-date expiry (Unix seconds or Date)
+   * @param {number} [params.ttlSeconds] - Good-til-date expiry relative to now (seconds)
    * @returns {Promise<object>} API response
    */
   async buyByTopic(params) {
@@ -382,6 +820,42 @@ class OpinionTradeSDK {
     });
   }
 
+  /**
+   * Buy by topic with a currency budget instead of a share count
+   * Shares are derived from the amount at the limit price (rounded up so the
+   * implied price stays within the limit), and the order is signed in amount
+   * mode so exactly `amount` is spent.
+   *
+   * @param {object} params
+   * @param {string} params.topicId - Topic ID
+   * @param {string} params.position - Position: 'YES' or 'NO'
+   * @param {string} params.amount - Amount to spend in currency (e.g. USDT)
+   * @param {string} params.limitPrice - Limit price (0-100)
+   * @param {string} [params.safeRate='0'] - Safe rate
+   * @param {number|Date} [params.expiresAt] - Good-til-date expiry (Unix seconds or Date)
+   * @param {number} [params.ttlSeconds] - Good-til-date expiry relative to now (seconds)
+   * @returns {Promise<object>} API response, with `shares` set to the derived share count
+   */
+  async buyWithAmount(params) {
+    const { amount, limitPrice, ...rest } = params;
+
+    const shares = sharesForAmount(amount, limitPrice);
+    if (parseFloat(shares) <= 0) {
+      throw new Error(`Amount ${amount} is too small to buy any shares at price ${limitPrice}`);
+    }
+
+    const response = await this.createOrderByTopic({
+      ...rest,
+      limitPrice,
+      shares,
+      side: Side.BUY,
+      volumeType: VolumeType.AMOUNT,
+      buyInputVal: String(amount)
+    });
+
+    return { ...response, shares };
+  }
+
   /**
    * Sell by topic (auto-fetch token IDs)
    *
@@ -390,6 +864,8 @@ class OpinionTradeSDK {
    * @param {string} params.position - Position: 'YES' or 'NO'
    * @param {string} params.limitPrice - Limit price (0-100)
    * @param {string} params.shares - Number of shares
+   * @param {number|Date} [params.expiresAt] - Good-til-date expiry (Unix seconds or Date)
+   * @param {number} [params.ttlSeconds] - Good-til-date expiry relative to now (seconds)
    * @returns {Promise<object>} API response
    */
   async sellByTopic(params) {
@@ -399,6 +875,92 @@ class OpinionTradeSDK {
     });
   }
 
+  /**
+   * Create a market order (市价单)
+   * Walks the current order book depth to price the fill, derives a worst-case
+   * limit price from the slippage cap and refuses if the book is too thin.
+   *
+   * @param {object} params
+   * @param {string} params.topicId - Topic ID
+   * @param {string} params.position - Position: 'YES' or 'NO'
+   * @param {number} params.side - Order side (0: BUY, 1: SELL)
+   * @param {string} [params.shares] - Number of shares to fill
+   * @param {string} [params.amount] - USDT amount to fill (alternative to shares)
+   * @param {number} [params.maxSlippage=0.05] - Max slippage relative to best price (0.05 = 5%)
+   * @param {number} [params.priceLimit] - Explicit worst-case price (0-1), overrides maxSlippage
+   * @param {string} [params.safeRate='0'] - Safe rate
+   * @returns {Promise<object>} API response
+   */
+  async createMarketOrder(params) {
+    const {
+      topicId,
+      position,
+      side,
+      shares,
+      amount,
+      maxSlippage = 0.05,
+      priceLimit,
+      safeRate = '0'
+    } = params;
+
+    const positionUpper = (position || '').toUpperCase();
+    if (positionUpper !== 'YES' && positionUpper !== 'NO') {
+      throw new Error('Position must be "YES" or "NO"');
+    }
+
+    const topicInfo = await this.getTopicInfo(topicId);
+    const tokenId = positionUpper === 'YES' ? topicInfo.yesToken : topicInfo.noToken;
+
+    if (!tokenId) {
+      throw new Error(`${positionUpper} token ID not found for topic ${topicId}`);
+    }
+
+    // Price the fill against current depth
+    const orderBookConfig = await this.topicAPI.getOrderBookConfig(topicId);
+    const orderBook = await new OrderBookAPI(orderBookConfig, { logger: this.logger }).getOrderBook(positionUpper);
+
+    if (orderBook.error) {
+      throw new Error(`Failed to fetch order book: ${orderBook.error}`);
+    }
+
+    const tradingRules = await this.getTradingRules(topicId);
+    const fill = priceMarketOrder({ orderBook, side, shares, amount, maxSlippage, priceLimit, tickSize: tradingRules.tickSize });
+
+    this.logger.info('Market order priced', {
+      side: side === Side.BUY ? 'BUY' : 'SELL',
+      shares: fill.shares.toFixed(4),
+      amount: fill.amount.toFixed(4),
+      avgPrice: fill.avgPrice.toFixed(4),
+      worstPrice: fill.worstPrice.toFixed(3),
+      limitPrice: fill.limitPrice.toFixed(3)
+    });
+
+    // Sign at the worst-case limit price so the fill can never be worse than the cap
+    const limitPrice = (fill.limitPrice * 100).toFixed(2);
+    const orderParams = {
+      topicId,
+      tokenId,
+      limitPrice,
+      side,
+      safeRate,
+      tradingMethod: TradingMethod.MARKET,
+      tradingRules
+    };
+
+    if (amount && side === Side.BUY) {
+      // Spend exactly `amount`, receiving at least amount / limit shares
+      orderParams.volumeType = VolumeType.AMOUNT;
+      orderParams.buyInputVal = String(amount);
+      orderParams.shares = sharesForAmount(amount, limitPrice);
+    } else if (amount) {
+      orderParams.shares = (Math.floor(fill.shares * 100) / 100).toFixed(2);
+    } else {
+      orderParams.shares = String(shares);
+    }
+
+    return await this.createLimitOrder(orderParams);
+  }
+
   /**
    * Clear topic cache
    *
@@ -449,6 +1011,10 @@ class OpinionTradeSDK {
       throw new Error('queryType must be 1 (OPEN) or 2 (CLOSED)');
     }
 
+    if (this.paperExchange) {
+      return await this.paperExchange.queryOrders({ queryType, topicId, page, limit });
+    }
+
     try {
       // Build URL with query parameters
       let url = `${this.apiBaseUrl}${API_ENDPOINTS.QUERY_ORDERS}?page=${page}&limit=${limit}&walletAddress=${walletAddress}&queryType=${queryType}`;
@@ -458,7 +1024,7 @@ class OpinionTradeSDK {
       }
 
       if (!this.authorizationToken) {
-        console.warn('⚠️  WARNING: No authorization token provided. API call may fail.');
+        this.logger.warn('No authorization token provided. API call may fail.');
       }
 
       const responseData = await this._makeRequest('GET', url);
@@ -475,7 +1041,7 @@ class OpinionTradeSDK {
         total
       };
     } catch (error) {
-      console.error('Query orders error:', error.message);
+      this.logger.error('Query orders error', { error });
       throw error;
     }
   }
@@ -518,6 +1084,34 @@ class OpinionTradeSDK {
     });
   }
 
+  /**
+   * Iterate over orders page by page (async generator)
+   * Pages are fetched lazily, so breaking out of the loop stops further requests.
+   *
+   * @param {object} [params]
+   * @param {string} [params.walletAddress] - Wallet address (default: signer address)
+   * @param {number} [params.queryType=1] - Query type (1: open orders, 2: closed orders)
+   * @param {string|number} [params.topicId] - Topic ID (optional)
+   * @param {number} [params.pageSize=50] - Items per request
+   * @param {number} [params.maxPages] - Stop after this many pages (default: no limit)
+   * @param {number|Date} [params.since] - Only orders created at or after this time
+   * @param {number|Date} [params.until] - Only orders created before this time
+   * @yields {object} Order record
+   */
+  async *iterateOrders(params = {}) {
+    const {
+      walletAddress = this.signerAddress,
+      queryType = OrderQueryType.OPEN,
+      topicId,
+      ...pagination
+    } = params;
+
+    yield* this._paginate(
+      (page, limit) => this.queryOrders({ walletAddress, queryType, topicId, page, limit }),
+      pagination
+    );
+  }
+
   /**
    * Query trade history (历史成交查询)
    *
@@ -540,6 +1134,10 @@ class OpinionTradeSDK {
       throw new Error('walletAddress is required');
     }
 
+    if (this.paperExchange) {
+      return await this.paperExchange.queryTrades({ topicId, page, limit });
+    }
+
     try {
       // Build URL with query parameters
       let url = `${this.apiBaseUrl}${API_ENDPOINTS.QUERY_TRADES}?page=${page}&limit=${limit}&walletAddress=${walletAddress}`;
@@ -549,7 +1147,7 @@ class OpinionTradeSDK {
       }
 
       if (!this.authorizationToken) {
-        console.warn('⚠️  WARNING: No authorization token provided. API call may fail.');
+        this.logger.warn('No authorization token provided. API call may fail.');
       }
 
       const responseData = await this._makeRequest('GET', url);
@@ -559,18 +1157,45 @@ class OpinionTradeSDK {
       const list = result.list || [];
       const total = result.total || 0;
 
-      console.log(`✓ Found ${total} trade(s), showing ${list.length}`);
+      this.logger.debug('Trades fetched', { total, count: list.length });
 
       return {
         list,
         total
       };
     } catch (error) {
-      console.error('Query trades error:', error.message);
+      this.logger.error('Query trades error', { error });
       throw error;
     }
   }
 
+  /**
+   * Iterate over trade history page by page (async generator)
+   * Pages are fetched lazily, so breaking out of the loop stops further requests.
+   *
+   * @param {object} [params]
+   * @param {string} [params.walletAddress] - Wallet address (default: signer address)
+   * @param {string|number} [params.topicId] - Topic ID (optional)
+   * @param {number} [params.pageSize=50] - Items per request
+   * @param {number} [params.maxPages] - Stop after this many pages (default: no limit)
+   * @param {number|Date} [params.since] - Only trades created at or after this time
+   * @param {number|Date} [params.until] - Only trades created before this time
+   * @param {Function} [params.onComplete] - Called once the history has been walked to its end (see _paginate)
+   * @yields {object} Trade record
+   */
+  async *iterateTrades(params = {}) {
+    const {
+      walletAddress = this.signerAddress,
+      topicId,
+      ...pagination
+    } = params;
+
+    yield* this._paginate(
+      (page, limit) => this.queryTrades({ walletAddress, topicId, page, limit }),
+      pagination
+    );
+  }
+
   /**
    * Get all trades for a wallet (获取所有历史成交)
    * Automatically fetches all pages
@@ -578,39 +1203,167 @@ class OpinionTradeSDK {
    * @param {object} params
    * @param {string} [params.walletAddress] - Wallet address (default: signer address)
    * @param {string|number} [params.topicId] - Topic ID (optional)
+   * @param {number|Date} [params.since] - Only trades created at or after this time
+   * @param {number|Date} [params.until] - Only trades created before this time
    * @returns {Promise<Array>} All trades
    */
   async getAllTrades(params = {}) {
     const walletAddress = params.walletAddress || this.signerAddress;
-    const topicId = params.topicId;
+
+    this.logger.debug('Fetching all trades', { walletAddress });
 
     const allTrades = [];
-    let page = 1;
-    const limit = 200; // 每页获取100条，减少请求次数
+    // 每页获取200条，减少请求次数
+    for await (const trade of this.iterateTrades({ ...params, walletAddress, pageSize: 200 })) {
+      allTrades.push(trade);
+    }
 
-    console.log(`→ Fetching all trades for wallet ${walletAddress}...`);
+    this.logger.debug('Fetched all trades', { count: allTrades.length });
 
-    while (true) {
-      const result = await this.queryTrades({
-        walletAddress,
-        topicId,
-        page,
-        limit
-      });
+    return allTrades;
+  }
 
-      allTrades.push(...result.list);
+  /**
+   * Internal: Walk a paginated list endpoint
+   *
+   * Stops on the reported total, on an empty page (the API has been seen
+   * returning empty pages with a stale total), or after maxPages. A page
+   * shorter than pageSize is not treated as the end, since the server may cap
+   * the page size below the one requested. Lists are newest first, so once a
+   * record is older than `since` the remaining pages are skipped.
+   *
+   * `onComplete` is called when the walk provably reached the end of the list
+   * (empty page, reported total or the `since` cutoff), not when maxPages cut
+   * it short or the consumer stopped iterating.
+   *
+   * @private
+   * @param {Function} fetchPage - async (page, limit) => { list, total }
+   * @param {object} options - { pageSize, maxPages, since, until, onComplete }
+   */
+  async *_paginate(fetchPage, options = {}) {
+    const { pageSize = 50, maxPages = Infinity, since, until, onComplete } = options;
+    const sinceTs = toUnixSeconds(since);
+    const untilTs = toUnixSeconds(until);
+
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new Error('pageSize must be a positive integer');
+    }
 
-      // 如果已经获取所有记录，退出循环
-      if (allTrades.length >= result.total) {
+    let fetched = 0;
+    let warnedUnreadable = false;
+    for (let page = 1; page <= maxPages; page++) {
+      const { list, total } = await fetchPage(page, pageSize);
+      if (list.length === 0) {
+        if (onComplete) onComplete();
         break;
       }
+      fetched += list.length;
+
+      let reachedSince = false;
+      for (const record of list) {
+        const createdAt = toUnixSeconds(record.createdAt);
+        if (createdAt === null && (sinceTs !== null || untilTs !== null) && !warnedUnreadable) {
+          warnedUnreadable = true;
+          this.logger.warn('Record has no readable createdAt, since/until limits cannot apply to it', { createdAt: record.createdAt });
+        }
+        if (createdAt !== null && untilTs !== null && createdAt >= untilTs) {
+          continue;
+        }
+        if (createdAt !== null && sinceTs !== null && createdAt < sinceTs) {
+          reachedSince = true;
+          continue;
+        }
+        yield record;
+      }
 
-      page++;
+      // A missing total (0) with records on the page is not trusted as the end
+      if (reachedSince || (total > 0 && fetched >= total)) {
+        if (onComplete) onComplete();
+        break;
+      }
     }
+  }
 
-    console.log(`✓ Fetched total ${allTrades.length} trades`);
+  /**
+   * Get the local trade ledger of a wallet
+   * Paper trades live in memory and are never written to a ledger.
+   *
+   * @param {string} [walletAddress] - Wallet address (default: signer address)
+   * @returns {TradeLedger|null} Ledger, or null in paper mode
+   */
+  getTradeLedger(walletAddress = this.signerAddress) {
+    if (this.paperExchange) {
+      return null;
+    }
 
-    return allTrades;
+    const key = walletAddress.toLowerCase();
+    if (!this.tradeLedgers.has(key)) {
+      this.tradeLedgers.set(key, new TradeLedger({
+        walletAddress: key,
+        dir: this.ledgerDir,
+        logger: this.logger
+      }));
+    }
+    return this.tradeLedgers.get(key);
+  }
+
+  /**
+   * Sync new trades into the local ledger (增量同步历史成交)
+   *
+   * @param {object} [params]
+   * @param {string} [params.walletAddress] - Wallet address (default: signer address)
+   * @returns {Promise<object>} { added, updated, total, complete }
+   */
+  async syncTrades(params = {}) {
+    const walletAddress = params.walletAddress || this.signerAddress;
+    const ledger = this.getTradeLedger(walletAddress);
+    if (!ledger) {
+      throw new Error('Trade ledger is not available in paper mode');
+    }
+
+    return ledger.sync(options => this.iterateTrades({ ...options, walletAddress }));
+  }
+
+  /**
+   * Get trades from the local ledger, syncing it first (从本地账本读取历史成交)
+   * If the sync fails but the ledger already has data, the stored trades are
+   * returned with `syncError` set, so results stay available offline.
+   *
+   * @param {object} [params]
+   * @param {string} [params.walletAddress] - Wallet address (default: signer address)
+   * @param {string|number} [params.topicId] - Topic ID (optional)
+   * @param {boolean} [params.sync=true] - Sync with the API before reading
+   * @returns {Promise<object>} { trades, lastSyncAt, syncError }
+   */
+  async getLedgerTrades(params = {}) {
+    const { topicId, sync = true } = params;
+    const walletAddress = params.walletAddress || this.signerAddress;
+
+    const ledger = this.getTradeLedger(walletAddress);
+    if (!ledger) {
+      return { trades: await this.getAllTrades({ walletAddress, topicId }), lastSyncAt: Date.now(), syncError: null };
+    }
+
+    await ledger.load();
+
+    let syncError = null;
+    if (sync) {
+      try {
+        await ledger.sync(options => this.iterateTrades({ ...options, walletAddress }));
+      } catch (error) {
+        if (ledger.getLastSyncAt() === null) {
+          throw error;
+        }
+        this.logger.warn('Trade sync failed, using local ledger', { error });
+        syncError = error.message;
+      }
+    }
+
+    return {
+      trades: ledger.getTrades({ topicId }),
+      lastSyncAt: ledger.getLastSyncAt(),
+      syncError
+    };
   }
 
   /**
@@ -622,14 +1375,16 @@ class OpinionTradeSDK {
    * - Buy: 按lastPrice买入 → 净流入 = shares × lastPrice
    * - Merge: 以0.5价格卖出 → 净流出 = shares × 0.5
    * - Sell: 按lastPrice卖出 → 净流出 = shares × lastPrice
-   * - Fee: 手续费 → 净流入 = fee / 1e18 (USDT计价)
+   * - Fee: 手续费 → 净流入 = fee / 10^decimals (计价币种)
    *
    * 盈亏 = 净流出 - 净流入 - 手续费
    *
    * @param {Array} trades - Trade history array from getAllTrades()
+   * @param {number} [decimals=18] - Collateral decimals of the `fee` field (see getCollateral)
    * @returns {object} Profit/loss summary with details
    */
-  calculateProfitLoss(trades) {
+  calculateProfitLoss(trades, decimals = COLLATERAL_TOKEN_DECIMAL) {
+    const feeScale = 10 ** decimals;
     let totalInflow = 0;   // 总流入(买入花费的USDT)
     let totalOutflow = 0;  // 总流出(卖出获得的USDT)
     let totalFees = 0;     // 总手续费(USDT)
@@ -658,8 +1413,8 @@ class OpinionTradeSDK {
       const lastPrice = parseFloat(trade.lastPrice || 0);
       const side = trade.side;
 
-      // 计算手续费（fee 字段是 wei 单位，需要除以 1e18）
-      const fee = parseFloat(trade.fee || 0) / 1e18;
+      // 计算手续费（fee 字段是计价币种的最小单位，按其精度换算）
+      const fee = parseFloat(trade.fee || 0) / feeScale;
       totalFees += fee;
 
       if (side === 'Split') {
@@ -706,34 +1461,476 @@ class OpinionTradeSDK {
   /**
    * Get profit/loss for a topic (获取指定Topic的盈亏统计)
    *
+   * Trades come from the local ledger (see getLedgerTrades); the result also
+   * carries `lastSyncAt`, `syncError` and `positions`, the per-outcome cost
+   * basis and realized PnL from positionAccounting (mark it to market with
+   * markPositions for unrealized PnL).
+   *
    * @param {object} params
    * @param {string|number} params.topicId - Topic ID
    * @param {string} [params.walletAddress] - Wallet address (default: signer address)
+   * @param {boolean} [params.sync=true] - Sync the ledger first; false returns stored data immediately
+   * @param {string} [params.costMethod='average'] - Cost basis method: 'average' or 'fifo'
    * @returns {Promise<object>} Profit/loss summary
    */
   async getProfitLoss(params) {
-    const { topicId, walletAddress } = params;
+    const { topicId, walletAddress, sync = true, costMethod = 'average' } = params;
 
-    console.log(`→ Calculating profit/loss for Topic ${topicId}...`);
+    this.logger.debug('Calculating profit/loss', { topicId });
 
-    // 获取所有历史成交
-    const trades = await this.getAllTrades({
+    // 从本地账本获取历史成交（先增量同步）
+    const { trades, lastSyncAt, syncError } = await this.getLedgerTrades({
       walletAddress,
-      topicId
+      topicId,
+      sync
+    });
+
+    // 按 YES/NO 持仓核算成本与已实现盈亏（token ID 映射用于没有 outcome 字段的记录）
+    const topicInfo = await this.getTopicInfo(topicId).catch(() => null);
+    const collateral = await this.getCollateral(topicId).catch(() => null);
+    const positions = calculatePositions(trades, {
+      method: costMethod,
+      decimals: collateral ? collateral.decimals : undefined,
+      tokenOutcomes: topicInfo ? { [topicInfo.yesToken]: 'YES', [topicInfo.noToken]: 'NO' } : {}
     });
 
     // 计算盈亏
-    const result = this.calculateProfitLoss(trades);
+    const result = {
+      ...this.calculateProfitLoss(trades, collateral ? collateral.decimals : undefined),
+      positions,
+      lastSyncAt,
+      syncError
+    };
 
-    console.log(`✓ Profit/Loss calculated:`);
-    console.log(`  Total Inflow (花费): ${result.totalInflow.toFixed(4)} USDT`);
-    console.log(`  Total Outflow (收入): ${result.totalOutflow.toFixed(4)} USDT`);
-    console.log(`  Total Fees (手续费): ${result.totalFees.toFixed(4)} USDT`);
-    console.log(`  Profit/Loss (盈亏): ${result.profitLoss.toFixed(4)} USDT`);
+    this.logger.info('Profit/loss calculated', {
+      topicId,
+      totalInflow: result.totalInflow,
+      totalOutflow: result.totalOutflow,
+      totalFees: result.totalFees,
+      profitLoss: result.profitLoss
+    });
 
     return result;
   }
 
+  /**
+   * Get profit/loss across all topics of a wallet (账户全部话题盈亏汇总)
+   *
+   * Trades come from the wallet's local ledger, which is synced without a
+   * topic filter. Totals are kept per collateral currency, since amounts in
+   * different tokens cannot be added up. Topics whose collateral could not be
+   * resolved are reported under currency 'UNKNOWN' and kept out of the other
+   * totals.
+   *
+   * @param {object} [params]
+   * @param {string} [params.walletAddress] - Wallet address (default: signer address)
+   * @param {boolean} [params.sync=true] - Sync the ledger first
+   * @param {string} [params.costMethod='average'] - Cost basis method: 'average' or 'fifo'
+   * @returns {Promise<object>} { walletAddress, generatedAt, topics, totals: { [currency]: totals }, lastSyncAt, syncError }
+   */
+  async getAccountProfitLoss(params = {}) {
+    const { sync = true, costMethod = 'average' } = params;
+    const walletAddress = params.walletAddress || this.signerAddress;
+
+    const { trades, lastSyncAt, syncError } = await this.getLedgerTrades({ walletAddress, sync });
+
+    const byTopic = new Map();
+    trades.forEach(trade => {
+      const topicId = String(trade.topicId);
+      if (!byTopic.has(topicId)) {
+        byTopic.set(topicId, []);
+      }
+      byTopic.get(topicId).push(trade);
+    });
+
+    this.logger.debug('Building account profit/loss', { walletAddress, topics: byTopic.size });
+
+    // 话题标题、token 映射和计价币种（话题信息取不到时仍输出该话题，只是缺标题）
+    const settled = await runWithConcurrency([...byTopic.keys()], 3, async (topicId) => {
+      const topicInfo = await this.getTopicInfo(topicId).catch(() => null);
+      const collateral = topicInfo
+        ? await this.getCollateral(topicId).catch(() => null)
+        : null;
+      return { topicInfo, collateral };
+    });
+
+    const topics = [...byTopic.entries()].map(([topicId, topicTrades], index) => {
+      const { topicInfo, collateral } = settled[index].value;
+      const summary = this.calculateProfitLoss(topicTrades, collateral ? collateral.decimals : undefined);
+      const accounting = calculatePositions(topicTrades, {
+        method: costMethod,
+        decimals: collateral ? collateral.decimals : undefined,
+        tokenOutcomes: topicInfo ? { [topicInfo.yesToken]: 'YES', [topicInfo.noToken]: 'NO' } : {}
+      });
+      const times = topicTrades.map(trade => toUnixSeconds(trade.createdAt)).filter(time => time !== null);
+
+      return {
+        topicId,
+        title: topicInfo ? topicInfo.title : null,
+        // 币种未知时单独归类，避免把其他代币的金额计入 USDT 合计
+        currency: collateral && collateral.symbol ? collateral.symbol : 'UNKNOWN',
+        tradeCount: summary.tradeCount,
+        successCount: summary.successCount,
+        failedCount: summary.failedCount,
+        totalInflow: summary.totalInflow,
+        totalOutflow: summary.totalOutflow,
+        totalFees: summary.totalFees,
+        profitLoss: summary.profitLoss,
+        realizedPnl: accounting.realizedPnl,
+        openYesShares: accounting.positions.YES.shares,
+        openNoShares: accounting.positions.NO.shares,
+        openCostBasis: accounting.positions.YES.costBasis + accounting.positions.NO.costBasis,
+        firstTradeAt: times.length > 0 ? Math.min(...times) : null,
+        lastTradeAt: times.length > 0 ? Math.max(...times) : null
+      };
+    }).sort((a, b) => (b.lastTradeAt || 0) - (a.lastTradeAt || 0));
+
+    const totals = {};
+    const summedFields = ['tradeCount', 'successCount', 'failedCount', 'totalInflow', 'totalOutflow',
+      'totalFees', 'profitLoss', 'realizedPnl', 'openCostBasis'];
+    topics.forEach(topic => {
+      if (!totals[topic.currency]) {
+        totals[topic.currency] = Object.fromEntries(summedFields.map(field => [field, 0]));
+        totals[topic.currency].topicCount = 0;
+      }
+      const currencyTotals = totals[topic.currency];
+      summedFields.forEach(field => {
+        currencyTotals[field] += topic[field];
+      });
+      currencyTotals.topicCount++;
+    });
+
+    this.logger.info('Account profit/loss calculated', { walletAddress, topics: topics.length });
+
+    return {
+      walletAddress: walletAddress.toLowerCase(),
+      generatedAt: new Date().toISOString(),
+      costMethod,
+      topics,
+      totals,
+      lastSyncAt,
+      syncError
+    };
+  }
+
+  /**
+   * Get the provider used for on-chain calls
+   * @returns {object} ethers provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new ethers.JsonRpcProvider(this.rpcUrl, this.chainId, { staticNetwork: true });
+    }
+    return this.provider;
+  }
+
+  /**
+   * Get the executor for transactions sent from the Safe (maker address)
+   * @returns {SafeTransactor}
+   */
+  getSafeTransactor() {
+    if (this.isPaperMode()) {
+      throw new Error('On-chain Safe transactions are not available in paper mode');
+    }
+
+    if (!this.safeTransactor) {
+      this.safeTransactor = new SafeTransactor({
+        safeAddress: this.makerAddress,
+        signer: this.signer,
+        provider: this.getProvider(),
+        chainId: this.chainId,
+        logger: this.logger
+      });
+    }
+    return this.safeTransactor;
+  }
+
+  /**
+   * Get the Safe's YES / NO balances of a topic
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<object>} { YES, NO } in base units (bigint), plus { decimals, collateral }
+   */
+  async getPositionBalances(topicId) {
+    const topicInfo = await this.getTopicInfo(topicId);
+    const collateral = await this.getCollateral(topicId);
+
+    if (!topicInfo.yesToken || !topicInfo.noToken) {
+      throw new Error(`Topic ${topicId} is missing its YES/NO token IDs`);
+    }
+
+    const [yes, no] = await getPositionBalances(
+      this.getProvider(),
+      this.conditionalTokensAddr,
+      this.makerAddress,
+      [topicInfo.yesToken, topicInfo.noToken]
+    );
+
+    return { YES: yes, NO: no, decimals: collateral.decimals, collateral };
+  }
+
+  /**
+   * Split collateral into YES + NO outcome tokens
+   * `amount` collateral from the Safe becomes `amount` YES and `amount` NO.
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {string|number} amount - Collateral amount (e.g. '10' = 10 USDT)
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only build the transaction and return its calldata
+   * @returns {Promise<object>} SafeTransactor.execute result plus { action, topicId, amount }
+   */
+  async splitPosition(topicId, amount, options = {}) {
+    return await this._conditionalTokensCall('split', topicId, amount, options);
+  }
+
+  /**
+   * Merge YES + NO pairs back into collateral
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {string|number} amount - Number of pairs, or 'max' for every complete pair the Safe holds
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only build the transaction and return its calldata
+   * @returns {Promise<object>} SafeTransactor.execute result plus { action, topicId, amount }
+   */
+  async mergePositions(topicId, amount, options = {}) {
+    return await this._conditionalTokensCall('merge', topicId, amount, options);
+  }
+
+  /**
+   * Internal: Build and run a split / merge call from the Safe
+   * @private
+   */
+  async _conditionalTokensCall(action, topicId, amount, options) {
+    const safe = this.getSafeTransactor();
+    const topicInfo = await this.getTopicInfo(topicId);
+    const collateral = await this.getCollateral(topicId);
+    const conditionId = this._getConditionId(topicInfo);
+
+    const isMax = action === 'merge' && amount === 'max';
+    let baseAmount;
+    if (isMax) {
+      const balances = await this.getPositionBalances(topicId);
+      baseAmount = balances.YES < balances.NO ? balances.YES : balances.NO;
+    } else {
+      try {
+        baseAmount = ethers.parseUnits(String(amount), collateral.decimals);
+      } catch (error) {
+        throw new Error(`Invalid amount ${amount}: ${error.message}`);
+      }
+    }
+
+    if (baseAmount <= 0n) {
+      throw new Error(isMax ? `No complete YES+NO pairs to merge in topic ${topicId}` : 'Amount must be positive');
+    }
+
+    const encode = action === 'split' ? encodeSplitPosition : encodeMergePositions;
+    const data = encode({ collateralToken: collateral.address, conditionId, amount: baseAmount });
+
+    this.logger.info(action === 'split' ? 'Splitting position' : 'Merging positions', {
+      topicId,
+      amount: ethers.formatUnits(baseAmount, collateral.decimals),
+      collateral: collateral.symbol,
+      dryRun: !!options.dryRun
+    });
+
+    const result = await safe.execute({ to: this.conditionalTokensAddr, data }, options);
+
+    return {
+      ...result,
+      action,
+      topicId,
+      amount: ethers.formatUnits(baseAmount, collateral.decimals)
+    };
+  }
+
+  /**
+   * Internal: Condition ID of a topic
+   * @private
+   */
+  _getConditionId(topicInfo) {
+    // Topic caches written before conditionId was parsed still carry it in raw
+    const conditionId = topicInfo.conditionId ?? (topicInfo.raw && topicInfo.raw.conditionId);
+    if (!conditionId) {
+      throw new Error(`Topic ${topicInfo.topicId} has no conditionId`);
+    }
+    return conditionId;
+  }
+
+  /**
+   * Preview redeeming a topic's outcome tokens held by the Safe
+   * Topic status is always refetched, since the cached copy may predate resolution.
+   *
+   * @param {string|number} topicId - Topic ID
+   * @returns {Promise<object>} { topicId, title, status, resolved, reported, redeemable, collateral, positions, totalRedeemable }
+   */
+  async getRedemptionPreview(topicId) {
+    const topicInfo = await this.getTopicInfo(topicId, true);
+    const preview = {
+      topicId: String(topicId),
+      title: topicInfo.title,
+      status: topicInfo.status,
+      resolved: isTopicResolved(topicInfo),
+      reported: false,
+      redeemable: false,
+      collateral: null,
+      positions: [],
+      totalRedeemable: '0'
+    };
+
+    if (!preview.resolved) {
+      return preview;
+    }
+
+    const [balances, payouts] = await Promise.all([
+      this.getPositionBalances(topicId),
+      getPayouts(this.getProvider(), this.conditionalTokensAddr, this._getConditionId(topicInfo))
+    ]);
+    const redemption = computeRedemption({
+      balances: [balances.YES, balances.NO],
+      payouts,
+      decimals: balances.decimals
+    });
+
+    return {
+      ...preview,
+      ...redemption,
+      collateral: balances.collateral,
+      // Held tokens are burnt even when they pay nothing, so any balance is worth redeeming
+      redeemable: redemption.reported && (balances.YES > 0n || balances.NO > 0n)
+    };
+  }
+
+  /**
+   * Redeem a resolved topic's outcome tokens for collateral
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only build the transaction and return its calldata
+   * @returns {Promise<object>} SafeTransactor.execute result plus { action, topicId, amount, preview }
+   */
+  async redeemPositions(topicId, options = {}) {
+    const safe = this.getSafeTransactor();
+    const preview = await this.getRedemptionPreview(topicId);
+
+    if (!preview.resolved) {
+      throw new Error(`Topic ${topicId} is not resolved (status ${preview.status})`);
+    }
+    if (!preview.reported) {
+      throw new Error(`Topic ${topicId} is resolved but the payout is not reported on-chain yet`);
+    }
+    if (!preview.redeemable) {
+      throw new Error(`No outcome tokens to redeem in topic ${topicId}`);
+    }
+
+    const topicInfo = await this.getTopicInfo(topicId);
+    const data = encodeRedeemPositions({
+      collateralToken: preview.collateral.address,
+      conditionId: this._getConditionId(topicInfo)
+    });
+
+    this.logger.info('Redeeming positions', {
+      topicId,
+      amount: preview.totalRedeemable,
+      collateral: preview.collateral.symbol,
+      dryRun: !!options.dryRun
+    });
+
+    const result = await safe.execute({ to: this.conditionalTokensAddr, data }, options);
+
+    return {
+      ...result,
+      action: 'redeem',
+      topicId: preview.topicId,
+      amount: preview.totalRedeemable,
+      preview
+    };
+  }
+
+  /**
+   * Redeem every resolved topic the Safe holds outcome tokens in
+   * Candidates default to every topic in the trade ledger. Previews run
+   * concurrently; redemptions are sent one at a time (each one uses the next
+   * Safe nonce). A failing topic does not stop the rest.
+   *
+   * @param {object} [params]
+   * @param {Array<string|number>} [params.topicIds] - Topics to check (default: topics in the trade ledger)
+   * @param {boolean} [params.dryRun=false] - Only build the transactions
+   * @param {boolean} [params.sync=true] - Sync the trade ledger before collecting topics
+   * @param {number} [params.concurrency=3] - Max previews in flight at once
+   * @returns {Promise<object>} { checked, redeemable, succeeded, failed, previewErrors, results: [{ topicId, title, ok, amount, currency, result, error }] }
+   */
+  async redeemAllResolved(params = {}) {
+    const { dryRun = false, sync = true, concurrency = 3 } = params;
+    this.getSafeTransactor();
+
+    let { topicIds } = params;
+    if (!topicIds) {
+      const { trades } = await this.getLedgerTrades({ walletAddress: this.signerAddress, sync });
+      topicIds = [...new Set(trades.map(trade => String(trade.topicId)))];
+    }
+
+    const settled = await runWithConcurrency(topicIds, concurrency, topicId => this.getRedemptionPreview(topicId));
+    const previewErrors = settled
+      .filter(item => item.status === 'rejected')
+      .map(item => ({ topicId: String(topicIds[item.index]), error: item.error.message }));
+    const candidates = settled
+      .filter(item => item.status === 'fulfilled' && item.value.redeemable)
+      .map(item => item.value);
+
+    this.logger.info('Redeeming resolved topics', { checked: topicIds.length, redeemable: candidates.length, dryRun });
+
+    const results = [];
+    for (const preview of candidates) {
+      const entry = {
+        topicId: preview.topicId,
+        title: preview.title,
+        amount: preview.totalRedeemable,
+        currency: preview.collateral.symbol
+      };
+      try {
+        results.push({ ...entry, ok: true, result: await this.redeemPositions(preview.topicId, { dryRun }), error: null });
+      } catch (error) {
+        this.logger.warn('Redemption failed', { topicId: preview.topicId, error });
+        results.push({ ...entry, ok: false, result: null, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.ok).length;
+
+    return {
+      checked: topicIds.length,
+      redeemable: candidates.length,
+      succeeded,
+      failed: results.length - succeeded,
+      previewErrors,
+      results
+    };
+  }
+
+  /**
+   * Grant missing exchange approvals from the Safe
+   * Each approval is its own Safe transaction, sent one at a time.
+   *
+   * @param {Array<object>} missing - [{ type: 'erc20'|'erc1155', address, symbol }], e.g. InventoryManager.checkApprovals().missing
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only build the transactions
+   * @param {string} [options.spender] - Contract to approve (default: exchange)
+   * @returns {Promise<Array<object>>} SafeTransactor.execute results plus { description }
+   */
+  async grantApprovals(missing, options = {}) {
+    const { dryRun = false, spender } = options;
+    const safe = this.getSafeTransactor();
+    const calls = buildApprovalCalls(missing, spender);
+
+    const results = [];
+    for (const call of calls) {
+      this.logger.info('Granting approval', { description: call.description, dryRun });
+      const result = await safe.execute({ to: call.to, data: call.data }, { dryRun });
+      results.push({ ...result, description: call.description });
+    }
+    return results;
+  }
+
   /**
    * Cancel an order (取消订单)
    *
@@ -752,48 +1949,152 @@ class OpinionTradeSDK {
       throw new Error('transNo (order ID) is required');
     }
 
+    if (this.paperExchange) {
+      return await this.paperExchange.cancelOrder({ transNo });
+    }
+
     try {
       const url = `${this.apiBaseUrl}/v1/order/cancel/order`;
-      console.log('\n========== 撤销订单调试信息 ==========');
-      console.log('Request URL:', url);
-      console.log('Order ID (trans_no):', transNo);
-      console.log('Chain ID:', chainId);
 
       const payload = {
         trans_no: transNo,
         chainId: chainId
       };
 
-      console.log('Request Payload:', JSON.stringify(payload, null, 2));
+      this.logger.debug('Cancelling order', { url, payload });
 
-      if (this.authorizationToken) {
-        const token = this.authorizationToken.startsWith('Bearer ')
-          ? this.authorizationToken
-          : `Bearer ${this.authorizationToken}`;
-        console.log('Authorization:', token.substring(0, 20) + '...' + token.substring(token.length - 10));
-      } else {
-        console.warn('⚠️  WARNING: No authorization token provided. API call may fail.');
+      if (!this.authorizationToken) {
+        this.logger.warn('No authorization token provided. API call may fail.');
       }
 
-      console.log('\n发送请求中...\n');
-
-      const responseData = await this._makeRequest('POST', url, payload);
+      const responseData = await this._makeRequest('POST', url, payload, { priority: Priority.CRITICAL });
 
-      console.log('\nParsed Response:', JSON.stringify(responseData, null, 2));
-      console.log('✓ Order cancelled successfully');
+      this.logger.debug('Cancel order response', { response: responseData });
+      this.logger.info('Order cancelled', { transNo });
 
       return responseData;
     } catch (error) {
-      console.error('\n========== 错误信息 ==========');
-      console.error('Error Type:', error.constructor.name);
-      console.error('Error Message:', error.message);
-      if (error.stack) {
-        console.error('Stack Trace:', error.stack);
-      }
-      console.error('================================\n');
+      this.logger.error('Cancel order error', { transNo, error });
       throw error;
     }
   }
+
+  /**
+   * Place multiple orders (批量下单)
+   * Orders with a `position` go through createOrderByTopic, orders with a `tokenId`
+   * through createLimitOrder. A failing order does not stop the rest of the batch.
+   *
+   * @param {Array<object>} orders - Order params (same shape as createOrderByTopic / createLimitOrder)
+   * @param {object} [options]
+   * @param {number} [options.concurrency=3] - Max orders in flight at once
+   * @returns {Promise<object>} { total, succeeded, failed, results: [{ index, ok, params, response, error }] }
+   */
+  async placeOrders(orders, options = {}) {
+    const { concurrency = 3 } = options;
+
+    if (!Array.isArray(orders)) {
+      throw new Error('orders must be an array');
+    }
+
+    const settled = await runWithConcurrency(orders, concurrency, (params) => {
+      return params.position
+        ? this.createOrderByTopic(params)
+        : this.createLimitOrder(params);
+    });
+
+    return this._buildBatchReport(settled, orders, 'params');
+  }
+
+  /**
+   * Cancel multiple orders (批量撤单)
+   *
+   * @param {Array<string|object>} orders - transNo strings or order objects with a transNo
+   * @param {object} [options]
+   * @param {number} [options.concurrency=3] - Max cancels in flight at once
+   * @returns {Promise<object>} { total, succeeded, failed, results: [{ index, ok, transNo, response, error }] }
+   */
+  async cancelOrders(orders, options = {}) {
+    const { concurrency = 3 } = options;
+
+    if (!Array.isArray(orders)) {
+      throw new Error('orders must be an array');
+    }
+
+    const transNos = orders.map(order => typeof order === 'object' && order !== null ? order.transNo : order);
+
+    const settled = await runWithConcurrency(transNos, concurrency, (transNo) => {
+      return this.cancelOrder({ transNo });
+    });
+
+    return this._buildBatchReport(settled, transNos, 'transNo');
+  }
+
+  /**
+   * Cancel all open orders matching a filter (一键撤单)
+   * Collects every matching open order across all pages first, then cancels them.
+   *
+   * @param {object} [params]
+   * @param {string|number} [params.topicId] - Topic ID (optional, all topics if omitted)
+   * @param {string} [params.outcome] - 'YES' or 'NO' (optional)
+   * @param {string} [params.side] - 'BUY' or 'SELL' (optional)
+   * @param {number} [params.concurrency=3] - Max cancels in flight at once
+   * @returns {Promise<object>} Batch report from cancelOrders, plus the matched orders
+   */
+  async cancelAll(params = {}) {
+    const { topicId, outcome, side, concurrency = 3 } = params;
+
+    // 订单记录中 side: 1 = BUY, 2 = SELL
+    let sideFilter = null;
+    if (side) {
+      const sideUpper = side.toUpperCase();
+      if (sideUpper !== 'BUY' && sideUpper !== 'SELL') {
+        throw new Error('side must be "BUY" or "SELL"');
+      }
+      sideFilter = sideUpper === 'BUY' ? 1 : 2;
+    }
+
+    const outcomeFilter = outcome ? outcome.toUpperCase() : null;
+    const openOrders = [];
+    for await (const order of this.iterateOrders({ topicId, queryType: OrderQueryType.OPEN })) {
+      openOrders.push(order);
+    }
+
+    const matched = openOrders.filter(order => {
+      if (outcomeFilter && (order.outcome || '').toUpperCase() !== outcomeFilter) return false;
+      if (sideFilter && order.side !== sideFilter) return false;
+      return true;
+    });
+
+    const report = await this.cancelOrders(matched, { concurrency });
+
+    return {
+      ...report,
+      orders: matched
+    };
+  }
+
+  /**
+   * Internal: Build a per-item report from settled batch results
+   * @private
+   */
+  _buildBatchReport(settled, inputs, inputKey) {
+    const results = settled.map(item => ({
+      index: item.index,
+      ok: item.status === 'fulfilled',
+      [inputKey]: inputs[item.index],
+      response: item.status === 'fulfilled' ? item.value : null,
+      error: item.status === 'rejected' ? item.error.message : null
+    }));
+
+    const succeeded = results.filter(r => r.ok).length;
+
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
 }
 
 
@@ -1,4 +1,5 @@
-const { defaultClient } = require('../network');
+const { defaultClient, Priority } = require('../network');
+const { defaultLogger } = require('../logger');
 
 /**
  * 订单簿API管理类
@@ -10,8 +11,11 @@ class OrderBookAPI {
    * @param {Object} config.tokens - Token配置 {YES: string, NO: string}
    * @param {string} config.chainId - Chain ID (默认56)
    * @param {string} config.title - Topic标题 (可选)
+   * @param {Object} [options]
+   * @param {Logger} [options.logger] - 日志实例（见 src/logger）
    */
-  constructor(config) {
+  constructor(config, options = {}) {
+    const { logger = defaultLogger } = options;
     this.baseUrl = 'https://proxy.opinion.trade:8443/api/bsc/api/v2/order/market/depth';
 
     if (!config) {
@@ -27,6 +31,7 @@ class OrderBookAPI {
     this.tokens = config.tokens;
     this.chainId = config.chainId || '56';
     this.title = config.title || '';
+    this.logger = logger.child({ component: 'OrderBookAPI' });
   }
 
   /**
@@ -42,11 +47,12 @@ class OrderBookAPI {
       const url = `${this.baseUrl}?symbol_types=${symbolType}&question_id=${this.questionId}&symbol=${symbol}&chainId=${this.chainId}`;
 
       // 使用统一的网络请求客户端
-      const data = await defaultClient.get(url, { timeout: 10000 });
+      // 订单簿轮询优先级最低，排队时让位于下单/撤单
+      const data = await defaultClient.get(url, { timeout: 10000, priority: Priority.LOW });
 
       return this.parseOrderBook(data, type);
     } catch (error) {
-      console.error(`获取${type}订单簿失败:`, error.message);
+      this.logger.error(`获取${type}订单簿失败`, { type, error });
       return {
         type: type,
         error: error.message,
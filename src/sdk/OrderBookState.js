@@ -0,0 +1,176 @@
+const { EventEmitter } = require('events');
+
+/**
+ * 本地盘口状态
+ *
+ * 保存 YES / NO 两边最近一次盘口快照，与新快照逐档比较，得出挂单档位的变化：
+ *   added    新出现的价位
+ *   removed  消失的价位
+ *   resized  价位仍在，数量变化
+ *
+ * 并从最优档位的消耗推断成交：从旧盘口的最优价开始，连续被吃掉（数量减少或整档消失）、
+ * 且价格不劣于新盘口最优价的档位，视为被主动单成交。买盘被消耗对应主动卖出，卖盘对应主动买入。
+ * 快照之间撤单和成交无法区分，最优档位撤单也会被记为成交，仅作参考。
+ *
+ * 事件:
+ *   'level' ({ kind, outcome, side, price, amount, previousAmount, delta, depth })  档位变化
+ *   'trade' ({ outcome, side, price, amount })                                      推断的成交
+ */
+class OrderBookState extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.flashDuration=1500] - 变化档位的高亮时长（毫秒），见 getRecentChanges
+   */
+  constructor(options = {}) {
+    super();
+    const { flashDuration = 1500 } = options;
+
+    this.flashDuration = flashDuration;
+    this.books = { YES: null, NO: null };
+    // 最近变化的档位: outcome -> Map('bid:0.4500' -> { kind, at })
+    this.changes = { YES: new Map(), NO: new Map() };
+  }
+
+  /**
+   * 应用一边的新快照，返回与上一快照的差异
+   * 首个快照只作为基准；拉取失败（带 error）的快照忽略，保留原状态
+   *
+   * @param {string} outcome - 'YES' 或 'NO'
+   * @param {Object} book - OrderBookAPI.parseOrderBook 返回的盘口
+   * @returns {Object} { levels: [...], trades: [...] }
+   */
+  apply(outcome, book) {
+    const result = { levels: [], trades: [] };
+    if (!book || book.error) return result;
+
+    const previous = this.books[outcome];
+    this.books[outcome] = book;
+    if (!previous) return result;
+
+    ['bid', 'ask'].forEach(side => {
+      const key = side === 'bid' ? 'bids' : 'asks';
+      const prevLevels = previous[key] || [];
+      const nextLevels = book[key] || [];
+
+      result.levels.push(...this.diffLevels(outcome, side, prevLevels, nextLevels));
+      result.trades.push(...this.inferTrades(outcome, side, prevLevels, nextLevels));
+    });
+
+    const now = Date.now();
+    const changes = this.changes[outcome];
+    result.levels.forEach(level => {
+      changes.set(levelKey(level.side, level.price), { kind: level.kind, at: now });
+    });
+    result.trades.forEach(trade => {
+      const side = trade.side === 'SELL' ? 'bid' : 'ask';
+      changes.set(levelKey(side, trade.price), { kind: 'trade', at: now });
+    });
+
+    result.levels.forEach(level => this.emit('level', level));
+    result.trades.forEach(trade => this.emit('trade', trade));
+
+    return result;
+  }
+
+  /**
+   * 逐档比较一侧盘口
+   * @param {Array} prevLevels - 旧档位（最优价在前）
+   * @param {Array} nextLevels - 新档位（最优价在前）
+   * @returns {Array} 档位变化，depth 为该价位在所在盘口中的档位序号（0 = 最优）
+   */
+  diffLevels(outcome, side, prevLevels, nextLevels) {
+    const events = [];
+    const prevByPrice = new Map(prevLevels.map((level, depth) => [priceKey(level.price), { level, depth }]));
+    const nextPrices = new Set();
+
+    nextLevels.forEach((level, depth) => {
+      const key = priceKey(level.price);
+      nextPrices.add(key);
+      const prev = prevByPrice.get(key);
+
+      if (!prev) {
+        events.push({ kind: 'added', outcome, side, price: level.price, amount: level.amount, previousAmount: 0, delta: level.amount, depth });
+      } else if (!sameAmount(prev.level.amount, level.amount)) {
+        events.push({
+          kind: 'resized',
+          outcome,
+          side,
+          price: level.price,
+          amount: level.amount,
+          previousAmount: prev.level.amount,
+          delta: level.amount - prev.level.amount,
+          depth
+        });
+      }
+    });
+
+    prevByPrice.forEach(({ level, depth }, key) => {
+      if (nextPrices.has(key)) return;
+      events.push({ kind: 'removed', outcome, side, price: level.price, amount: 0, previousAmount: level.amount, delta: -level.amount, depth });
+    });
+
+    return events;
+  }
+
+  /**
+   * 从最优档位的消耗推断成交
+   * 新盘口一侧为空时不推断（无法区分扫单和异常的空快照）
+   */
+  inferTrades(outcome, side, prevLevels, nextLevels) {
+    const trades = [];
+    if (nextLevels.length === 0) return trades;
+
+    const nextBest = nextLevels[0].price;
+    const nextByPrice = new Map(nextLevels.map(level => [priceKey(level.price), level]));
+    // 买盘被吃 = 主动卖出；卖盘被吃 = 主动买入
+    const tradeSide = side === 'bid' ? 'SELL' : 'BUY';
+
+    for (const level of prevLevels) {
+      const reachedTouch = side === 'bid' ? level.price >= nextBest - 1e-9 : level.price <= nextBest + 1e-9;
+      if (!reachedTouch) break;
+
+      const next = nextByPrice.get(priceKey(level.price));
+      const remaining = next ? next.amount : 0;
+      if (remaining >= level.amount || sameAmount(remaining, level.amount)) break;
+
+      trades.push({ outcome, side: tradeSide, price: level.price, amount: level.amount - remaining });
+    }
+
+    return trades;
+  }
+
+  /**
+   * 最近变化、仍在高亮时长内的档位
+   * @param {string} outcome - 'YES' 或 'NO'
+   * @returns {Map} 'bid:0.4500' / 'ask:0.4700' -> kind（added | resized | removed | trade）
+   */
+  getRecentChanges(outcome) {
+    const changes = this.changes[outcome];
+    const cutoff = Date.now() - this.flashDuration;
+    const recent = new Map();
+
+    changes.forEach((change, key) => {
+      if (change.at < cutoff) {
+        changes.delete(key);
+      } else {
+        recent.set(key, change.kind);
+      }
+    });
+
+    return recent;
+  }
+}
+
+function priceKey(price) {
+  return price.toFixed(4);
+}
+
+function levelKey(side, price) {
+  return `${side}:${priceKey(price)}`;
+}
+
+function sameAmount(a, b) {
+  return Math.abs(a - b) < 1e-9;
+}
+
+module.exports = OrderBookState;
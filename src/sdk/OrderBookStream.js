@@ -0,0 +1,321 @@
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { defaultLogger } = require('../logger');
+
+/**
+ * 订单簿推送客户端
+ *
+ * 通过 WebSocket 订阅 YES / NO 两个盘口的深度推送，替代定时轮询 REST 接口。
+ * 连接断开时按指数退避重连，重连后自动重新订阅；心跳超时视为断线。
+ * 未配置推送地址或推送不可用期间，回退为按 pollInterval 轮询 OrderBookAPI。
+ *
+ * 推送协议（JSON 文本帧）:
+ *   客户端 -> { action: 'subscribe', channel: 'depth', questionId, symbol, symbolType }
+ *   客户端 -> { action: 'ping' }
+ *   服务端 -> { action: 'pong' }
+ *   服务端 -> { channel: 'depth', symbol, data: { bids, asks, last_price } }   // 全量快照，格式同 REST 深度接口
+ *
+ * 事件:
+ *   'book'   ({ type, book, books, source })  某一边盘口更新，source 为 'stream' | 'poll'
+ *   'status' (status)                         连接状态变化，见 getStatus()
+ */
+class OrderBookStream extends EventEmitter {
+  /**
+   * @param {OrderBookAPI} orderBookAPI - 提供 token 配置、快照和深度解析
+   * @param {Object} [options]
+   * @param {string} [options.url] - WebSocket 地址，未配置时只轮询
+   * @param {number} [options.pollInterval=5000] - 轮询间隔（毫秒）
+   * @param {number} [options.heartbeatInterval=15000] - 心跳间隔（毫秒）
+   * @param {number} [options.heartbeatTimeout=10000] - 心跳后多久没有任何消息视为断线（毫秒）
+   * @param {number} [options.reconnectDelay=1000] - 首次重连等待（毫秒），之后翻倍
+   * @param {number} [options.maxReconnectDelay=30000] - 重连等待上限（毫秒）
+   * @param {Function} [options.WebSocket] - WebSocket 实现（默认 ws）
+   * @param {Logger} [options.logger] - 日志实例（见 src/logger）
+   */
+  constructor(orderBookAPI, options = {}) {
+    super();
+    const {
+      url = null,
+      pollInterval = 5000,
+      heartbeatInterval = 15000,
+      heartbeatTimeout = 10000,
+      reconnectDelay = 1000,
+      maxReconnectDelay = 30000,
+      WebSocket: WebSocketImpl = WebSocket,
+      logger = defaultLogger
+    } = options;
+
+    this.orderBookAPI = orderBookAPI;
+    this.url = url;
+    this.pollInterval = pollInterval;
+    this.heartbeatInterval = heartbeatInterval;
+    this.heartbeatTimeout = heartbeatTimeout;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.WebSocket = WebSocketImpl;
+    this.logger = logger.child({ component: 'OrderBookStream' });
+
+    this.books = { YES: null, NO: null };
+    this.ws = null;
+    this.running = false;
+    this.connected = false;
+    this.reconnectAttempts = 0;
+    this.lastMessageAt = null;
+
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.isPolling = false;
+    this.pollInFlight = false;
+  }
+
+  /**
+   * 启动：先拉取一次快照，再连接推送（未配置地址时直接轮询）
+   * @returns {Promise<Object>} 首次快照 { YES, NO }
+   */
+  async start() {
+    if (this.running) return this.books;
+    this.running = true;
+
+    await this.poll();
+
+    if (this.url) {
+      this.connect();
+    } else {
+      this.startPolling();
+    }
+
+    return this.books;
+  }
+
+  /**
+   * 停止：关闭连接并清理所有定时器
+   */
+  stop() {
+    this.running = false;
+    this.stopPolling();
+    this.clearHeartbeat();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.terminate();
+      this.ws = null;
+    }
+    this.connected = false;
+    this.emitStatus();
+  }
+
+  /**
+   * 当前状态
+   * @returns {Object} { mode: 'stream'|'poll'|'connecting'|'stopped', streamConfigured, connected, reconnectAttempts, lastMessageAt }
+   */
+  getStatus() {
+    let mode = 'stopped';
+    if (this.running) {
+      if (this.connected) mode = 'stream';
+      else if (this.isPolling) mode = 'poll';
+      else mode = 'connecting';
+    }
+    return {
+      mode,
+      streamConfigured: this.url !== null,
+      connected: this.connected,
+      reconnectAttempts: this.reconnectAttempts,
+      lastMessageAt: this.lastMessageAt
+    };
+  }
+
+  /**
+   * 建立 WebSocket 连接
+   */
+  connect() {
+    if (!this.running) return;
+
+    const ws = new this.WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      this.logger.info('订单簿推送已连接', { url: this.url });
+
+      this.subscribe();
+      this.startHeartbeat();
+      this.stopPolling();
+      this.emitStatus();
+    });
+
+    ws.on('message', (raw) => {
+      this.lastMessageAt = Date.now();
+      this.handleMessage(raw);
+    });
+
+    ws.on('close', () => {
+      this.handleDisconnect();
+    });
+
+    ws.on('error', (error) => {
+      // 随后会触发 close，在那里统一重连
+      this.logger.warn('订单簿推送连接错误', { error });
+    });
+  }
+
+  /**
+   * 订阅 YES / NO 两个盘口
+   */
+  subscribe() {
+    ['YES', 'NO'].forEach(type => {
+      this.send({
+        action: 'subscribe',
+        channel: 'depth',
+        questionId: this.orderBookAPI.questionId,
+        symbol: this.orderBookAPI.tokens[type],
+        symbolType: type === 'YES' ? '0' : '1'
+      });
+    });
+  }
+
+  /**
+   * 发送 JSON 消息（连接未就绪时丢弃）
+   */
+  send(message) {
+    if (this.ws && this.ws.readyState === this.WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * 处理推送消息
+   */
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.logger.warn('无法解析的推送消息', { length: raw.length });
+      return;
+    }
+
+    if (message.channel !== 'depth' || !message.data) return;
+
+    const type = Object.keys(this.orderBookAPI.tokens)
+      .find(key => String(this.orderBookAPI.tokens[key]) === String(message.symbol));
+    if (!type) return;
+
+    this.updateBook(type, this.orderBookAPI.parseOrderBook(message.data, type), 'stream');
+  }
+
+  /**
+   * 连接断开：切换到轮询，并安排重连
+   */
+  handleDisconnect() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.ws = null;
+    this.clearHeartbeat();
+
+    if (!this.running) return;
+
+    if (wasConnected) {
+      this.logger.warn('订单簿推送断开，临时改为轮询');
+    }
+    this.startPolling();
+
+    const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+
+    this.emitStatus();
+  }
+
+  /**
+   * 心跳：定时 ping，超过 heartbeatInterval + heartbeatTimeout 没有收到任何消息则断开重连
+   */
+  startHeartbeat() {
+    this.clearHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.heartbeatInterval + this.heartbeatTimeout) {
+        this.logger.warn('订单簿推送心跳超时，重新连接');
+        this.ws.terminate();
+        return;
+      }
+      this.send({ action: 'ping' });
+    }, this.heartbeatInterval);
+  }
+
+  clearHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * 开始轮询（已在轮询时不重复启动）
+   */
+  startPolling() {
+    if (this.isPolling || !this.running) return;
+    this.isPolling = true;
+    this.pollTimer = setInterval(() => this.pollTick(), this.pollInterval);
+    this.emitStatus();
+  }
+
+  /**
+   * 定时轮询一轮：上一次拉取尚未完成时跳过，避免慢请求堆积；失败只记录日志
+   */
+  pollTick() {
+    if (this.pollInFlight) return;
+    this.pollInFlight = true;
+    this.poll()
+      .catch(error => {
+        this.logger.error('轮询订单簿失败', { error });
+      })
+      .finally(() => {
+        this.pollInFlight = false;
+      });
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isPolling = false;
+  }
+
+  /**
+   * 通过 REST 拉取一次两边盘口
+   * @returns {Promise<Object>} { YES, NO }
+   */
+  async poll() {
+    const books = await this.orderBookAPI.getBothOrderBooks();
+    ['YES', 'NO'].forEach(type => {
+      // 拉取失败（带 error 的空盘口）时保留已有数据
+      if (books[type].error && this.books[type]) return;
+      this.updateBook(type, books[type], 'poll');
+    });
+    return this.books;
+  }
+
+  /**
+   * 更新一边盘口并通知订阅方
+   */
+  updateBook(type, book, source) {
+    this.books[type] = book;
+    this.emit('book', { type, book, books: this.books, source });
+  }
+
+  emitStatus() {
+    this.emit('status', this.getStatus());
+  }
+}
+
+module.exports = OrderBookStream;
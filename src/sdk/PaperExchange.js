@@ -0,0 +1,495 @@
+const { ethers  } = require('ethers');
+const { Side, TradingMethod, OrderQueryType, OrderStatus  } = require('./constants');
+const { fromWei, getCurrentTimestamp  } = require('./utils');
+const { resolveCollateral, DEFAULT_COLLATERAL  } = require('./collateral');
+const OrderBookAPI = require('./OrderBookAPI');
+
+/**
+ * Paper Exchange
+ * In-process simulated exchange used by OpinionTradeSDK in `mode: 'paper'`.
+ *
+ * - Accepts the same signed API payloads as the live SUBMIT_ORDER endpoint
+ * - Rests limit orders and fills them when order book snapshots cross them,
+ *   at the book level's price. Paper fills never reach the real book, so the
+ *   size they took is remembered per level and later snapshots can only fill
+ *   from size beyond it.
+ * - Keeps a virtual cash / outcome-token inventory readable through the
+ *   InventoryManager interface (getFullInventory). The single cash balance
+ *   is used for whichever collateral the traded market is quoted in.
+ *
+ * Order and trade records mimic the live API shapes (side 1 = BUY, 2 = SELL,
+ * BUY amounts in USDT, SELL amounts in shares, `filled` as "filled/total").
+ */
+class PaperExchange {
+  /**
+   * @param {object} [config]
+   * @param {TopicAPI} config.topicAPI - Used to map token IDs to YES/NO and fetch order books
+   * @param {number} [config.initialUsdt=1000] - Starting virtual USDT balance
+   * @param {object} [config.initialTokens={}] - Starting outcome token balances { tokenId: shares }
+   * @param {object} [config.collaterals={}] - Known collateral tokens { [address]: { decimals, symbol } }
+   */
+  constructor(config = {}) {
+    const {
+      topicAPI,
+      initialUsdt = 1000,
+      initialTokens = {},
+      collaterals = {}
+    } = config;
+
+    this.topicAPI = topicAPI;
+    this.collaterals = collaterals;
+    this.usdtBalance = Number(initialUsdt);
+    this.tokenBalances = new Map(Object.entries(initialTokens).map(([tokenId, shares]) => [tokenId, Number(shares)]));
+
+    this.orders = new Map(); // orderId -> order record
+    this.trades = [];
+    this.nextOrderId = 1;
+    this.nextTradeId = 1;
+
+    // 最近一次订单簿快照: `${topicId}:${outcome}` -> book
+    this.books = new Map();
+    // 模拟成交已吃掉的档位数量: `${topicId}:${outcome}` -> { asks: Map(price -> shares), bids: Map }
+    this.usedLiquidity = new Map();
+  }
+
+  /**
+   * Submit a signed order payload (same shape as the live API payload)
+   *
+   * @param {object} payload - Payload from buildApiPayload
+   * @returns {Promise<object>} Response shaped like the live API
+   */
+  async submitOrder(payload) {
+    const side = Number(payload.side) === Side.BUY ? 1 : 2;
+    const price = parseFloat(payload.price);
+    const { decimals } = resolveCollateral({ collateral: { address: payload.currencyAddress } }, this.collaterals);
+    const shares = parseFloat(fromWei(side === 1 ? payload.takerAmount : payload.makerAmount, decimals));
+    const topicId = String(payload.topicId);
+    const outcome = await this._resolveOutcome(topicId, payload.tokenId);
+
+    if (!(price > 0 && price < 1)) {
+      throw new Error(`Paper exchange: invalid price ${payload.price}`);
+    }
+    if (!(shares > 0)) {
+      throw new Error('Paper exchange: order size must be positive');
+    }
+
+    const feeRateBps = Number(payload.feeRateBps || 0);
+
+    // 检查可用余额（扣除挂单占用，买入需额外覆盖手续费）
+    if (side === 1) {
+      const required = shares * price * (1 + feeRateBps / 10000);
+      if (required > this._availableUsdt() + 1e-9) {
+        throw new Error(`Paper exchange: insufficient USDT (need ${required.toFixed(4)}, available ${this._availableUsdt().toFixed(4)})`);
+      }
+    } else {
+      const available = this._availableTokens(payload.tokenId);
+      if (shares > available + 1e-9) {
+        throw new Error(`Paper exchange: insufficient ${outcome} shares (need ${shares.toFixed(4)}, available ${available.toFixed(4)})`);
+      }
+    }
+
+    const orderId = this.nextOrderId++;
+    const order = {
+      orderId,
+      transNo: `paper-${orderId}`,
+      topicId: Number(topicId),
+      tokenId: payload.tokenId,
+      outcome,
+      side,
+      // 保留载荷中的价格字符串（按话题的价格精度格式化）
+      price: String(payload.price),
+      feeRateBps,
+      // 计价币种精度，成交记录的 fee 按此精度表示
+      decimals,
+      shares,
+      filledShares: 0,
+      status: OrderStatus.OPEN,
+      tradingMethod: Number(payload.tradingMethod),
+      expiration: Number(payload.expiration || 0),
+      salt: payload.salt,
+      signature: payload.signature,
+      createdAt: getCurrentTimestamp()
+    };
+    this.orders.set(orderId, order);
+
+    // 以最新盘口立即撮合（穿价部分按盘口价格成交）
+    const book = await this._loadBook(topicId, outcome);
+    if (book) {
+      this._matchOrder(order, this._availableLiquidity(`${topicId}:${outcome}`, book));
+    }
+
+    // 市价单未成交部分直接撤销
+    if (order.tradingMethod === TradingMethod.MARKET && order.status === OrderStatus.OPEN) {
+      order.status = order.filledShares > 0 ? OrderStatus.FILLED : OrderStatus.CANCELLED;
+    }
+
+    return {
+      errno: 0,
+      errmsg: '',
+      result: {
+        orderData: {
+          orderId,
+          transNo: order.transNo,
+          status: order.status
+        }
+      }
+    };
+  }
+
+  /**
+   * Cancel an open order
+   *
+   * @param {object} params
+   * @param {string} params.transNo - Transaction number (order ID)
+   * @returns {Promise<object>} Response shaped like the live API
+   */
+  async cancelOrder({ transNo }) {
+    const order = [...this.orders.values()].find(o => o.transNo === transNo);
+
+    if (!order) {
+      throw new Error(`Paper exchange: order ${transNo} not found`);
+    }
+    if (order.status !== OrderStatus.OPEN) {
+      throw new Error(`Paper exchange: order ${transNo} is not open`);
+    }
+
+    order.status = OrderStatus.CANCELLED;
+    return { errno: 0, errmsg: '', result: { transNo } };
+  }
+
+  /**
+   * Query orders (same contract as OpinionTradeSDK.queryOrders)
+   *
+   * @param {object} params
+   * @param {number} params.queryType - 1: open, 2: closed
+   * @param {string|number} [params.topicId] - Topic ID filter
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=10] - Items per page
+   * @returns {Promise<object>} { list, total }
+   */
+  async queryOrders({ queryType, topicId, page = 1, limit = 10 }) {
+    this._expireOrders();
+
+    const list = [...this.orders.values()]
+      .filter(order => !topicId || String(order.topicId) === String(topicId))
+      .filter(order => queryType === OrderQueryType.OPEN
+        ? order.status === OrderStatus.OPEN
+        : order.status !== OrderStatus.OPEN)
+      .sort((a, b) => b.orderId - a.orderId)
+      .map(order => this._toOrderRecord(order));
+
+    return this._paginate(list, page, limit);
+  }
+
+  /**
+   * Query trades (same contract as OpinionTradeSDK.queryTrades)
+   *
+   * @param {object} params
+   * @param {string|number} [params.topicId] - Topic ID filter
+   * @param {number} [params.page=1] - Page number
+   * @param {number} [params.limit=10] - Items per page
+   * @returns {Promise<object>} { list, total }
+   */
+  async queryTrades({ topicId, page = 1, limit = 10 }) {
+    const list = this.trades
+      .filter(trade => !topicId || String(trade.topicId) === String(topicId))
+      .slice()
+      .reverse();
+
+    return this._paginate(list, page, limit);
+  }
+
+  /**
+   * Feed order book snapshots and fill resting orders they cross
+   *
+   * @param {string|number} topicId - Topic ID
+   * @param {object} books - { YES: book, NO: book } from OrderBookAPI.getBothOrderBooks
+   * @returns {Array<object>} Trades produced by this snapshot
+   */
+  processOrderBooks(topicId, books) {
+    this._expireOrders();
+
+    const tradeCountBefore = this.trades.length;
+
+    for (const outcome of ['YES', 'NO']) {
+      const book = books[outcome];
+      if (!book || book.error) continue;
+
+      const key = `${topicId}:${outcome}`;
+      this.books.set(key, book);
+
+      // 同一快照内多个订单共享深度，且扣除之前模拟成交已吃掉的数量，避免重复成交
+      const liquidity = this._availableLiquidity(key, book);
+      const restingOrders = [...this.orders.values()]
+        .filter(order => String(order.topicId) === String(topicId) && order.outcome === outcome && order.status === OrderStatus.OPEN)
+        .sort((a, b) => a.orderId - b.orderId);
+
+      restingOrders.forEach(order => this._matchOrder(order, liquidity));
+    }
+
+    return this.trades.slice(tradeCountBefore);
+  }
+
+  /**
+   * Get virtual inventory (InventoryManager-compatible)
+   *
+   * @param {string} address - Account address (echoed back)
+   * @param {Array<string>} tokenIds - Token IDs to report
+   * @param {Array<object>} [collaterals] - Collaterals to report; the virtual cash is reported as the first one
+   * @returns {Promise<object>} { address, usdt, collaterals, nfts }
+   */
+  async getFullInventory(address, tokenIds = [], collaterals = []) {
+    const collateral = collaterals[0]
+      ? resolveCollateral({ collateral: collaterals[0] }, this.collaterals)
+      : DEFAULT_COLLATERAL;
+    const { decimals } = collateral;
+    const cashRaw = ethers.parseUnits(this.usdtBalance.toFixed(decimals), decimals);
+    const cash = {
+      address: collateral.address,
+      raw: cashRaw.toString(),
+      formatted: ethers.formatUnits(cashRaw, decimals),
+      symbol: collateral.symbol,
+      decimals
+    };
+
+    return {
+      address,
+      usdt: cash,
+      collaterals: [cash],
+      // 结果代币与计价币种精度相同
+      nfts: tokenIds.map(tokenId => {
+        const raw = ethers.parseUnits((this.tokenBalances.get(String(tokenId)) || 0).toFixed(decimals), decimals);
+        return {
+          tokenId: tokenId.toString(),
+          raw: raw.toString(),
+          formatted: ethers.formatUnits(raw, decimals),
+          address
+        };
+      })
+    };
+  }
+
+  /**
+   * Internal: Fill an order against book liquidity (mutates liquidity)
+   * BUY fills against asks priced at or below the order price, SELL against bids at or above,
+   * each at the level's price. Filled size is recorded as used (see _availableLiquidity).
+   * @private
+   * @param {object} order - Internal order
+   * @param {object} liquidity - Available liquidity from _availableLiquidity
+   */
+  _matchOrder(order, liquidity) {
+    const isBuy = order.side === 1;
+    const limitPrice = parseFloat(order.price);
+    const levels = isBuy ? liquidity.asks : liquidity.bids;
+    const used = isBuy ? liquidity.used.asks : liquidity.used.bids;
+
+    for (const level of levels) {
+      const remaining = order.shares - order.filledShares;
+      if (remaining <= 1e-9) break;
+
+      const crosses = isBuy ? level.price <= limitPrice + 1e-9 : level.price >= limitPrice - 1e-9;
+      if (!crosses) break;
+      if (level.amount <= 0) continue;
+
+      const fillShares = Math.min(remaining, level.amount);
+      level.amount -= fillShares;
+      const key = priceKey(level.price);
+      used.set(key, (used.get(key) || 0) + fillShares);
+      this._applyFill(order, fillShares, level.price);
+    }
+  }
+
+  /**
+   * Internal: Apply a fill to balances, order state and the trade log
+   * @private
+   */
+  _applyFill(order, shares, price) {
+    const tokenId = String(order.tokenId);
+    const tokenBalance = this.tokenBalances.get(tokenId) || 0;
+    // 手续费按成交额和订单签名的费率收取（买入额外支付，卖出从所得中扣除）
+    const fee = shares * price * (order.feeRateBps || 0) / 10000;
+
+    if (order.side === 1) {
+      this.usdtBalance -= shares * price + fee;
+      this.tokenBalances.set(tokenId, tokenBalance + shares);
+    } else {
+      this.usdtBalance += shares * price - fee;
+      this.tokenBalances.set(tokenId, tokenBalance - shares);
+    }
+
+    order.filledShares += shares;
+    if (order.shares - order.filledShares <= 1e-9) {
+      order.status = OrderStatus.FILLED;
+    }
+
+    this.trades.push({
+      tradeNo: `paper-trade-${this.nextTradeId++}`,
+      orderId: order.orderId,
+      topicId: order.topicId,
+      outcome: order.outcome,
+      side: order.side === 1 ? 'Buy' : 'Sell',
+      shares: shares.toString(),
+      lastPrice: price.toString(),
+      amount: (shares * price).toString(),
+      // 与线上一致：fee 以计价币种精度的整数表示
+      fee: ethers.parseUnits(fee.toFixed(order.decimals), order.decimals).toString(),
+      status: 2,
+      createdAt: getCurrentTimestamp()
+    });
+  }
+
+  /**
+   * Internal: Convert an internal order to the live API record shape
+   * @private
+   */
+  _toOrderRecord(order) {
+    const price = parseFloat(order.price);
+    // BUY 单以 USDT 计价，SELL 单以 shares 计价（与线上接口一致）
+    const total = order.side === 1 ? order.shares * price : order.shares;
+    const filled = order.side === 1 ? order.filledShares * price : order.filledShares;
+
+    return {
+      orderId: order.orderId,
+      transNo: order.transNo,
+      topicId: order.topicId,
+      outcome: order.outcome,
+      side: order.side,
+      price: order.price,
+      amount: total.toString(),
+      filled: `${filled}/${total}`,
+      status: order.status,
+      orderExpTime: order.expiration,
+      salt: order.salt,
+      createdAt: order.createdAt
+    };
+  }
+
+  /**
+   * Internal: Cancel open orders whose good-til-date expiration has passed
+   * @private
+   */
+  _expireOrders() {
+    const now = getCurrentTimestamp();
+    this.orders.forEach(order => {
+      if (order.status === OrderStatus.OPEN && order.expiration > 0 && order.expiration <= now) {
+        order.status = OrderStatus.CANCELLED;
+      }
+    });
+  }
+
+  /**
+   * Internal: USDT not locked by open BUY orders
+   * @private
+   */
+  _availableUsdt() {
+    let locked = 0;
+    this.orders.forEach(order => {
+      if (order.status === OrderStatus.OPEN && order.side === 1) {
+        locked += (order.shares - order.filledShares) * parseFloat(order.price) * (1 + (order.feeRateBps || 0) / 10000);
+      }
+    });
+    return this.usdtBalance - locked;
+  }
+
+  /**
+   * Internal: Outcome tokens not locked by open SELL orders
+   * @private
+   */
+  _availableTokens(tokenId) {
+    let locked = 0;
+    this.orders.forEach(order => {
+      if (order.status === OrderStatus.OPEN && order.side === 2 && String(order.tokenId) === String(tokenId)) {
+        locked += order.shares - order.filledShares;
+      }
+    });
+    return (this.tokenBalances.get(String(tokenId)) || 0) - locked;
+  }
+
+  /**
+   * Internal: Map a token ID to 'YES' / 'NO' via topic info
+   * @private
+   */
+  async _resolveOutcome(topicId, tokenId) {
+    if (!this.topicAPI) return 'YES';
+    const topicInfo = await this.topicAPI.getTopicInfo(topicId);
+    return String(topicInfo.noToken) === String(tokenId) ? 'NO' : 'YES';
+  }
+
+  /**
+   * Internal: Latest snapshot for a topic/outcome, fetched live if none was fed yet
+   * @private
+   */
+  async _loadBook(topicId, outcome) {
+    const key = `${topicId}:${outcome}`;
+    if (this.books.has(key)) {
+      return this.books.get(key);
+    }
+    if (!this.topicAPI) {
+      return null;
+    }
+
+    const orderBookConfig = await this.topicAPI.getOrderBookConfig(topicId);
+    const book = await new OrderBookAPI(orderBookConfig).getOrderBook(outcome);
+    if (book.error) {
+      return null;
+    }
+
+    this.books.set(key, book);
+    return book;
+  }
+
+  /**
+   * Internal: Book levels still available to paper orders
+   * Copies the snapshot with each level reduced by the size paper fills already
+   * took from it. A level that grew (or appeared) offers only the new size; a
+   * level that shrank below the used size offers nothing and the used size
+   * shrinks with it; a level that vanished is forgotten.
+   * @private
+   * @param {string} key - `${topicId}:${outcome}`
+   * @param {object} book - Latest snapshot
+   * @returns {object} { asks, bids, used } - used holds the per-price maps _matchOrder adds to
+   */
+  _availableLiquidity(key, book) {
+    const previous = this.usedLiquidity.get(key) || { asks: new Map(), bids: new Map() };
+    const liquidity = { used: { asks: new Map(), bids: new Map() } };
+
+    ['asks', 'bids'].forEach(side => {
+      liquidity[side] = (book[side] || []).map(level => {
+        const price = priceKey(level.price);
+        const usedAmount = Math.min(previous[side].get(price) || 0, level.amount);
+        if (usedAmount > 0) {
+          liquidity.used[side].set(price, usedAmount);
+        }
+        return { ...level, amount: level.amount - usedAmount };
+      });
+    });
+
+    this.usedLiquidity.set(key, liquidity.used);
+    return liquidity;
+  }
+
+  /**
+   * Internal: Paginate a list like the live API
+   * @private
+   */
+  _paginate(list, page, limit) {
+    const start = (page - 1) * limit;
+    return {
+      list: list.slice(start, start + limit),
+      total: list.length
+    };
+  }
+}
+
+/**
+ * Map key of a book price level
+ * @param {number} price - Level price
+ * @returns {string}
+ */
+function priceKey(price) {
+  return price.toFixed(4);
+}
+
+
+// Module exports
+module.exports = PaperExchange;
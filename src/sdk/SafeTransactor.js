@@ -0,0 +1,232 @@
+const { ethers  } = require('ethers');
+const { ZERO_ADDRESS  } = require('./constants');
+const { defaultLogger } = require('../logger');
+
+const SAFE_ABI = [
+  'function nonce() view returns (uint256)',
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)'
+];
+
+// EIP-712 type of a Safe transaction (Safe v1.3+)
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'operation', type: 'uint8' },
+    { name: 'safeTxGas', type: 'uint256' },
+    { name: 'baseGas', type: 'uint256' },
+    { name: 'gasPrice', type: 'uint256' },
+    { name: 'gasToken', type: 'address' },
+    { name: 'refundReceiver', type: 'address' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// Safe operation types
+const SafeOperation = {
+  CALL: 0,
+  DELEGATE_CALL: 1
+};
+
+const safeInterface = new ethers.Interface(SAFE_ABI);
+
+/**
+ * Gnosis Safe transaction executor
+ *
+ * Runs contract calls from the Safe (the maker address that holds funds and
+ * positions). The owner key signs the SafeTx hash and then sends
+ * execTransaction itself, paying the gas, so this expects a 1-of-n Safe
+ * whose owner is the configured signer.
+ *
+ * Only `call`, `estimateGas`, `getTransactionCount`, `getFeeData` and
+ * `broadcastTransaction` are used from the provider, so a stand-in object can
+ * replace the RPC in tests.
+ */
+class SafeTransactor {
+  /**
+   * @param {object} config
+   * @param {string} config.safeAddress - Gnosis Safe address
+   * @param {SignerBase} config.signer - Signer backend of a Safe owner (must support signTransaction to execute)
+   * @param {object} config.provider - ethers provider
+   * @param {number} config.chainId - Chain ID
+   * @param {number} [config.confirmations=1] - Confirmations to wait for after broadcasting
+   * @param {Logger} [config.logger] - Structured logger (see src/logger)
+   */
+  constructor(config) {
+    const { safeAddress, signer, provider, chainId, confirmations = 1, logger = defaultLogger } = config;
+
+    if (!safeAddress || !signer || !provider || !chainId) {
+      throw new Error('safeAddress, signer, provider and chainId are required');
+    }
+
+    this.safeAddress = ethers.getAddress(safeAddress);
+    this.signer = signer;
+    this.provider = provider;
+    this.chainId = Number(chainId);
+    this.confirmations = confirmations;
+    this.logger = logger.child({ component: 'SafeTransactor' });
+  }
+
+  /**
+   * Read the Safe's current nonce
+   * @returns {Promise<bigint>}
+   */
+  async getNonce() {
+    const result = await this.provider.call({
+      to: this.safeAddress,
+      data: safeInterface.encodeFunctionData('nonce')
+    });
+    return safeInterface.decodeFunctionResult('nonce', result)[0];
+  }
+
+  /**
+   * Build a Safe transaction for a call made by the Safe
+   *
+   * @param {object} call
+   * @param {string} call.to - Target contract
+   * @param {string} call.data - Calldata
+   * @param {bigint} [call.value=0n] - Native value
+   * @param {number} [call.operation=0] - SafeOperation
+   * @returns {Promise<object>} SafeTx (EIP-712 message)
+   */
+  async buildTransaction(call) {
+    const { to, data, value = 0n, operation = SafeOperation.CALL } = call;
+
+    return {
+      to: ethers.getAddress(to),
+      value: BigInt(value),
+      data,
+      operation,
+      safeTxGas: 0n,
+      baseGas: 0n,
+      gasPrice: 0n,
+      gasToken: ZERO_ADDRESS,
+      refundReceiver: ZERO_ADDRESS,
+      nonce: await this.getNonce()
+    };
+  }
+
+  /**
+   * EIP-712 domain of the Safe
+   * @returns {object}
+   */
+  getDomain() {
+    return { chainId: this.chainId, verifyingContract: this.safeAddress };
+  }
+
+  /**
+   * Hash a Safe transaction (what the owners sign)
+   * @param {object} safeTx - SafeTx from buildTransaction
+   * @returns {string} bytes32 hash
+   */
+  getTransactionHash(safeTx) {
+    return ethers.TypedDataEncoder.hash(this.getDomain(), SAFE_TX_TYPES, safeTx);
+  }
+
+  /**
+   * Encode the execTransaction calldata for a signed Safe transaction
+   *
+   * @param {object} safeTx - SafeTx from buildTransaction
+   * @param {string} signatures - Owner signatures (65 bytes each, ordered by owner address)
+   * @returns {string} Calldata for the Safe
+   */
+  encodeExecTransaction(safeTx, signatures) {
+    return safeInterface.encodeFunctionData('execTransaction', [
+      safeTx.to,
+      safeTx.value,
+      safeTx.data,
+      safeTx.operation,
+      safeTx.safeTxGas,
+      safeTx.baseGas,
+      safeTx.gasPrice,
+      safeTx.gasToken,
+      safeTx.refundReceiver,
+      signatures
+    ]);
+  }
+
+  /**
+   * Run a call from the Safe
+   *
+   * With dryRun nothing is signed or sent: the result carries the inner
+   * calldata, the SafeTx and its hash so the call can be inspected or
+   * proposed through another Safe client.
+   *
+   * @param {object} call - { to, data, value?, operation? }, see buildTransaction
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Only build the transaction
+   * @returns {Promise<object>} { dryRun, safeAddress, call, safeTx, safeTxHash, txHash?, blockNumber?, gasUsed? }
+   */
+  async execute(call, options = {}) {
+    const { dryRun = false } = options;
+
+    const safeTx = await this.buildTransaction(call);
+    const safeTxHash = this.getTransactionHash(safeTx);
+    const result = {
+      dryRun,
+      safeAddress: this.safeAddress,
+      call: { to: safeTx.to, data: safeTx.data, value: safeTx.value },
+      safeTx,
+      safeTxHash
+    };
+
+    if (dryRun) {
+      this.logger.info('Safe transaction built (dry run)', { to: safeTx.to, nonce: safeTx.nonce.toString(), safeTxHash });
+      return result;
+    }
+
+    if (typeof this.signer.signTransaction !== 'function') {
+      throw new Error('Signer cannot send transactions (signTransaction not supported)');
+    }
+
+    const owner = await this.signer.getAddress();
+    const signature = await this.signer.signTypedData(this.getDomain(), SAFE_TX_TYPES, safeTx);
+    const data = this.encodeExecTransaction(safeTx, signature);
+
+    const request = { from: owner, to: this.safeAddress, data, value: 0n };
+    const [gasEstimate, nonce, feeData] = await Promise.all([
+      this.provider.estimateGas(request),
+      this.provider.getTransactionCount(owner, 'pending'),
+      this.provider.getFeeData()
+    ]);
+
+    const signedTx = await this.signer.signTransaction({
+      type: 0,
+      chainId: this.chainId,
+      to: this.safeAddress,
+      data,
+      value: 0n,
+      nonce,
+      // 20% headroom over the estimate
+      gasLimit: gasEstimate * 12n / 10n,
+      gasPrice: feeData.gasPrice
+    });
+
+    this.logger.info('Sending Safe transaction', { to: safeTx.to, nonce: safeTx.nonce.toString(), safeTxHash });
+
+    const response = await this.provider.broadcastTransaction(signedTx);
+    const receipt = await response.wait(this.confirmations);
+
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Safe transaction ${response.hash} reverted`);
+    }
+
+    this.logger.info('Safe transaction confirmed', { txHash: response.hash, blockNumber: receipt.blockNumber });
+
+    return {
+      ...result,
+      txHash: response.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed
+    };
+  }
+}
+
+
+// Module exports
+module.exports = {
+  SafeTransactor,
+  SafeOperation,
+  SAFE_TX_TYPES
+};
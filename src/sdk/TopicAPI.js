@@ -1,15 +1,26 @@
 const fs = require('fs/promises');
 const path = require('path');
 const { defaultClient } = require('../network');
+const { defaultLogger } = require('../logger');
+
+// 缓存格式版本：parseTopicInfo 新增字段（交易规则、计价币种、手续费率等）时递增，旧版本缓存视为失效重新获取
+const CACHE_VERSION = 2;
 
 /**
  * Topic API管理类
  * 用于获取预测市场topic信息并缓存到本地
  */
 class TopicAPI {
-  constructor(cacheDir = path.join(__dirname, '../../.cache/topics')) {
+  /**
+   * @param {string} [cacheDir] - 缓存目录
+   * @param {Object} [options]
+   * @param {Logger} [options.logger] - 日志实例（见 src/logger）
+   */
+  constructor(cacheDir = path.join(__dirname, '../../.cache/topics'), options = {}) {
+    const { logger = defaultLogger } = options;
     this.baseUrl = 'https://proxy.opinion.trade:8443/api/bsc/api/v2/topic';
     this.cacheDir = cacheDir;
+    this.logger = logger.child({ component: 'TopicAPI' });
   }
 
   /**
@@ -19,7 +30,7 @@ class TopicAPI {
     try {
       await fs.mkdir(this.cacheDir, { recursive: true });
     } catch (error) {
-      console.error('创建缓存目录失败:', error.message);
+      this.logger.error('创建缓存目录失败', { error });
     }
   }
 
@@ -43,15 +54,21 @@ class TopicAPI {
       const content = await fs.readFile(cachePath, 'utf-8');
       const cached = JSON.parse(content);
 
+      // 旧版本缓存缺少后来新增的字段（如 collateral），不能直接使用
+      if (cached.version !== CACHE_VERSION) {
+        this.logger.debug(`Topic ${topicId} 缓存版本过旧，重新获取`, { topicId, version: cached.version });
+        return null;
+      }
+
       // 检查缓存是否过期（24小时）
       const cacheAge = Date.now() - cached.timestamp;
       const maxAge = 24 * 60 * 60 * 1000; // 24小时
 
       if (cacheAge < maxAge) {
-        console.log(`✓ 从缓存加载 Topic ${topicId}`);
+        this.logger.debug(`从缓存加载 Topic ${topicId}`, { topicId });
         return cached.data;
       } else {
-        console.log(`! Topic ${topicId} 缓存已过期，重新获取`);
+        this.logger.debug(`Topic ${topicId} 缓存已过期，重新获取`, { topicId });
         return null;
       }
     } catch (error) {
@@ -70,14 +87,15 @@ class TopicAPI {
       await this.ensureCacheDir();
       const cachePath = this.getCachePath(topicId);
       const cached = {
+        version: CACHE_VERSION,
         timestamp: Date.now(),
         topicId: topicId,
         data: data
       };
       await fs.writeFile(cachePath, JSON.stringify(cached, null, 2), 'utf-8');
-      console.log(`✓ Topic ${topicId} 已缓存到本地`);
+      this.logger.debug(`Topic ${topicId} 已缓存到本地`, { topicId });
     } catch (error) {
-      console.error(`保存缓存失败:`, error.message);
+      this.logger.error('保存缓存失败', { topicId, error });
     }
   }
 
@@ -98,7 +116,7 @@ class TopicAPI {
 
     try {
       const url = `${this.baseUrl}/${topicId}`;
-      console.log(`→ 从API获取 Topic ${topicId}...`);
+      this.logger.info(`从API获取 Topic ${topicId}`, { topicId });
 
       // 使用统一的网络请求客户端
       const data = await defaultClient.get(url, { timeout: 10000 });
@@ -109,7 +127,7 @@ class TopicAPI {
 
       return topicInfo;
     } catch (error) {
-      console.error(`获取Topic ${topicId}失败:`, error.message);
+      this.logger.error(`获取Topic ${topicId}失败`, { topicId, error });
       throw error;
     }
   }
@@ -138,6 +156,9 @@ class TopicAPI {
       // Question ID (用于查询订单簿)
       questionId: topicData.questionId,
 
+      // Condition ID (用于链上拆分/合并)
+      conditionId: topicData.conditionId,
+
       // Token IDs
       yesToken: topicData.yesPos,
       noToken: topicData.noPos || this.calculateNoToken(topicData.yesPos),
@@ -151,6 +172,15 @@ class TopicAPI {
       totalPrice: topicData.totalPrice,
       cutoffTime: topicData.cutoffTime,
 
+      // 交易规则（接口未返回的字段为 undefined，由 resolveTradingRules 使用默认值）
+      tradingRules: this.parseTradingRules(topicData),
+
+      // 计价币种（非USDT市场的保证金代币），由 resolveCollateral 补全
+      collateral: this.parseCollateral(topicData),
+
+      // 手续费率（未返回时由 resolveFeeSchedule 使用配置）
+      feeSchedule: this.parseFeeSchedule(topicData),
+
       // 原始数据（保留以备需要）
       raw: topicData
     };
@@ -158,6 +188,43 @@ class TopicAPI {
     return topicInfo;
   }
 
+  /**
+   * 解析交易规则：价格最小变动单位、最小下单数量、最小下单金额
+   * @param {Object} topicData - API返回的topic数据
+   * @returns {Object} { tickSize, minShares, minNotional }
+   */
+  parseTradingRules(topicData) {
+    return {
+      tickSize: topicData.tickSize ?? topicData.priceTick,
+      minShares: topicData.minOrderSize ?? topicData.minShares,
+      minNotional: topicData.minOrderAmount ?? topicData.minAmount
+    };
+  }
+
+  /**
+   * 解析计价币种
+   * @param {Object} topicData - API返回的topic数据
+   * @returns {Object} { address, decimals, symbol }
+   */
+  parseCollateral(topicData) {
+    return {
+      address: topicData.currencyAddress,
+      decimals: topicData.currencyDecimal ?? topicData.currencyDecimals,
+      symbol: topicData.currencySymbol ?? topicData.currency
+    };
+  }
+
+  /**
+   * 解析手续费率（基点，签入订单的 feeRateBps）
+   * @param {Object} topicData - API返回的topic数据
+   * @returns {Object} { feeRateBps }
+   */
+  parseFeeSchedule(topicData) {
+    return {
+      feeRateBps: topicData.feeRateBps ?? topicData.feeRate
+    };
+  }
+
   /**
    * 尝试计算NO token ID
    * 如果API没有返回noPos，尝试根据yesPos推算
@@ -178,7 +245,7 @@ class TopicAPI {
     const topicInfo = await this.getTopicInfo(topicId);
 
     if (!topicInfo.noToken) {
-      console.warn('警告: NO token ID 未找到，可能需要额外的API调用');
+      this.logger.warn('NO token ID 未找到，可能需要额外的API调用', { topicId });
     }
 
     return {
@@ -200,7 +267,7 @@ class TopicAPI {
     try {
       const cachePath = this.getCachePath(topicId);
       await fs.unlink(cachePath);
-      console.log(`✓ Topic ${topicId} 缓存已清除`);
+      this.logger.info(`Topic ${topicId} 缓存已清除`, { topicId });
     } catch (error) {
       // 文件不存在或删除失败，忽略错误
     }
@@ -217,9 +284,9 @@ class TopicAPI {
           await fs.unlink(path.join(this.cacheDir, file));
         }
       }
-      console.log('✓ 所有Topic缓存已清除');
+      this.logger.info('所有Topic缓存已清除');
     } catch (error) {
-      console.error('清除缓存失败:', error.message);
+      this.logger.error('清除缓存失败', { error });
     }
   }
 
@@ -0,0 +1,277 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { toUnixSeconds  } = require('./utils');
+const { defaultLogger } = require('../logger');
+
+// Trade status values that no longer change (2 = success, 6 = failed)
+const FINAL_TRADE_STATUSES = [2, 6];
+
+/**
+ * Local trade ledger
+ *
+ * Keeps a wallet's trade history (all topics) in an append-only JSONL file so
+ * profit/loss can be computed without refetching every page from the API.
+ * Each line is { key, recordedAt, trade }; a later line for the same key
+ * supersedes earlier ones, which is how status changes are stored.
+ *
+ * Sync fetches newest-first pages back to the high-water mark of the last
+ * completed sync (minus an overlap window, and never past the oldest trade
+ * still pending). Trades are appended page by page and the mark only moves
+ * once a sync has provably walked the history to its end; an interrupted or
+ * truncated sync clears the mark, so the next one is a full sync.
+ */
+class TradeLedger {
+  /**
+   * @param {object} config
+   * @param {string} config.walletAddress - Wallet the ledger belongs to
+   * @param {string} [config.dir] - Ledger directory (default: .cache/trades)
+   * @param {number} [config.overlapSeconds=3600] - Re-check window before the last sync mark
+   * @param {Logger} [config.logger] - Structured logger (see src/logger)
+   */
+  constructor(config) {
+    const {
+      walletAddress,
+      dir = path.join(__dirname, '../../.cache/trades'),
+      overlapSeconds = 3600,
+      logger = defaultLogger
+    } = config;
+
+    if (!walletAddress) {
+      throw new Error('walletAddress is required');
+    }
+
+    this.walletAddress = walletAddress.toLowerCase();
+    this.dir = dir;
+    this.overlapSeconds = overlapSeconds;
+    this.logger = logger.child({ component: 'TradeLedger' });
+
+    this.filePath = path.join(dir, `${this.walletAddress}.jsonl`);
+    this.statePath = path.join(dir, `${this.walletAddress}.state.json`);
+
+    this.trades = new Map(); // key -> trade record
+    this.state = { syncedUntil: null, lastSyncAt: null };
+    this.loadPromise = null;
+    this.syncPromise = null;
+    // Set when the file ends in a partial line, so the next append starts on a fresh one
+    this.needsNewline = false;
+  }
+
+  /**
+   * Load the ledger from disk (once)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._load();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Internal: Read the JSONL file and the sync state
+   * @private
+   */
+  async _load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf-8');
+      this.needsNewline = content.length > 0 && !content.endsWith('\n');
+      let skipped = 0;
+      content.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const entry = JSON.parse(line);
+          this.trades.set(entry.key, entry.trade);
+        } catch (error) {
+          // A crash mid-append can leave a partial last line
+          skipped++;
+        }
+      });
+      if (skipped > 0) {
+        this.logger.warn('Skipped unreadable ledger lines', { skipped, file: this.filePath });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    try {
+      this.state = { ...this.state, ...JSON.parse(await fs.readFile(this.statePath, 'utf-8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Failed to read ledger state, doing a full sync', { error });
+      }
+    }
+
+    this.logger.debug('Ledger loaded', { trades: this.trades.size, syncedUntil: this.state.syncedUntil });
+  }
+
+  /**
+   * Sync new trades and status changes from the API
+   * Concurrent calls share the same run.
+   *
+   * @param {Function} iterateTrades - (params) => async iterable of trade records, e.g. sdk.iterateTrades;
+   *   must call `params.onComplete` once the history has been walked to its end
+   * @returns {Promise<object>} { added, updated, total, complete }
+   */
+  sync(iterateTrades) {
+    if (!this.syncPromise) {
+      this.syncPromise = this._sync(iterateTrades).finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  /**
+   * Internal: Run one sync
+   * @private
+   */
+  async _sync(iterateTrades) {
+    await this.load();
+
+    const since = this._resumePoint();
+    let added = 0;
+    let updated = 0;
+    let newest = this.state.syncedUntil;
+    let unreadable = 0;
+    let batch = [];
+    // Reaching the `since` cutoff counts as the end for an incremental sync
+    let complete = false;
+    const onComplete = () => {
+      complete = true;
+    };
+
+    this.logger.debug('Syncing trades', { since });
+
+    for await (const trade of iterateTrades({ pageSize: 100, since: since ?? undefined, onComplete })) {
+      const key = tradeKey(trade);
+      const known = this.trades.get(key);
+
+      const createdAt = toUnixSeconds(trade.createdAt);
+      if (createdAt === null) {
+        unreadable++;
+      } else if (newest === null || createdAt > newest) {
+        newest = createdAt;
+      }
+
+      if (known && JSON.stringify(known) === JSON.stringify(trade)) {
+        continue;
+      }
+
+      if (known) {
+        updated++;
+      } else {
+        added++;
+      }
+      this.trades.set(key, trade);
+      batch.push({ key, recordedAt: Date.now(), trade });
+
+      if (batch.length >= 100) {
+        await this._append(batch);
+        batch = [];
+      }
+    }
+
+    await this._append(batch);
+
+    if (unreadable > 0) {
+      // Such trades cannot move the sync mark; if none has a readable time every sync stays a full sync
+      this.logger.warn('Trades without a readable createdAt', { count: unreadable, syncedUntil: newest });
+    }
+
+    if (complete) {
+      this.state = { syncedUntil: newest, lastSyncAt: Date.now() };
+    } else {
+      // Older pages may be missing: drop the mark so the next sync starts over
+      this.logger.warn('Trade sync did not reach the end of the history, next sync will be a full sync', { added, updated });
+      this.state = { ...this.state, syncedUntil: null };
+    }
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2), 'utf-8');
+
+    this.logger.debug('Trades synced', { added, updated, total: this.trades.size, complete });
+
+    return { added, updated, total: this.trades.size, complete };
+  }
+
+  /**
+   * Internal: Earliest time the next sync has to look back to
+   * @private
+   * @returns {number|null} Unix seconds, or null for a full sync
+   */
+  _resumePoint() {
+    if (this.state.syncedUntil === null) {
+      return null;
+    }
+
+    let since = this.state.syncedUntil - this.overlapSeconds;
+    for (const trade of this.trades.values()) {
+      if (FINAL_TRADE_STATUSES.includes(trade.status)) continue;
+
+      const createdAt = toUnixSeconds(trade.createdAt);
+      if (createdAt === null) {
+        // Pending trade without a timestamp: only a full sync can refresh it
+        return null;
+      }
+      since = Math.min(since, createdAt);
+    }
+    return since;
+  }
+
+  /**
+   * Internal: Append ledger lines
+   * @private
+   */
+  async _append(entries) {
+    if (entries.length === 0) return;
+    await fs.mkdir(this.dir, { recursive: true });
+    const prefix = this.needsNewline ? '\n' : '';
+    await fs.appendFile(this.filePath, prefix + entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf-8');
+    this.needsNewline = false;
+  }
+
+  /**
+   * Get trades from the ledger, newest first
+   *
+   * @param {object} [params]
+   * @param {string|number} [params.topicId] - Topic ID filter
+   * @returns {Array<object>} Trade records
+   */
+  getTrades(params = {}) {
+    const { topicId } = params;
+    return [...this.trades.values()]
+      .filter(trade => topicId === undefined || topicId === null || String(trade.topicId) === String(topicId))
+      .sort((a, b) => (toUnixSeconds(b.createdAt) || 0) - (toUnixSeconds(a.createdAt) || 0));
+  }
+
+  /**
+   * Time of the last completed sync
+   * @returns {number|null} Milliseconds since epoch
+   */
+  getLastSyncAt() {
+    return this.state.lastSyncAt;
+  }
+}
+
+/**
+ * Identity of a trade record
+ * Uses the API's trade number when present, otherwise the fields that make a fill unique
+ *
+ * @param {object} trade - Trade record
+ * @returns {string}
+ */
+function tradeKey(trade) {
+  const id = trade.tradeNo ?? trade.id ?? trade.tradeId;
+  if (id !== undefined && id !== null) {
+    return String(id);
+  }
+  return [trade.txHash, trade.topicId, trade.outcome, trade.side, trade.shares, trade.lastPrice, trade.createdAt].join('|');
+}
+
+
+// Module exports
+module.exports = {
+  TradeLedger,
+  tradeKey
+};
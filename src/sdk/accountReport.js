@@ -0,0 +1,97 @@
+/**
+ * Account profit/loss report export
+ *
+ * Formats the result of OpinionTradeSDK.getAccountProfitLoss as CSV or JSON.
+ * One row per topic, followed by one TOTAL row per collateral currency
+ * (amounts in different currencies are never added together).
+ */
+
+/**
+ * CSV columns: [header, row => value]
+ */
+const REPORT_COLUMNS = [
+  ['topicId', row => row.topicId],
+  ['title', row => row.title],
+  ['currency', row => row.currency],
+  ['trades', row => row.tradeCount],
+  ['successful', row => row.successCount],
+  ['failed', row => row.failedCount],
+  ['inflow', row => formatNumber(row.totalInflow)],
+  ['outflow', row => formatNumber(row.totalOutflow)],
+  ['fees', row => formatNumber(row.totalFees)],
+  ['pnl', row => formatNumber(row.profitLoss)],
+  ['realizedPnl', row => formatNumber(row.realizedPnl)],
+  ['openYesShares', row => formatNumber(row.openYesShares)],
+  ['openNoShares', row => formatNumber(row.openNoShares)],
+  ['openCostBasis', row => formatNumber(row.openCostBasis)],
+  ['firstTradeAt', row => formatTime(row.firstTradeAt)],
+  ['lastTradeAt', row => formatTime(row.lastTradeAt)]
+];
+
+/**
+ * Format an amount with fixed precision (empty for missing values)
+ * @private
+ */
+function formatNumber(value) {
+  return value === null || value === undefined ? '' : Number(value).toFixed(6);
+}
+
+/**
+ * Format Unix seconds as ISO-8601 (empty for missing values)
+ * @private
+ */
+function formatTime(value) {
+  return value ? new Date(value * 1000).toISOString() : '';
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @private
+ */
+function csvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format a report as CSV
+ *
+ * @param {object} report - Result of getAccountProfitLoss
+ * @returns {string} CSV text with a header row
+ */
+function reportToCsv(report) {
+  const rows = [
+    ...report.topics,
+    ...Object.entries(report.totals).map(([currency, totals]) => ({
+      ...totals,
+      topicId: 'TOTAL',
+      title: '',
+      currency
+    }))
+  ];
+
+  const lines = [
+    REPORT_COLUMNS.map(([header]) => header).join(','),
+    ...rows.map(row => REPORT_COLUMNS.map(([, getValue]) => csvField(getValue(row))).join(','))
+  ];
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a report as JSON
+ *
+ * @param {object} report - Result of getAccountProfitLoss
+ * @returns {string} Pretty-printed JSON
+ */
+function reportToJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+
+// Module exports
+module.exports = {
+  REPORT_COLUMNS,
+  reportToCsv,
+  reportToJson
+};
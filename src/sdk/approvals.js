@@ -0,0 +1,52 @@
+const { ethers  } = require('ethers');
+const { EXCHANGE_ADDRESS  } = require('./constants');
+
+/**
+ * Exchange approvals
+ *
+ * Before the exchange can settle orders for the Safe, the Safe must have
+ * approved the collateral (ERC20 approve) and the outcome tokens (ERC1155
+ * setApprovalForAll) for the exchange contract. Missing approvals only show
+ * up as opaque settlement failures.
+ */
+
+const erc20Interface = new ethers.Interface([
+  'function approve(address spender, uint256 amount) returns (bool)'
+]);
+const erc1155Interface = new ethers.Interface([
+  'function setApprovalForAll(address operator, bool approved)'
+]);
+
+/**
+ * Build the calls that grant missing approvals
+ * ERC20 tokens are approved for the maximum amount.
+ *
+ * @param {Array<object>} missing - [{ type: 'erc20'|'erc1155', address, symbol? }], e.g. InventoryManager.checkApprovals().missing
+ * @param {string} [spender=EXCHANGE_ADDRESS] - Contract to approve
+ * @returns {Array<object>} Calls for SafeTransactor.execute: [{ to, data, description }]
+ */
+function buildApprovalCalls(missing, spender = EXCHANGE_ADDRESS) {
+  return missing.map(item => {
+    if (item.type === 'erc20') {
+      return {
+        to: item.address,
+        data: erc20Interface.encodeFunctionData('approve', [spender, ethers.MaxUint256]),
+        description: `approve ${item.symbol || item.address} for ${spender}`
+      };
+    }
+    if (item.type === 'erc1155') {
+      return {
+        to: item.address,
+        data: erc1155Interface.encodeFunctionData('setApprovalForAll', [spender, true]),
+        description: `setApprovalForAll ${item.symbol || item.address} for ${spender}`
+      };
+    }
+    throw new Error(`Unknown approval type: ${item.type}`);
+  });
+}
+
+
+// Module exports
+module.exports = {
+  buildApprovalCalls
+};
@@ -0,0 +1,151 @@
+/**
+ * Authorization token helpers
+ *
+ * The API authenticates with a JWT (AUTHORIZATION_TOKEN). These helpers read
+ * its expiry and implement the wallet-signature login flow that issues a
+ * fresh token without going through the browser.
+ */
+
+/**
+ * Remove an optional "Bearer " prefix
+ * @param {string} token - Raw or Bearer token
+ * @returns {string}
+ */
+function stripBearer(token) {
+  return String(token || '').replace(/^Bearer\s+/i, '');
+}
+
+/**
+ * Decode the payload of a JWT (the signature is not verified)
+ *
+ * @param {string} token - JWT, with or without "Bearer " prefix
+ * @returns {object|null} Decoded payload, or null if the token is not a JWT
+ */
+function decodeJwtPayload(token) {
+  const parts = stripBearer(token).split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const json = Buffer.from(parts[1], 'base64url').toString('utf-8');
+    const payload = JSON.parse(json);
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the expiry of a JWT
+ *
+ * @param {string} token - JWT, with or without "Bearer " prefix
+ * @returns {number|null} `exp` claim in Unix seconds, or null if absent
+ */
+function getTokenExpiry(token) {
+  const payload = decodeJwtPayload(token);
+  if (!payload || payload.exp === undefined) {
+    return null;
+  }
+  const exp = Number(payload.exp);
+  return Number.isFinite(exp) ? exp : null;
+}
+
+/**
+ * Describe the lifecycle state of a token
+ *
+ * @param {string} token - JWT, with or without "Bearer " prefix
+ * @param {object} [options]
+ * @param {number} [options.warnBeforeSeconds=600] - Window before expiry that counts as "expiring soon"
+ * @param {number} [options.now] - Current time in Unix seconds (default: now)
+ * @returns {{hasToken: boolean, expiresAt: number|null, secondsLeft: number|null, expired: boolean, expiringSoon: boolean}}
+ */
+function getTokenStatus(token, options = {}) {
+  const { warnBeforeSeconds = 600, now = Math.floor(Date.now() / 1000) } = options;
+
+  if (!token) {
+    return { hasToken: false, expiresAt: null, secondsLeft: null, expired: false, expiringSoon: false };
+  }
+
+  const expiresAt = getTokenExpiry(token);
+  if (expiresAt === null) {
+    return { hasToken: true, expiresAt: null, secondsLeft: null, expired: false, expiringSoon: false };
+  }
+
+  const secondsLeft = expiresAt - now;
+  return {
+    hasToken: true,
+    expiresAt,
+    secondsLeft,
+    expired: secondsLeft <= 0,
+    expiringSoon: secondsLeft > 0 && secondsLeft <= warnBeforeSeconds
+  };
+}
+
+/**
+ * Unwrap `{ errno, errmsg, result }` API envelopes
+ * @private
+ */
+function unwrapResult(data, step) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Login ${step} failed: empty response`);
+  }
+  if (data.errno !== undefined && data.errno !== 0) {
+    throw new Error(`Login ${step} failed (errno: ${data.errno}): ${data.errmsg || 'Unknown error'}`);
+  }
+  return data.result !== undefined ? data.result : data;
+}
+
+/**
+ * Obtain a fresh authorization token by signing a login challenge with the wallet
+ *
+ * Flow:
+ *   1. POST {loginUrl}/nonce  { address }                               -> { nonce, message }
+ *   2. Sign `message` with the signer (EIP-191 personal_sign)
+ *   3. POST {loginUrl}        { address, nonce, message, signature }    -> { token }
+ *
+ * @param {object} params
+ * @param {SignerBase} params.signer - Signer backend (must implement signMessage)
+ * @param {string} params.loginUrl - Login endpoint
+ * @param {Function} params.post - async (url, body) => response data (without Authorization header)
+ * @returns {Promise<string>} Fresh token (without "Bearer " prefix)
+ */
+async function walletLogin(params) {
+  const { signer, loginUrl, post } = params;
+
+  if (!loginUrl) {
+    throw new Error('loginUrl is required for wallet login');
+  }
+
+  const address = signer.getAddress();
+
+  const challenge = unwrapResult(await post(`${loginUrl}/nonce`, { address }), 'challenge');
+  if (!challenge.message) {
+    throw new Error('Login challenge failed: no message to sign');
+  }
+
+  const signature = await signer.signMessage(challenge.message);
+
+  const session = unwrapResult(await post(loginUrl, {
+    address,
+    nonce: challenge.nonce,
+    message: challenge.message,
+    signature
+  }), 'verification');
+
+  if (!session.token) {
+    throw new Error('Login verification failed: no token returned');
+  }
+
+  return stripBearer(session.token);
+}
+
+
+// Module exports
+module.exports = {
+  stripBearer,
+  decodeJwtPayload,
+  getTokenExpiry,
+  getTokenStatus,
+  walletLogin
+};
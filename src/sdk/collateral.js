@@ -0,0 +1,58 @@
+const { COLLATERAL_TOKEN_ADDRESS, COLLATERAL_TOKEN_DECIMAL  } = require('./constants');
+
+/**
+ * Collateral (quote currency) of a market
+ *
+ * Most topics are quoted in USDT, but the platform also lists markets in
+ * other ERC20 tokens. A collateral is { address, decimals, symbol }; outcome
+ * tokens share the decimals of their collateral.
+ */
+
+/**
+ * Default collateral (BSC USDT)
+ */
+const DEFAULT_COLLATERAL = {
+  address: COLLATERAL_TOKEN_ADDRESS.toLowerCase(),
+  decimals: COLLATERAL_TOKEN_DECIMAL,
+  symbol: 'USDT'
+};
+
+/**
+ * Resolve the collateral of a topic
+ *
+ * Topic data wins; missing decimals/symbol are taken from the `known` map.
+ * An unknown token without decimals is refused rather than guessed, since
+ * wrong decimals would sign orders for the wrong amounts.
+ *
+ * @param {object|null} topicInfo - Topic info from TopicAPI (uses topicInfo.collateral)
+ * @param {object} [known] - Known tokens { [address]: { decimals, symbol } }
+ * @param {string} [defaultAddress] - Collateral used when the topic does not name one (default: USDT)
+ * @returns {{address: string, decimals: number, symbol: string}}
+ * @throws {Error} If the topic uses a token whose decimals are unknown
+ */
+function resolveCollateral(topicInfo, known = {}, defaultAddress = DEFAULT_COLLATERAL.address) {
+  const fromTopic = (topicInfo && topicInfo.collateral) || {};
+  const address = (fromTopic.address || defaultAddress).toLowerCase();
+
+  const knownEntry = Object.entries(known || {})
+    .find(([tokenAddress]) => tokenAddress.toLowerCase() === address);
+  const configured = knownEntry ? knownEntry[1] : (address === DEFAULT_COLLATERAL.address ? DEFAULT_COLLATERAL : {});
+
+  const decimals = Number(fromTopic.decimals ?? configured.decimals);
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new Error(`Unknown decimals for collateral ${address}; add it to the collaterals config`);
+  }
+
+  return {
+    address,
+    decimals,
+    symbol: fromTopic.symbol || configured.symbol || `${address.slice(0, 6)}…${address.slice(-4)}`
+  };
+}
+
+
+// Module exports
+module.exports = {
+  DEFAULT_COLLATERAL,
+  resolveCollateral
+};
@@ -0,0 +1,146 @@
+const { ethers  } = require('ethers');
+
+/**
+ * Conditional tokens calls
+ *
+ * Outcome tokens are ERC1155 positions of the conditional tokens contract.
+ * A binary topic has one condition with two outcome slots, so its full set is
+ * the partition [1, 2] (index set 1 = YES, 2 = NO):
+ *   - splitPosition: `amount` collateral -> `amount` YES + `amount` NO
+ *   - mergePositions: `amount` YES + `amount` NO -> `amount` collateral
+ *   - redeemPositions: after resolution, every held outcome token pays out
+ *     payoutNumerators[i] / payoutDenominator collateral
+ * Outcome tokens use the decimals of their collateral.
+ */
+
+const CONDITIONAL_TOKENS_ABI = [
+  'function splitPosition(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
+  'function mergePositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
+  'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
+  'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+  'function payoutNumerators(bytes32 conditionId, uint256 index) view returns (uint256)',
+  'function payoutDenominator(bytes32 conditionId) view returns (uint256)'
+];
+
+// Full set of a binary condition: YES (index set 1) and NO (index set 2)
+const BINARY_PARTITION = [1, 2];
+
+const conditionalTokensInterface = new ethers.Interface(CONDITIONAL_TOKENS_ABI);
+
+/**
+ * Validate a condition ID
+ * @private
+ */
+function checkConditionId(conditionId) {
+  if (!ethers.isHexString(conditionId, 32)) {
+    throw new Error(`Invalid conditionId: ${conditionId}`);
+  }
+}
+
+/**
+ * Encode a splitPosition call for a binary condition
+ *
+ * @param {object} params
+ * @param {string} params.collateralToken - Collateral token address
+ * @param {string} params.conditionId - Condition ID (bytes32)
+ * @param {bigint} params.amount - Collateral amount in base units
+ * @returns {string} Calldata
+ */
+function encodeSplitPosition(params) {
+  const { collateralToken, conditionId, amount } = params;
+  checkConditionId(conditionId);
+  return conditionalTokensInterface.encodeFunctionData('splitPosition', [
+    collateralToken, ethers.ZeroHash, conditionId, BINARY_PARTITION, amount
+  ]);
+}
+
+/**
+ * Encode a mergePositions call for a binary condition
+ *
+ * @param {object} params
+ * @param {string} params.collateralToken - Collateral token address
+ * @param {string} params.conditionId - Condition ID (bytes32)
+ * @param {bigint} params.amount - Number of YES+NO pairs in base units
+ * @returns {string} Calldata
+ */
+function encodeMergePositions(params) {
+  const { collateralToken, conditionId, amount } = params;
+  checkConditionId(conditionId);
+  return conditionalTokensInterface.encodeFunctionData('mergePositions', [
+    collateralToken, ethers.ZeroHash, conditionId, BINARY_PARTITION, amount
+  ]);
+}
+
+/**
+ * Encode a redeemPositions call for both outcomes of a binary condition
+ *
+ * @param {object} params
+ * @param {string} params.collateralToken - Collateral token address
+ * @param {string} params.conditionId - Condition ID (bytes32)
+ * @returns {string} Calldata
+ */
+function encodeRedeemPositions(params) {
+  const { collateralToken, conditionId } = params;
+  checkConditionId(conditionId);
+  return conditionalTokensInterface.encodeFunctionData('redeemPositions', [
+    collateralToken, ethers.ZeroHash, conditionId, BINARY_PARTITION
+  ]);
+}
+
+/**
+ * Read the reported payout of a binary condition
+ * The denominator stays 0 until the oracle has reported the result on-chain.
+ *
+ * @param {object} provider - ethers provider (only `call` is used)
+ * @param {string} contractAddress - Conditional tokens contract
+ * @param {string} conditionId - Condition ID (bytes32)
+ * @returns {Promise<{numerators: Array<bigint>, denominator: bigint}>} numerators in [YES, NO] order
+ */
+async function getPayouts(provider, contractAddress, conditionId) {
+  checkConditionId(conditionId);
+
+  const read = async (method, args) => {
+    const data = conditionalTokensInterface.encodeFunctionData(method, args);
+    const result = await provider.call({ to: contractAddress, data });
+    return BigInt(conditionalTokensInterface.decodeFunctionResult(method, result)[0]);
+  };
+
+  const denominator = await read('payoutDenominator', [conditionId]);
+  if (denominator === 0n) {
+    return { numerators: [0n, 0n], denominator };
+  }
+
+  const numerators = await Promise.all([0, 1].map(index => read('payoutNumerators', [conditionId, index])));
+  return { numerators, denominator };
+}
+
+/**
+ * Read ERC1155 balances of one account
+ *
+ * @param {object} provider - ethers provider (only `call` is used)
+ * @param {string} contractAddress - Conditional tokens contract
+ * @param {string} account - Holder address
+ * @param {Array<string>} tokenIds - Position IDs
+ * @returns {Promise<Array<bigint>>} Balances in base units, in tokenIds order
+ */
+async function getPositionBalances(provider, contractAddress, account, tokenIds) {
+  const data = conditionalTokensInterface.encodeFunctionData('balanceOfBatch', [
+    tokenIds.map(() => account),
+    tokenIds
+  ]);
+  const result = await provider.call({ to: contractAddress, data });
+  const [balances] = conditionalTokensInterface.decodeFunctionResult('balanceOfBatch', result);
+  return balances.map(balance => BigInt(balance));
+}
+
+
+// Module exports
+module.exports = {
+  CONDITIONAL_TOKENS_ABI,
+  BINARY_PARTITION,
+  encodeSplitPosition,
+  encodeMergePositions,
+  encodeRedeemPositions,
+  getPayouts,
+  getPositionBalances
+};
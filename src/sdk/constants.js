@@ -8,6 +8,10 @@ const CHAIN_ID = 56; // BSC
 // Contract addresses
 const EXCHANGE_ADDRESS = '0x5F45344126D6488025B0b84A3A8189F2487a7246';
 const COLLATERAL_TOKEN_ADDRESS = '0x55d398326f99059fF775485246999027B3197955'; // USDT
+const CONDITIONAL_TOKENS_ADDRESS = '0xAD1a38cEc043e70E83a3eC30443dB285ED10D774'; // ERC1155 outcome tokens (split / merge / redeem)
+
+// Default JSON-RPC endpoint for on-chain calls
+const DEFAULT_RPC_URL = 'https://bsc.publicnode.com';
 
 // Token configuration
 const COLLATERAL_TOKEN_DECIMAL = 18;
@@ -97,6 +101,30 @@ const OrderStatus = {
   CANCELLED: 3     // 已取消
 };
 
+// Topic status (话题状态)
+const TopicStatus = {
+  CREATED: 1,      // 已创建
+  ACTIVATED: 2,    // 交易中
+  RESOLVING: 3,    // 结算中
+  RESOLVED: 4,     // 已结算（可赎回）
+  FAILED: 5,       // 结算失败
+  DELETED: 6       // 已删除
+};
+
+// Order submission outcome (submitOrder)
+const SubmitOutcome = {
+  ACCEPTED: 'accepted',   // 交易所已收到订单
+  REJECTED: 'rejected',   // 交易所明确拒绝（参数/余额/签名错误等）
+  UNKNOWN: 'unknown'      // 重试耗尽仍无法确认是否已收到
+};
+
+// Default trading rules, used when neither topic data nor config provide them
+const DEFAULT_TRADING_RULES = {
+  tickSize: 0.001,    // Price grid (0-1 scale)
+  minShares: 0.01,    // Minimum order size in shares
+  minNotional: 0      // Minimum order value in collateral (0 = no minimum)
+};
+
 // Trade types (历史成交类型)
 const TradeType = {
   SPLIT: 'Split',   // 拆分：以0.5价格买入
@@ -111,6 +139,8 @@ module.exports = {
   CHAIN_ID,
   EXCHANGE_ADDRESS,
   COLLATERAL_TOKEN_ADDRESS,
+  CONDITIONAL_TOKENS_ADDRESS,
+  DEFAULT_RPC_URL,
   COLLATERAL_TOKEN_DECIMAL,
   API_BASE_URL,
   API_ENDPOINTS,
@@ -125,5 +155,8 @@ module.exports = {
   ZERO_ADDRESS,
   OrderQueryType,
   OrderStatus,
+  TopicStatus,
+  SubmitOutcome,
+  DEFAULT_TRADING_RULES,
   TradeType
 };
@@ -0,0 +1,79 @@
+const { Side  } = require('./constants');
+
+/**
+ * Market fee schedules
+ *
+ * A fee schedule is { feeRateBps }: the fee rate, in basis points of the
+ * order's collateral value, that is signed into every order for the market.
+ * Layered like the trading rules, later layers winning:
+ *   0 -> config default -> topic data -> config.topics[topicId]
+ */
+
+// Highest rate accepted (100%)
+const MAX_FEE_RATE_BPS = 10000;
+
+/**
+ * Read a fee rate from a config layer
+ * @private
+ */
+function pickFeeRate(source) {
+  if (!source || source.feeRateBps === undefined || source.feeRateBps === null) {
+    return {};
+  }
+
+  const feeRateBps = Number(source.feeRateBps);
+  if (!Number.isInteger(feeRateBps) || feeRateBps < 0 || feeRateBps > MAX_FEE_RATE_BPS) {
+    throw new Error(`Invalid feeRateBps ${source.feeRateBps} (expected an integer from 0 to ${MAX_FEE_RATE_BPS})`);
+  }
+  return { feeRateBps };
+}
+
+/**
+ * Resolve the fee schedule of a topic
+ *
+ * @param {object|null} topicInfo - Topic info from TopicAPI (uses topicInfo.feeSchedule)
+ * @param {object} [config] - Fee config
+ * @param {number} [config.feeRateBps] - Default fee rate in bps
+ * @param {object} [config.topics] - Per-topic overrides { [topicId]: { feeRateBps } }
+ * @returns {{feeRateBps: number}}
+ * @throws {Error} If a layer has an invalid rate
+ */
+function resolveFeeSchedule(topicInfo, config = {}) {
+  const topicId = topicInfo ? topicInfo.topicId : undefined;
+  const topicOverrides = config.topics && topicId !== undefined ? config.topics[topicId] : null;
+
+  return {
+    feeRateBps: 0,
+    ...pickFeeRate(config),
+    ...pickFeeRate(topicInfo && topicInfo.feeSchedule),
+    ...pickFeeRate(topicOverrides)
+  };
+}
+
+/**
+ * Estimate the fee of an order and the resulting net amount
+ * BUY pays the fee on top of the order value, SELL has it taken from the proceeds.
+ *
+ * @param {object} params
+ * @param {number} params.side - Order side (0: BUY, 1: SELL)
+ * @param {number} params.amount - Order value in collateral (shares * price)
+ * @param {number} params.feeRateBps - Fee rate in bps
+ * @returns {{fee: number, net: number}} net = total BUY cost or SELL proceeds after fee
+ */
+function estimateOrderFee(params) {
+  const { side, amount, feeRateBps } = params;
+  const fee = amount * feeRateBps / MAX_FEE_RATE_BPS;
+
+  return {
+    fee,
+    net: side === Side.BUY ? amount + fee : amount - fee
+  };
+}
+
+
+// Module exports
+module.exports = {
+  MAX_FEE_RATE_BPS,
+  resolveFeeSchedule,
+  estimateOrderFee
+};
@@ -1,5 +1,15 @@
-const { Side, VolumeType  } = require('./constants');
-const { calculateOrderAmounts  } = require('./utils');
+const { Side, VolumeType, TradingMethod, DEFAULT_TRADING_RULES, COLLATERAL_TOKEN_DECIMAL  } = require('./constants');
+const { calculateOrderAmounts, fromWei  } = require('./utils');
+const { validateOrderRules, snapPriceToTick, getTickDecimals  } = require('./tradingRules');
+
+/**
+ * Decimals of the API price for a tick size (at least the historical 3)
+ * @param {object} [tradingRules] - Trading rules (see tradingRules.js)
+ * @returns {number}
+ */
+function getPriceDecimals(tradingRules = DEFAULT_TRADING_RULES) {
+  return Math.max(3, getTickDecimals(tradingRules.tickSize));
+}
 
 /**
  * Build order parameters for signing
@@ -13,9 +23,10 @@ const { calculateOrderAmounts  } = require('./utils');
  * @param {number} params.side - Order side (0: BUY, 1: SELL)
  * @param {string} [params.volumeType='Shares'] - Volume type ('Shares' or 'Amount')
  * @param {string} [params.buyInputVal] - Buy input value (required if volumeType is 'Amount')
- * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
+ * @param {number} [params.decimals=18] - Collateral token decimals
  * @param {string} [params.expiration='0'] - Expiration timestamp
  * @param {string} [params.feeRateBps='0'] - Fee rate in bps
+ * @param {object} [params.tradingRules] - Tick size / minimum size rules (see tradingRules.js)
  * @returns {object} Order parameters ready for signing
  */
 function buildOrderParams(params) {
@@ -28,9 +39,10 @@ function buildOrderParams(params) {
     side,
     volumeType = VolumeType.SHARES,
     buyInputVal = '0',
-    isStableCoin = true,
+    decimals = COLLATERAL_TOKEN_DECIMAL,
     expiration = '0',
-    feeRateBps = '0'
+    feeRateBps = '0',
+    tradingRules = DEFAULT_TRADING_RULES
   } = params;
 
   // Validate required parameters
@@ -49,6 +61,14 @@ function buildOrderParams(params) {
     throw new Error('Limit price must be between 0 and 100');
   }
 
+  // Reject off-grid prices and undersized orders before anything is signed
+  validateOrderRules({
+    limitPrice,
+    shares,
+    amount: volumeType === VolumeType.AMOUNT ? buyInputVal : undefined,
+    rules: tradingRules
+  });
+
   // Calculate makerAmount and takerAmount
   const { makerAmount, takerAmount } = calculateOrderAmounts({
     side,
@@ -56,9 +76,20 @@ function buildOrderParams(params) {
     limitPrice,
     volumeType,
     buyInputVal,
-    isStableCoin
+    decimals
   });
 
+  if (volumeType === VolumeType.AMOUNT) {
+    validateAmountOrder({
+      side,
+      limitPrice,
+      makerAmount,
+      takerAmount,
+      decimals,
+      priceDecimals: getPriceDecimals(tradingRules)
+    });
+  }
+
   // Build order parameters
   const orderParams = {
     maker,
@@ -74,36 +105,86 @@ function buildOrderParams(params) {
   return orderParams;
 }
 
+/**
+ * Check that an amount-mode order (VolumeType.AMOUNT) is self-consistent
+ * In amount mode the currency amount comes from buyInputVal instead of
+ * shares * price, so the implied price makerAmount / takerAmount must not
+ * exceed the limit price and must be within one API price-grid step below it
+ * (share rounding, see sharesForAmount, makes an exact match impossible).
+ *
+ * @param {object} params
+ * @param {number} params.side - Order side (only BUY supports amount mode)
+ * @param {string} params.limitPrice - Limit price (0-100)
+ * @param {string} params.makerAmount - Currency amount in wei
+ * @param {string} params.takerAmount - Shares in wei
+ * @param {number} [params.decimals=18] - Collateral token decimals (for error messages)
+ * @param {number} [params.priceDecimals=3] - Decimals of the API price
+ * @throws {Error} If the amounts do not describe a buy at the limit price
+ */
+function validateAmountOrder(params) {
+  const { side, limitPrice, makerAmount, takerAmount, decimals = COLLATERAL_TOKEN_DECIMAL, priceDecimals = 3 } = params;
+
+  if (side !== Side.BUY) {
+    throw new Error('Amount volume type is only supported for BUY orders');
+  }
+
+  const amountWei = BigInt(makerAmount);
+  const sharesWei = BigInt(takerAmount);
+  if (amountWei <= 0n || sharesWei <= 0n) {
+    throw new Error('Amount orders need a positive amount (buyInputVal) and shares');
+  }
+
+  // Compare amount / shares with the limit exactly (both amounts share the same decimals):
+  // limit - step < implied <= limit, with the limit scaled to an integer on the API grid
+  const scale = 10n ** BigInt(priceDecimals);
+  const apiPrice = formatPriceWithBigInt(limitPrice, priceDecimals);
+  const limitScaled = BigInt(apiPrice.replace('.', ''));
+  const amountScaled = amountWei * scale;
+
+  if (amountScaled > limitScaled * sharesWei || amountScaled <= (limitScaled - 1n) * sharesWei) {
+    // Show the implied price with 3 extra digits so the mismatch is visible
+    const impliedPrice = formatScaledPrice(amountScaled * 1000n / sharesWei, priceDecimals + 3);
+    throw new Error(
+      `Inconsistent amount order: ${fromWei(makerAmount, decimals)} for ${fromWei(takerAmount, decimals)} shares ` +
+      `implies price ${impliedPrice}, limit price is ${apiPrice}`
+    );
+  }
+}
+
 /**
  * Convert price to API format using high-precision BigInt arithmetic
- * Divides by 100 and rounds to 3 decimal places
+ * Divides by 100 and formats to `decimals` places; prices finer than that
+ * grid are refused instead of being truncated
  *
- * @param {string} limitPrice - Price string (0-100, max 1 decimal)
- * @returns {string} Price formatted to 3 decimals (e.g., "99.11" -> "0.991")
+ * @param {string} limitPrice - Price string (0-100)
+ * @param {number} [decimals=3] - Decimals of the API price
+ * @returns {string} Price on the 0-1 scale (e.g., "99.1" -> "0.991")
  */
-function formatPriceWithBigInt(limitPrice) {
+function formatPriceWithBigInt(limitPrice, decimals = 3) {
   // Parse the price string to avoid floating point errors
   const parts = limitPrice.toString().split('.');
   const integerPart = parts[0] || '0';
-  const decimalPart = (parts[1] || '0').padEnd(2, '0'); // Ensure at least 2 decimal places
+  const decimalPart = (parts[1] || '').replace(/0+$/, '');
 
-  // Build integer representation (multiply by 100)
-  const fullInteger = integerPart + decimalPart;
-  const bigIntValue = BigInt(fullInteger);
+  // limitPrice is a percentage, so it carries 2 fewer decimals than the 0-1 price
+  const percentDecimals = decimals - 2;
+  if (decimalPart.length > percentDecimals) {
+    throw new Error(`Price ${limitPrice} is finer than the ${(1 / 10 ** decimals).toFixed(decimals)} API price grid`);
+  }
 
-  // Divide by 100 and maintain 3 decimal precision
-  // bigIntValue represents limitPrice * 100
-  // We want (limitPrice / 100) with 3 decimals = (bigIntValue / 100 / 100) with 3 decimals
-  // = bigIntValue / 10000 with 3 decimals
-  // = (bigIntValue * 1000) / 10000
-  const resultTimes1000 = bigIntValue * 1000n / 10000n;
+  // Integer representation of price * 10^decimals
+  const scaled = BigInt(integerPart + decimalPart.padEnd(percentDecimals, '0'));
 
-  // Convert to string with proper decimal placement
-  const resultStr = resultTimes1000.toString().padStart(4, '0');
-  const resultInt = resultStr.slice(0, -3) || '0';
-  const resultDec = resultStr.slice(-3);
+  return formatScaledPrice(scaled, decimals);
+}
 
-  return resultInt + '.' + resultDec;
+/**
+ * Format an integer price scaled by 10^decimals as a decimal string
+ * @private
+ */
+function formatScaledPrice(scaled, decimals) {
+  const resultStr = scaled.toString().padStart(decimals + 1, '0');
+  return resultStr.slice(0, -decimals) + '.' + resultStr.slice(-decimals);
 }
 
 /**
@@ -116,8 +197,9 @@ function formatPriceWithBigInt(limitPrice) {
  * @param {string} params.limitPrice - Limit price (0-100)
  * @param {string} params.collateralTokenAddr - Collateral token address
  * @param {number} params.chainId - Chain ID
- * @param {boolean} [params.isStableCoin=true] - Whether collateral is stablecoin
+ * @param {number} [params.priceDecimals=3] - Decimals of the API price (see getPriceDecimals)
  * @param {string} [params.safeRate='0'] - Safe rate
+ * @param {number} [params.tradingMethod=2] - Trading method (1: MARKET, 2: LIMIT)
  * @returns {object} API request payload
  */
 function buildApiPayload(params) {
@@ -127,22 +209,20 @@ function buildApiPayload(params) {
     limitPrice,
     collateralTokenAddr,
     chainId,
-    isStableCoin = true,
-    safeRate = '0'
+    priceDecimals = 3,
+    safeRate = '0',
+    tradingMethod = TradingMethod.LIMIT
   } = params;
 
-  // Calculate price for API (line 320 in readme)
-  // If stablecoin: price / 100 rounded to 3 decimals, else: price as is
-  const apiPrice = isStableCoin
-    ? formatPriceWithBigInt(limitPrice)
-    : limitPrice;
+  // Calculate price for API (line 320 in readme): price / 100 on the 0-1 scale
+  const apiPrice = formatPriceWithBigInt(limitPrice, priceDecimals);
 
   // Build API payload (lines 322-342 in readme)
   const payload = {
     topicId: parseInt(topicId), // Convert to number
     contractAddress: '',
     price: apiPrice,
-    tradingMethod: 2, // 2 = LIMIT (line 326)
+    tradingMethod, // 1 = MARKET, 2 = LIMIT (line 326)
     salt: signedOrder.salt,
     maker: signedOrder.maker,
     signer: signedOrder.signer,
@@ -167,9 +247,119 @@ function buildApiPayload(params) {
   return payload;
 }
 
+/**
+ * Price a market order by walking order book depth
+ * BUY walks asks from the lowest price, SELL walks bids from the highest price.
+ * Only levels within the worst-case limit price are consumed; if they cannot
+ * fill the requested size the order is refused.
+ *
+ * @param {object} params
+ * @param {object} params.orderBook - Order book from OrderBookAPI (decimal prices 0-1)
+ * @param {number} params.side - Order side (0: BUY, 1: SELL)
+ * @param {string|number} [params.shares] - Number of shares to fill
+ * @param {string|number} [params.amount] - USDT amount to fill (alternative to shares)
+ * @param {number} [params.maxSlippage=0.05] - Max slippage relative to best price (0.05 = 5%)
+ * @param {number} [params.priceLimit] - Explicit worst-case price (0-1), overrides maxSlippage
+ * @param {number} [params.tickSize=0.001] - Price grid the limit price is snapped to
+ * @returns {object} { shares, amount, avgPrice, bestPrice, worstPrice, limitPrice, levels }
+ */
+function priceMarketOrder(params) {
+  const {
+    orderBook,
+    side,
+    shares,
+    amount,
+    maxSlippage = 0.05,
+    priceLimit,
+    tickSize = DEFAULT_TRADING_RULES.tickSize
+  } = params;
+
+  if (side !== Side.BUY && side !== Side.SELL) {
+    throw new Error(`Invalid side: ${side}. Must be ${Side.BUY} (BUY) or ${Side.SELL} (SELL)`);
+  }
+
+  const hasShares = shares !== undefined && shares !== null && shares !== '';
+  const hasAmount = amount !== undefined && amount !== null && amount !== '';
+  if (hasShares === hasAmount) {
+    throw new Error('Specify exactly one of shares or amount');
+  }
+
+  const target = parseFloat(hasShares ? shares : amount);
+  if (isNaN(target) || target <= 0) {
+    throw new Error(`${hasShares ? 'shares' : 'amount'} must be a positive number`);
+  }
+
+  if (isNaN(maxSlippage) || maxSlippage < 0) {
+    throw new Error('maxSlippage must be a non-negative number');
+  }
+
+  const isBuy = side === Side.BUY;
+  const levels = (isBuy ? orderBook.asks : orderBook.bids) || [];
+  if (levels.length === 0) {
+    throw new Error(`Order book has no ${isBuy ? 'asks' : 'bids'} to fill against`);
+  }
+
+  const bestPrice = levels[0].price;
+
+  // Worst-case limit price, snapped to the tick grid towards the best price
+  let limitPrice;
+  if (priceLimit !== undefined && priceLimit !== null) {
+    limitPrice = snapPriceToTick(parseFloat(priceLimit), tickSize, isBuy ? 'down' : 'up');
+  } else {
+    limitPrice = isBuy
+      ? snapPriceToTick(bestPrice * (1 + maxSlippage), tickSize, 'down')
+      : snapPriceToTick(bestPrice * (1 - maxSlippage), tickSize, 'up');
+  }
+  limitPrice = Math.min(snapPriceToTick(1 - tickSize, tickSize), Math.max(tickSize, limitPrice));
+
+  const withinLimit = level => isBuy
+    ? level.price <= limitPrice + 1e-9
+    : level.price >= limitPrice - 1e-9;
+
+  let filledShares = 0;
+  let filledAmount = 0;
+  let worstPrice = bestPrice;
+  let remaining = target;
+  const consumed = [];
+
+  for (const level of levels) {
+    if (remaining <= 1e-9 || !withinLimit(level)) {
+      break;
+    }
+
+    // Remaining size expressed in shares at this level
+    const wantShares = hasShares ? remaining : remaining / level.price;
+    const takeShares = Math.min(wantShares, level.amount);
+
+    filledShares += takeShares;
+    filledAmount += takeShares * level.price;
+    remaining -= hasShares ? takeShares : takeShares * level.price;
+    worstPrice = level.price;
+    consumed.push({ price: level.price, shares: takeShares });
+  }
+
+  if (remaining > 1e-9) {
+    const available = hasShares ? filledShares.toFixed(4) + ' shares' : filledAmount.toFixed(4) + ' USDT';
+    throw new Error(`Order book too thin: only ${available} available within limit price ${limitPrice}`);
+  }
+
+  return {
+    shares: filledShares,
+    amount: filledAmount,
+    avgPrice: filledAmount / filledShares,
+    bestPrice,
+    worstPrice,
+    limitPrice,
+    levels: consumed
+  };
+}
+
 
 // Module exports
 module.exports = {
   buildOrderParams,
-  buildApiPayload
+  validateAmountOrder,
+  getPriceDecimals,
+  buildApiPayload,
+  priceMarketOrder
 };
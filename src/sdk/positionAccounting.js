@@ -0,0 +1,226 @@
+const { COLLATERAL_TOKEN_DECIMAL  } = require('./constants');
+const { toUnixSeconds  } = require('./utils');
+
+/**
+ * Position accounting
+ *
+ * Replays a topic's trade history per outcome (YES / NO) and tracks the
+ * remaining shares, their cost basis and the profit already realized.
+ *
+ * - Buy adds shares at the fill price; its fee is added to the cost basis
+ * - Sell removes shares; realized PnL = proceeds - fee - cost of the shares sold
+ * - Split turns 1 collateral into 1 YES + 1 NO, Merge does the reverse. Both
+ *   are booked as paired legs at 0.5 per share each, so a pair always costs
+ *   (or returns) exactly 1; the 0.5/0.5 allocation only moves PnL between the
+ *   two outcomes, never changes the total
+ *
+ * Cost methods: 'average' (weighted average cost) or 'fifo' (lots consumed
+ * oldest first).
+ */
+
+const OUTCOMES = ['YES', 'NO'];
+const COST_METHODS = ['average', 'fifo'];
+
+/**
+ * Create an empty position
+ * @private
+ */
+function emptyPosition() {
+  return {
+    shares: 0,
+    costBasis: 0,
+    realizedPnl: 0,
+    fees: 0,
+    boughtShares: 0,
+    soldShares: 0,
+    // Shares sold beyond what the history shows as held (e.g. tokens transferred in)
+    unmatchedShares: 0,
+    lots: []
+  };
+}
+
+/**
+ * Add shares to a position
+ * @private
+ */
+function openShares(position, shares, cost) {
+  position.shares += shares;
+  position.costBasis += cost;
+  position.boughtShares += shares;
+  position.lots.push({ shares, cost });
+}
+
+/**
+ * Remove shares from a position and book the realized PnL
+ * @private
+ */
+function closeShares(position, shares, proceeds, method) {
+  const matched = Math.min(shares, position.shares);
+  let cost = 0;
+
+  if (method === 'fifo') {
+    let remaining = matched;
+    while (remaining > 1e-12 && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const take = Math.min(remaining, lot.shares);
+      const lotCost = lot.cost * (take / lot.shares);
+      cost += lotCost;
+      lot.shares -= take;
+      lot.cost -= lotCost;
+      remaining -= take;
+      if (lot.shares <= 1e-12) {
+        position.lots.shift();
+      }
+    }
+  } else if (position.shares > 0) {
+    cost = position.costBasis * (matched / position.shares);
+  }
+
+  position.shares -= matched;
+  position.costBasis -= cost;
+  if (position.shares <= 1e-12) {
+    position.shares = 0;
+    position.costBasis = 0;
+    position.lots = [];
+  }
+
+  position.unmatchedShares += shares - matched;
+  position.soldShares += shares;
+  position.realizedPnl += proceeds - cost;
+}
+
+/**
+ * Resolve the outcome a trade record belongs to
+ * @private
+ */
+function tradeOutcome(trade, tokenOutcomes) {
+  const outcome = (trade.outcome || '').toString().toUpperCase();
+  if (OUTCOMES.includes(outcome)) {
+    return outcome;
+  }
+  return tokenOutcomes[String(trade.tokenId)] || null;
+}
+
+/**
+ * Replay trades into per-outcome positions
+ *
+ * Only successful trades (status 2) are booked. Split/Merge records without
+ * an outcome are expanded into a YES and a NO leg; records that name an
+ * outcome are taken as one leg of the pair.
+ *
+ * @param {Array<object>} trades - Trade records, newest first as listed by the API (replayed oldest first)
+ * @param {object} [options]
+ * @param {string} [options.method='average'] - 'average' or 'fifo'
+ * @param {number} [options.decimals=18] - Collateral decimals of the `fee` field
+ * @param {object} [options.tokenOutcomes] - { [tokenId]: 'YES'|'NO' } for records without `outcome`
+ * @returns {object} { method, positions: { YES, NO }, realizedPnl, totalFees, unattributed }
+ */
+function calculatePositions(trades, options = {}) {
+  const {
+    method = 'average',
+    decimals = COLLATERAL_TOKEN_DECIMAL,
+    tokenOutcomes = {}
+  } = options;
+
+  if (!COST_METHODS.includes(method)) {
+    throw new Error(`Unknown cost method "${method}" (expected ${COST_METHODS.join(' or ')})`);
+  }
+
+  const positions = { YES: emptyPosition(), NO: emptyPosition() };
+  const feeScale = 10 ** decimals;
+  let unattributed = 0;
+
+  const ordered = trades
+    .map((trade, index) => ({ trade, index }))
+    .filter(({ trade }) => trade.status === 2)
+    .sort((a, b) => ((toUnixSeconds(a.trade.createdAt) || 0) - (toUnixSeconds(b.trade.createdAt) || 0)) || b.index - a.index)
+    .map(({ trade }) => trade);
+
+  ordered.forEach(trade => {
+    const shares = parseFloat(trade.shares || 0);
+    const price = parseFloat(trade.lastPrice || 0);
+    const fee = parseFloat(trade.fee || 0) / feeScale;
+    const outcome = tradeOutcome(trade, tokenOutcomes);
+
+    if (trade.side === 'Split' || trade.side === 'Merge') {
+      const legs = outcome ? [outcome] : OUTCOMES;
+      legs.forEach(leg => {
+        const position = positions[leg];
+        const legFee = fee / legs.length;
+        position.fees += legFee;
+        if (trade.side === 'Split') {
+          openShares(position, shares, shares * 0.5 + legFee);
+        } else {
+          closeShares(position, shares, shares * 0.5 - legFee, method);
+        }
+      });
+      return;
+    }
+
+    if (!outcome) {
+      unattributed++;
+      return;
+    }
+
+    const position = positions[outcome];
+    position.fees += fee;
+    if (trade.side === 'Buy') {
+      openShares(position, shares, shares * price + fee);
+    } else if (trade.side === 'Sell') {
+      closeShares(position, shares, shares * price - fee, method);
+    }
+  });
+
+  OUTCOMES.forEach(outcome => {
+    const position = positions[outcome];
+    position.avgCost = position.shares > 0 ? position.costBasis / position.shares : 0;
+  });
+
+  return {
+    method,
+    positions,
+    realizedPnl: positions.YES.realizedPnl + positions.NO.realizedPnl,
+    totalFees: positions.YES.fees + positions.NO.fees,
+    unattributed
+  };
+}
+
+/**
+ * Mark positions to market
+ *
+ * @param {object} accounting - Result of calculatePositions
+ * @param {object} marks - { YES: price, NO: price } on the 0-1 scale (null = no market)
+ * @returns {object} Copy of `accounting` with marketValue / unrealizedPnl per outcome and in total
+ */
+function markPositions(accounting, marks) {
+  const positions = {};
+  let unrealizedPnl = 0;
+  let marketValue = 0;
+
+  OUTCOMES.forEach(outcome => {
+    const position = accounting.positions[outcome];
+    const mark = marks[outcome];
+    const value = mark === null || mark === undefined ? null : position.shares * mark;
+    const unrealized = value === null ? null : value - position.costBasis;
+
+    positions[outcome] = { ...position, mark, marketValue: value, unrealizedPnl: unrealized };
+    unrealizedPnl += unrealized || 0;
+    marketValue += value || 0;
+  });
+
+  return {
+    ...accounting,
+    positions,
+    marketValue,
+    unrealizedPnl,
+    totalPnl: accounting.realizedPnl + unrealizedPnl
+  };
+}
+
+
+// Module exports
+module.exports = {
+  COST_METHODS,
+  calculatePositions,
+  markPositions
+};
@@ -0,0 +1,67 @@
+const { ethers  } = require('ethers');
+const { TopicStatus  } = require('./constants');
+
+/**
+ * Redemption of resolved topics
+ *
+ * A topic is redeemable once the API reports it resolved AND the oracle has
+ * reported the payout on-chain (payoutDenominator > 0); between the two the
+ * redeem call would revert. redeemPositions burns the whole balance of both
+ * outcome tokens, each paying balance * numerator / denominator collateral,
+ * so losing tokens are cleared in the same transaction.
+ */
+
+const OUTCOMES = ['YES', 'NO'];
+
+/**
+ * Whether the API reports a topic as resolved
+ *
+ * @param {object|null} topicInfo - Topic info from TopicAPI
+ * @returns {boolean}
+ */
+function isTopicResolved(topicInfo) {
+  return !!topicInfo && Number(topicInfo.status) === TopicStatus.RESOLVED;
+}
+
+/**
+ * Compute what redeeming a topic's outcome tokens pays out
+ *
+ * @param {object} params
+ * @param {Array<bigint>} params.balances - Held [YES, NO] balances in base units
+ * @param {object} params.payouts - { numerators: [YES, NO], denominator } from getPayouts
+ * @param {number} params.decimals - Collateral decimals
+ * @returns {object} { reported, positions: [{ outcome, balance, payoutRatio, redeemable }], totalRedeemable, totalRedeemableRaw }
+ */
+function computeRedemption(params) {
+  const { balances, payouts, decimals } = params;
+  const reported = payouts.denominator > 0n;
+
+  let total = 0n;
+  const positions = OUTCOMES.map((outcome, index) => {
+    const balance = balances[index];
+    const raw = reported ? balance * payouts.numerators[index] / payouts.denominator : 0n;
+    total += raw;
+
+    return {
+      outcome,
+      balance: ethers.formatUnits(balance, decimals),
+      balanceRaw: balance,
+      payoutRatio: reported ? Number(payouts.numerators[index]) / Number(payouts.denominator) : null,
+      redeemable: ethers.formatUnits(raw, decimals)
+    };
+  });
+
+  return {
+    reported,
+    positions,
+    totalRedeemable: ethers.formatUnits(total, decimals),
+    totalRedeemableRaw: total
+  };
+}
+
+
+// Module exports
+module.exports = {
+  isTopicResolved,
+  computeRedemption
+};
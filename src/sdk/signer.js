@@ -57,7 +57,7 @@ function createOrder(params) {
 /**
  * Sign an order using EIP-712
  *
- * @param {ethers.Wallet} wallet - Ethers wallet instance
+ * @param {SignerBase|ethers.Wallet} wallet - Signer backend (see ./signers)
  * @param {object} order - Order object to sign
  * @returns {Promise<object>} Signed order with signature
  */
@@ -85,7 +85,7 @@ async function signOrder(wallet, order) {
 /**
  * Build and sign a complete order
  *
- * @param {ethers.Wallet} wallet - Ethers wallet instance
+ * @param {SignerBase|ethers.Wallet} wallet - Signer backend (see ./signers)
  * @param {object} orderParams - Order parameters
  * @returns {Promise<object>} Signed order object
  */
@@ -99,10 +99,81 @@ async function buildSignedOrder(wallet, orderParams) {
   return signedOrder;
 }
 
+/**
+ * Pick the EIP-712 Order fields from an order-like object
+ * Accepts signed orders as well as API payloads / records (side and
+ * signatureType may be strings there).
+ *
+ * @param {object} order - Order object
+ * @returns {object} Order message matching EIP712_TYPES.Order
+ */
+function toTypedOrder(order) {
+  return {
+    salt: order.salt,
+    maker: order.maker,
+    signer: order.signer,
+    taker: order.taker,
+    tokenId: order.tokenId,
+    makerAmount: order.makerAmount,
+    takerAmount: order.takerAmount,
+    expiration: order.expiration,
+    nonce: order.nonce,
+    feeRateBps: order.feeRateBps,
+    side: Number(order.side),
+    signatureType: Number(order.signatureType)
+  };
+}
+
+/**
+ * Compute the EIP-712 order hash (the digest the exchange contract signs over)
+ *
+ * @param {object} order - Order object (signed order or API payload)
+ * @returns {string} 0x-prefixed 32-byte order hash
+ */
+function getOrderHash(order) {
+  return ethers.TypedDataEncoder.hash(
+    EIP712_DOMAIN,
+    { Order: EIP712_TYPES.Order },
+    toTypedOrder(order)
+  );
+}
+
+/**
+ * Verify that an order signature recovers to the expected signer under EIP712_DOMAIN
+ *
+ * @param {object} order - Signed order object (must include signature)
+ * @param {string} [expectedSigner=order.signer] - Address the signature should recover to
+ * @returns {{valid: boolean, orderHash: string, recoveredAddress: string|null, error: string|null}}
+ */
+function verifySignedOrder(order, expectedSigner = order.signer) {
+  const orderHash = getOrderHash(order);
+
+  if (!order.signature) {
+    return { valid: false, orderHash, recoveredAddress: null, error: 'Order has no signature' };
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.recoverAddress(orderHash, order.signature);
+  } catch (error) {
+    return { valid: false, orderHash, recoveredAddress: null, error: error.message };
+  }
+
+  const valid = recoveredAddress.toLowerCase() === String(expectedSigner).toLowerCase();
+  return {
+    valid,
+    orderHash,
+    recoveredAddress,
+    error: valid ? null : `Signature recovers to ${recoveredAddress}, expected ${expectedSigner}`
+  };
+}
+
 
 // Module exports
 module.exports = {
   createOrder,
   signOrder,
-  buildSignedOrder
+  buildSignedOrder,
+  getOrderHash,
+  verifySignedOrder
 };
@@ -0,0 +1,132 @@
+const { ethers  } = require('ethers');
+const { HttpClient } = require('../../network');
+const SignerBase = require('./SignerBase');
+
+/**
+ * External JSON-RPC signer
+ * Delegates signing to a separate signer process (hardware wallet bridge,
+ * remote signer, ...) via `eth_signTypedData_v4` / `personal_sign` /
+ * `eth_signTransaction`. The key
+ * never enters this process.
+ *
+ * The transport is injectable so a local stand-in can answer requests in tests.
+ */
+class JsonRpcSigner extends SignerBase {
+  /**
+   * @param {object} config
+   * @param {string} config.address - Address of the key held by the external signer
+   * @param {string} [config.url] - JSON-RPC endpoint (required unless transport is given)
+   * @param {object} [config.headers] - Extra HTTP headers (e.g. auth for the signer process)
+   * @param {number} [config.timeout=60000] - Request timeout in ms (external signers may wait for approval)
+   * @param {Function} [config.transport] - async (request) => response, replaces HTTP transport
+   */
+  constructor(config) {
+    const { address, url, headers = {}, timeout = 60000, transport } = config || {};
+
+    if (!address) {
+      throw new Error('JsonRpcSigner requires the signer address');
+    }
+
+    if (!url && !transport) {
+      throw new Error('JsonRpcSigner requires a url or a transport');
+    }
+
+    super(address);
+    this.url = url;
+    this.requestId = 1;
+
+    if (transport) {
+      this.transport = transport;
+    } else {
+      const httpClient = new HttpClient({ timeout, headers });
+      this.transport = (request) => httpClient.post(url, request, { checkApiError: false });
+    }
+  }
+
+  async signTypedData(domain, types, value) {
+    const primaryType = Object.keys(types)[0];
+    const typedData = {
+      types: {
+        EIP712Domain: buildDomainType(domain),
+        ...types
+      },
+      domain,
+      primaryType,
+      message: stringifyBigInts(value)
+    };
+
+    return await this._requestSignature('eth_signTypedData_v4', [this.address, JSON.stringify(typedData)]);
+  }
+
+  async signMessage(message) {
+    return await this._requestSignature('personal_sign', [ethers.hexlify(ethers.toUtf8Bytes(message)), this.address]);
+  }
+
+  async signTransaction(tx) {
+    const request = {
+      from: this.address,
+      to: tx.to,
+      data: tx.data,
+      value: ethers.toQuantity(tx.value ?? 0),
+      nonce: ethers.toQuantity(tx.nonce),
+      gas: ethers.toQuantity(tx.gasLimit),
+      gasPrice: ethers.toQuantity(tx.gasPrice),
+      chainId: ethers.toQuantity(tx.chainId)
+    };
+
+    return await this._requestSignature('eth_signTransaction', [request]);
+  }
+
+  /**
+   * Internal: Send a signing request and validate the returned signature
+   * @private
+   */
+  async _requestSignature(method, params) {
+    const request = {
+      jsonrpc: '2.0',
+      id: this.requestId++,
+      method,
+      params
+    };
+
+    const response = await this.transport(request);
+
+    if (!response || response.error) {
+      const message = response && response.error ? response.error.message : 'empty response';
+      throw new Error(`External signer error: ${message}`);
+    }
+
+    if (typeof response.result !== 'string' || !response.result.startsWith('0x')) {
+      throw new Error('External signer returned an invalid signature');
+    }
+
+    return response.result;
+  }
+}
+
+/**
+ * Build the EIP712Domain type from the fields present in the domain
+ */
+function buildDomainType(domain) {
+  const fields = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+    { name: 'salt', type: 'bytes32' }
+  ];
+  return fields.filter(field => domain[field.name] !== undefined);
+}
+
+/**
+ * Convert BigInt values to strings so the message can be JSON-encoded
+ */
+function stringifyBigInts(value) {
+  const result = {};
+  for (const [key, val] of Object.entries(value)) {
+    result[key] = typeof val === 'bigint' ? val.toString() : val;
+  }
+  return result;
+}
+
+module.exports = JsonRpcSigner;
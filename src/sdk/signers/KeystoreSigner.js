@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const { ethers  } = require('ethers');
+const PrivateKeySigner = require('./PrivateKeySigner');
+
+/**
+ * Keystore signer
+ * Unlocks an encrypted ethers / geth JSON keystore with a passphrase.
+ * The decrypted key only lives in memory; nothing is written back to disk.
+ */
+class KeystoreSigner extends PrivateKeySigner {
+  /**
+   * Unlock a keystore from its JSON contents
+   *
+   * @param {string} json - Encrypted keystore JSON
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {Promise<KeystoreSigner>}
+   */
+  static async fromJson(json, passphrase) {
+    if (!passphrase) {
+      throw new Error('Keystore passphrase is required');
+    }
+
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+      return new KeystoreSigner(wallet);
+    } catch (error) {
+      throw new Error(`Failed to unlock keystore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unlock a keystore file
+   *
+   * @param {string} filePath - Path to the encrypted keystore JSON file
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {Promise<KeystoreSigner>}
+   */
+  static async fromFile(filePath, passphrase) {
+    let json;
+    try {
+      json = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw new Error(`Failed to read keystore ${filePath}: ${error.message}`);
+    }
+
+    return await KeystoreSigner.fromJson(json, passphrase);
+  }
+}
+
+module.exports = KeystoreSigner;
@@ -0,0 +1,38 @@
+const { ethers  } = require('ethers');
+const SignerBase = require('./SignerBase');
+
+/**
+ * Private key signer
+ * Signs in-process with a raw private key (e.g. PRIVATE_KEY from .env)
+ */
+class PrivateKeySigner extends SignerBase {
+  /**
+   * @param {string|ethers.Wallet} privateKeyOrWallet - Hex private key or an ethers.Wallet
+   */
+  constructor(privateKeyOrWallet) {
+    if (!privateKeyOrWallet) {
+      throw new Error('Private key is required');
+    }
+
+    const wallet = typeof privateKeyOrWallet === 'string'
+      ? new ethers.Wallet(privateKeyOrWallet)
+      : privateKeyOrWallet;
+
+    super(wallet.address);
+    this.wallet = wallet;
+  }
+
+  async signTypedData(domain, types, value) {
+    return await this.wallet.signTypedData(domain, types, value);
+  }
+
+  async signMessage(message) {
+    return await this.wallet.signMessage(message);
+  }
+
+  async signTransaction(tx) {
+    return await this.wallet.signTransaction(tx);
+  }
+}
+
+module.exports = PrivateKeySigner;
@@ -0,0 +1,54 @@
+/**
+ * Signer base class - defines the signer backend interface
+ *
+ * A signer backend holds (or reaches) the key of the Gnosis Safe owner and
+ * produces EIP-712 signatures. The interface is a subset of ethers.Wallet,
+ * so an ethers.Wallet can be used anywhere a signer backend is expected.
+ */
+class SignerBase {
+  /**
+   * @param {string} address - Address of the signing key
+   */
+  constructor(address) {
+    this.address = address;
+  }
+
+  /**
+   * Get the signer address
+   * @returns {string}
+   */
+  getAddress() {
+    return this.address;
+  }
+
+  /**
+   * Sign EIP-712 typed data
+   * @param {object} domain - EIP-712 domain
+   * @param {object} types - EIP-712 types (without EIP712Domain)
+   * @param {object} value - Message to sign
+   * @returns {Promise<string>} 65-byte ECDSA signature (0x-prefixed hex)
+   */
+  async signTypedData(domain, types, value) {
+    throw new Error('Signer must implement signTypedData() method');
+  }
+
+  /**
+   * Sign a plain-text message (EIP-191 personal_sign), used for wallet login
+   * @param {string} message - Message to sign
+   * @returns {Promise<string>} 65-byte ECDSA signature (0x-prefixed hex)
+   */
+  async signMessage(message) {
+    throw new Error('Signer must implement signMessage() method');
+  }
+
+  /**
+   * Sign a transaction sent by the signing key (e.g. Safe execTransaction)
+   * @param {object} tx - Fully populated transaction (type, chainId, nonce, gasLimit, gasPrice, to, data, value)
+   * @returns {Promise<string>} Serialized signed transaction (0x-prefixed hex)
+   */
+  async signTransaction(tx) {
+    throw new Error('Signer must implement signTransaction() method');
+  }
+}
+
+module.exports = SignerBase;
@@ -0,0 +1,55 @@
+/**
+ * Signer backends entry point
+ * 统一导出签名后端
+ */
+
+const SignerBase = require('./SignerBase');
+const PrivateKeySigner = require('./PrivateKeySigner');
+const KeystoreSigner = require('./KeystoreSigner');
+const JsonRpcSigner = require('./JsonRpcSigner');
+
+/**
+ * Create a signer backend from configuration
+ *
+ * @param {object} config
+ * @param {string} [config.type='privateKey'] - 'privateKey' | 'keystore' | 'jsonrpc'
+ * @param {string} [config.privateKey] - Raw private key (type 'privateKey')
+ * @param {string} [config.keystorePath] - Encrypted keystore file (type 'keystore')
+ * @param {string} [config.passphrase] - Keystore passphrase (type 'keystore')
+ * @param {string} [config.url] - External signer JSON-RPC endpoint (type 'jsonrpc')
+ * @param {string} [config.address] - External signer address (type 'jsonrpc')
+ * @returns {Promise<SignerBase>}
+ */
+async function createSigner(config = {}) {
+  const { type = 'privateKey' } = config;
+
+  switch (type) {
+    case 'privateKey':
+      return new PrivateKeySigner(config.privateKey);
+
+    case 'keystore':
+      if (!config.keystorePath) {
+        throw new Error('keystorePath is required for keystore signer');
+      }
+      return await KeystoreSigner.fromFile(config.keystorePath, config.passphrase);
+
+    case 'jsonrpc':
+      return new JsonRpcSigner({
+        url: config.url,
+        address: config.address,
+        headers: config.headers,
+        transport: config.transport
+      });
+
+    default:
+      throw new Error(`Unknown signer type: ${type}`);
+  }
+}
+
+module.exports = {
+  SignerBase,
+  PrivateKeySigner,
+  KeystoreSigner,
+  JsonRpcSigner,
+  createSigner
+};
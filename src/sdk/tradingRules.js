@@ -0,0 +1,140 @@
+const { DEFAULT_TRADING_RULES  } = require('./constants');
+
+/**
+ * Per-topic trading rules
+ *
+ * A rule set is { tickSize, minShares, minNotional } with prices on the 0-1
+ * scale. Rules are layered, later layers winning:
+ *   DEFAULT_TRADING_RULES -> config defaults -> topic data -> config.topics[topicId]
+ */
+
+/**
+ * Keep only positive numeric rule values
+ * @private
+ */
+function pickRules(source) {
+  const rules = {};
+  if (!source) {
+    return rules;
+  }
+
+  ['tickSize', 'minShares', 'minNotional'].forEach(key => {
+    const value = Number(source[key]);
+    if (source[key] !== undefined && source[key] !== null && Number.isFinite(value) && value >= 0) {
+      rules[key] = value;
+    }
+  });
+
+  if (rules.tickSize === 0) {
+    delete rules.tickSize;
+  }
+
+  return rules;
+}
+
+/**
+ * Resolve the trading rules for a topic
+ *
+ * @param {object|null} topicInfo - Topic info from TopicAPI (uses topicInfo.tradingRules)
+ * @param {object} [config] - Rule config
+ * @param {number} [config.tickSize] - Default tick size
+ * @param {number} [config.minShares] - Default minimum shares
+ * @param {number} [config.minNotional] - Default minimum order value
+ * @param {object} [config.topics] - Per-topic overrides { [topicId]: { tickSize, minShares, minNotional } }
+ * @returns {{tickSize: number, minShares: number, minNotional: number}}
+ */
+function resolveTradingRules(topicInfo, config = {}) {
+  const topicId = topicInfo ? topicInfo.topicId : undefined;
+  const topicOverrides = config.topics && topicId !== undefined ? config.topics[topicId] : null;
+
+  return {
+    ...DEFAULT_TRADING_RULES,
+    ...pickRules(config),
+    ...pickRules(topicInfo && topicInfo.tradingRules),
+    ...pickRules(topicOverrides)
+  };
+}
+
+/**
+ * Number of decimals needed to print prices on a tick grid
+ * @param {number} tickSize - Tick size (e.g. 0.001 -> 3)
+ * @returns {number}
+ */
+function getTickDecimals(tickSize) {
+  const str = Number(tickSize).toFixed(10).replace(/0+$/, '');
+  const dot = str.indexOf('.');
+  return dot === -1 ? 0 : str.length - dot - 1;
+}
+
+/**
+ * Snap a price (0-1) to the tick grid
+ *
+ * @param {number} price - Price on the 0-1 scale
+ * @param {number} tickSize - Tick size
+ * @param {string} [mode='nearest'] - 'nearest', 'down' or 'up'
+ * @returns {number} Price on the grid
+ */
+function snapPriceToTick(price, tickSize, mode = 'nearest') {
+  const round = mode === 'down' ? Math.floor : mode === 'up' ? Math.ceil : Math.round;
+  // Small epsilon so prices already on the grid are not pushed a tick away by float error
+  const epsilon = mode === 'down' ? 1e-9 : mode === 'up' ? -1e-9 : 0;
+  const ticks = round(price / tickSize + epsilon);
+  return parseFloat((ticks * tickSize).toFixed(getTickDecimals(tickSize)));
+}
+
+/**
+ * Whether a price (0-1) lies on the tick grid
+ * @param {number} price - Price on the 0-1 scale
+ * @param {number} tickSize - Tick size
+ * @returns {boolean}
+ */
+function isOnTick(price, tickSize) {
+  return Math.abs(price - snapPriceToTick(price, tickSize)) < 1e-9;
+}
+
+/**
+ * Check an order against trading rules before it is signed
+ *
+ * @param {object} params
+ * @param {string} params.limitPrice - Limit price (0-100)
+ * @param {string} params.shares - Number of shares
+ * @param {string} [params.amount] - Order value for amount-mode orders (defaults to shares * price)
+ * @param {object} params.rules - Trading rules (see resolveTradingRules)
+ * @throws {Error} If the price is off the tick grid or the order is too small
+ */
+function validateOrderRules(params) {
+  const { limitPrice, shares, amount, rules } = params;
+  const { tickSize, minShares, minNotional } = rules;
+  const decimals = getTickDecimals(tickSize);
+
+  const price = parseFloat(limitPrice) / 100;
+  if (!isOnTick(price, tickSize)) {
+    const below = snapPriceToTick(price, tickSize, 'down').toFixed(decimals);
+    const above = snapPriceToTick(price, tickSize, 'up').toFixed(decimals);
+    throw new Error(`Price ${price} is not on the ${tickSize} tick grid (nearest valid prices: ${below} / ${above})`);
+  }
+
+  if (price < tickSize - 1e-9 || price > 1 - tickSize + 1e-9) {
+    throw new Error(`Price ${price.toFixed(decimals)} is outside the tradable range ${tickSize} - ${(1 - tickSize).toFixed(decimals)}`);
+  }
+
+  const sharesValue = parseFloat(shares);
+  if (!(sharesValue >= minShares - 1e-9) || sharesValue <= 0) {
+    throw new Error(`Order size ${shares} shares is below the minimum of ${minShares} shares`);
+  }
+
+  const notional = amount !== undefined && amount !== null ? parseFloat(amount) : sharesValue * price;
+  if (minNotional > 0 && notional < minNotional - 1e-9) {
+    throw new Error(`Order value ${notional.toFixed(4)} is below the minimum of ${minNotional}`);
+  }
+}
+
+
+// Module exports
+module.exports = {
+  resolveTradingRules,
+  getTickDecimals,
+  snapPriceToTick,
+  isOnTick,
+  validateOrderRules
+};
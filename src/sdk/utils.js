@@ -29,12 +29,66 @@ function fromWei(wei, decimals = COLLATERAL_TOKEN_DECIMAL) {
   }
 }
 
+// Last salt handed out, so salts stay unique within the same millisecond
+let lastSalt = 0;
+
 /**
  * Generate order salt (timestamp in milliseconds)
+ * Strictly increasing: calls within the same millisecond (batches, retries)
+ * get the next free value instead of a duplicate.
  * @returns {string} Salt value
  */
 function generateSalt() {
-  return Date.now().toString();
+  lastSalt = Math.max(Date.now(), lastSalt + 1);
+  return lastSalt.toString();
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Resolve order expiration (good-til-date)
+ * Accepts either an absolute expiry or a time-to-live relative to now
+ *
+ * @param {object} params
+ * @param {number|Date} [params.expiresAt] - Absolute expiry (Unix seconds or Date)
+ * @param {number} [params.ttlSeconds] - Time to live in seconds
+ * @returns {string} Expiration in Unix seconds ('0' = good-til-cancelled)
+ */
+function resolveExpiration(params = {}) {
+  const { expiresAt, ttlSeconds } = params;
+
+  if (expiresAt !== undefined && expiresAt !== null && ttlSeconds !== undefined && ttlSeconds !== null) {
+    throw new Error('Specify either expiresAt or ttlSeconds, not both');
+  }
+
+  let expiration = 0;
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiration = expiresAt instanceof Date
+      ? Math.floor(expiresAt.getTime() / 1000)
+      : Math.floor(Number(expiresAt));
+  } else if (ttlSeconds !== undefined && ttlSeconds !== null) {
+    const ttl = Number(ttlSeconds);
+    if (isNaN(ttl) || ttl <= 0) {
+      throw new Error('ttlSeconds must be a positive number');
+    }
+    expiration = getCurrentTimestamp() + Math.floor(ttl);
+  } else {
+    return '0';
+  }
+
+  if (isNaN(expiration) || expiration <= getCurrentTimestamp()) {
+    throw new Error('Order expiration must be in the future');
+  }
+
+  return expiration.toString();
 }
 
 /**
@@ -89,6 +143,52 @@ function calculateAmountWithBigInt(shares, price) {
   return resultInt + '.' + trimmedDec;
 }
 
+/**
+ * Truncate a decimal string to at most `decimals` fractional digits
+ *
+ * @param {string|number} value - Decimal value
+ * @param {number} decimals - Maximum fractional digits
+ * @returns {string}
+ */
+function truncateDecimals(value, decimals) {
+  const [integerPart, decimalPart = ''] = value.toString().split('.');
+  const kept = decimalPart.slice(0, decimals).replace(/0+$/, '');
+  return kept ? `${integerPart}.${kept}` : integerPart;
+}
+
+
+/**
+ * Calculate how many shares a currency amount buys at a limit price
+ * Amount-mode orders spend exactly `amount`, so the implied price is
+ * amount / shares. Shares are rounded UP to 4 decimals to keep that price at
+ * or below the limit; rounding down (or to 2 decimals) pushes it above the
+ * limit at high prices, e.g. 1 USDT at 99.9 -> 1.00 shares -> price 1.000.
+ *
+ * @param {string|number} amount - Amount in currency (e.g. USDT)
+ * @param {string|number} limitPrice - Limit price (0-100)
+ * @returns {string} Number of shares with 4 decimals (e.g. "1.0011")
+ */
+function sharesForAmount(amount, limitPrice) {
+  const amountWei = BigInt(toWei(amount));
+  // Price in 1/10000 units, e.g. "35.1" -> 3510
+  const priceUnits = BigInt(toWei(limitPrice, 2));
+
+  if (amountWei <= 0n) {
+    throw new Error('Amount must be a positive number');
+  }
+  if (priceUnits <= 0n) {
+    throw new Error('Limit price must be greater than 0');
+  }
+
+  // shares = amount / (price / 100), kept as ten-thousandths of a share, rounded up
+  const numerator = amountWei * 100000000n;
+  const denominator = priceUnits * (10n ** BigInt(COLLATERAL_TOKEN_DECIMAL));
+  const sharesTimes10000 = (numerator + denominator - 1n) / denominator;
+  const sharesStr = sharesTimes10000.toString().padStart(5, '0');
+
+  return sharesStr.slice(0, -4) + '.' + sharesStr.slice(-4);
+}
+
 /**
  * Calculate makerAmount and takerAmount based on order parameters
  * According to the code in readme.md (lines 76-90)
@@ -99,14 +199,11 @@ function calculateAmountWithBigInt(shares, price) {
  * @param {string} params.limitPrice - Limit price (0-100)
  * @param {string} params.volumeType - Volume type ('Shares' or 'Amount')
  * @param {string} params.buyInputVal - Buy input value (amount in currency)
- * @param {boolean} params.isStableCoin - Whether the collateral is stablecoin
+ * @param {number} [params.decimals=18] - Collateral token decimals (outcome tokens use the same)
  * @returns {object} { makerAmount, takerAmount }
  */
 function calculateOrderAmounts(params) {
-  const { side, shares, limitPrice, volumeType, buyInputVal, isStableCoin } = params;
-
-  // Convert price: if not stablecoin, multiply by 100 (as per line 82 in readme)
-  const price = isStableCoin ? limitPrice : String(100 * Number(limitPrice));
+  const { side, shares, limitPrice, volumeType, buyInputVal, decimals = COLLATERAL_TOKEN_DECIMAL } = params;
 
   let amount;
 
@@ -114,23 +211,26 @@ function calculateOrderAmounts(params) {
   if (volumeType === 'Shares') {
     // Calculate amount from shares and price using BigInt for precision
     // amount = shares * price / 100
-    amount = calculateAmountWithBigInt(shares, price);
+    amount = calculateAmountWithBigInt(shares, limitPrice);
   } else {
     // Use the buyInputVal directly
     amount = buyInputVal;
   }
 
+  // Amounts cannot be finer than the token's smallest unit
+  amount = truncateDecimals(amount, decimals);
+
   let makerAmount, takerAmount;
 
   // Side 0 = BUY, Side 1 = SELL (lines 84-90 in readme)
   if (side === 0) { // BUY
     // BUY: maker provides amount, taker provides shares
-    makerAmount = toWei(amount);
-    takerAmount = toWei(shares);
+    makerAmount = toWei(amount, decimals);
+    takerAmount = toWei(shares, decimals);
   } else { // SELL
     // SELL: maker provides shares, taker provides amount
-    makerAmount = toWei(shares);
-    takerAmount = toWei(amount);
+    makerAmount = toWei(shares, decimals);
+    takerAmount = toWei(amount, decimals);
   }
 
   return {
@@ -139,6 +239,41 @@ function calculateOrderAmounts(params) {
   };
 }
 
+/**
+ * Run async tasks over items with a concurrency limit
+ * Never rejects: every item gets a settled result in input order
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Max number of tasks running at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array<object>>} [{ index, status: 'fulfilled'|'rejected', value|error }]
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        const value = await worker(items[index], index);
+        results[index] = { index, status: 'fulfilled', value };
+      } catch (error) {
+        results[index] = { index, status: 'rejected', error };
+      }
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+
+  return results;
+}
+
 /**
  * Encode Gnosis Safe signature
  * According to line 197 in readme: encodePacked([{ signer, data }])
@@ -186,15 +321,46 @@ function getCurrentTimestamp() {
   return Math.round(Date.now() / 1000);
 }
 
+/**
+ * Normalize a time value to Unix seconds
+ * Accepts Date objects, Unix seconds, Unix milliseconds, numeric strings and
+ * date strings Date.parse understands (e.g. ISO 8601)
+ *
+ * @param {number|string|Date|null} value - Time value
+ * @returns {number|null} Unix seconds, or null when the value is missing or invalid
+ */
+function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isFinite(parsed) ? Math.floor(parsed / 1000) : null;
+  }
+  // Values this large are milliseconds
+  return numeric > 1e12 ? Math.floor(numeric / 1000) : Math.floor(numeric);
+}
+
 
 // Module exports
 module.exports = {
   toWei,
   fromWei,
   generateSalt,
+  sleep,
+  resolveExpiration,
+  truncateDecimals,
+  sharesForAmount,
   calculateOrderAmounts,
+  runWithConcurrency,
   encodeGnosisSafeSignature,
   isValidAddress,
   normalizeAddress,
-  getCurrentTimestamp
+  getCurrentTimestamp,
+  toUnixSeconds
 };
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ethers } = require('ethers');
+const { JsonRpcSigner, createSigner } = require('../src/sdk/signers');
+const { buildSignedOrder, verifySignedOrder } = require('../src/sdk/signer');
+const { buildOrderParams } = require('../src/sdk/orderBuilder');
+const { Side } = require('../src/sdk/constants');
+
+const wallet = new ethers.Wallet('0x' + '66'.repeat(32));
+
+/**
+ * Stand-in external signer: answers JSON-RPC signing requests with a local wallet
+ * @param {Array<object>} [requests] - Receives every request
+ */
+function createTransport(requests = []) {
+  return async (request) => {
+    requests.push(request);
+    const { id, method, params } = request;
+
+    if (method === 'eth_signTypedData_v4') {
+      const { domain, types, message } = JSON.parse(params[1]);
+      const { EIP712Domain, ...messageTypes } = types;
+      return { jsonrpc: '2.0', id, result: await wallet.signTypedData(domain, messageTypes, message) };
+    }
+    if (method === 'personal_sign') {
+      return { jsonrpc: '2.0', id, result: await wallet.signMessage(ethers.getBytes(params[0])) };
+    }
+    if (method === 'eth_signTransaction') {
+      const tx = params[0];
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: await wallet.signTransaction({
+          type: 0,
+          to: tx.to,
+          data: tx.data,
+          value: tx.value,
+          nonce: Number(tx.nonce),
+          gasLimit: tx.gas,
+          gasPrice: tx.gasPrice,
+          chainId: tx.chainId
+        })
+      };
+    }
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: `unsupported method ${method}` } };
+  };
+}
+
+function createOrderParams() {
+  return buildOrderParams({
+    maker: '0x' + '77'.repeat(20),
+    signer: wallet.address,
+    tokenId: '12345',
+    limitPrice: '45',
+    shares: '10',
+    side: Side.BUY
+  });
+}
+
+test('orders signed through eth_signTypedData_v4 verify against the signer address', async () => {
+  const requests = [];
+  const signer = new JsonRpcSigner({ address: wallet.address, transport: createTransport(requests) });
+
+  const signedOrder = await buildSignedOrder(signer, createOrderParams());
+
+  assert.equal(verifySignedOrder(signedOrder, wallet.address).valid, true);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, 'eth_signTypedData_v4');
+  assert.equal(requests[0].params[0], wallet.address);
+
+  // Only the domain fields that are present are declared, and BigInts travel as strings
+  const typedData = JSON.parse(requests[0].params[1]);
+  assert.deepEqual(typedData.types.EIP712Domain.map(field => field.name), Object.keys(typedData.domain));
+  assert.equal(typedData.primaryType, 'Order');
+  assert.equal(typedData.message.makerAmount, String(signedOrder.makerAmount));
+});
+
+test('messages are signed through personal_sign', async () => {
+  const requests = [];
+  const signer = await createSigner({ type: 'jsonrpc', address: wallet.address, transport: createTransport(requests) });
+
+  const signature = await signer.signMessage('Sign in to opinion.trade\nNonce: 1');
+
+  assert.equal(ethers.verifyMessage('Sign in to opinion.trade\nNonce: 1', signature), wallet.address);
+  assert.deepEqual(requests[0].params, [ethers.hexlify(ethers.toUtf8Bytes('Sign in to opinion.trade\nNonce: 1')), wallet.address]);
+});
+
+test('transactions are signed through eth_signTransaction with hex quantities', async () => {
+  const requests = [];
+  const signer = new JsonRpcSigner({ address: wallet.address, transport: createTransport(requests) });
+
+  const signedTx = await signer.signTransaction({
+    chainId: 56,
+    to: '0x' + '88'.repeat(20),
+    data: '0xabcdef',
+    value: 0n,
+    nonce: 5,
+    gasLimit: 120000n,
+    gasPrice: 1000000000n
+  });
+
+  const tx = ethers.Transaction.from(signedTx);
+  assert.equal(tx.from, wallet.address);
+  assert.equal(tx.nonce, 5);
+  assert.equal(requests[0].params[0].gas, '0x1d4c0');
+  assert.equal(requests[0].params[0].chainId, '0x38');
+});
+
+test('signer errors and malformed results are rejected', async () => {
+  const rejecting = new JsonRpcSigner({
+    address: wallet.address,
+    transport: async ({ id }) => ({ jsonrpc: '2.0', id, error: { code: 4001, message: 'User rejected the request' } })
+  });
+  await assert.rejects(rejecting.signMessage('hi'), /External signer error: User rejected the request/);
+
+  const malformed = new JsonRpcSigner({ address: wallet.address, transport: async ({ id }) => ({ jsonrpc: '2.0', id, result: 'signed' }) });
+  await assert.rejects(malformed.signMessage('hi'), /invalid signature/);
+});
+
+test('the default HTTP transport posts JSON-RPC to the configured URL', async () => {
+  const transport = createTransport();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const response = await transport(JSON.parse(body));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const signer = new JsonRpcSigner({ address: wallet.address, url: `http://127.0.0.1:${server.address().port}` });
+    const signature = await signer.signMessage('over http');
+    assert.equal(ethers.verifyMessage('over http', signature), wallet.address);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,128 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OrderBookAPI = require('../src/sdk/OrderBookAPI');
+const OrderBookStream = require('../src/sdk/OrderBookStream');
+const MockOrderBookServer = require('../src/mock/MockOrderBookServer');
+const { captureLogger, waitFor } = require('./helpers');
+
+const TOKENS = { YES: 'yes-token', NO: 'no-token' };
+
+let server;
+let stream;
+let log;
+
+/**
+ * OrderBookAPI whose REST snapshots are served locally
+ * @param {Function} [fetchBooks] - async () => { YES, NO } raw depth data
+ */
+function createOrderBookAPI(fetchBooks = async () => ({ YES: { bids: [], asks: [] }, NO: { bids: [], asks: [] } })) {
+  const api = new OrderBookAPI({ questionId: 'question-1', tokens: TOKENS }, { logger: log.logger });
+  api.restCalls = 0;
+  api.getBothOrderBooks = async () => {
+    api.restCalls++;
+    const raw = await fetchBooks();
+    return { YES: api.parseOrderBook(raw.YES, 'YES'), NO: api.parseOrderBook(raw.NO, 'NO') };
+  };
+  return api;
+}
+
+function createStream(api, options = {}) {
+  stream = new OrderBookStream(api, { logger: log.logger, ...options });
+  return stream;
+}
+
+beforeEach(() => {
+  log = captureLogger();
+  server = new MockOrderBookServer();
+});
+
+afterEach(async () => {
+  if (stream) stream.stop();
+  stream = null;
+  await server.stop();
+});
+
+test('subscribes to both sides and applies pushed snapshots', async () => {
+  const url = await server.start();
+  server.publish(TOKENS.YES, { bids: [['0.45', '100']], asks: [['0.47', '50']], last_price: '0.46' });
+
+  const updates = [];
+  createStream(createOrderBookAPI(), { url });
+  stream.on('book', update => updates.push(update));
+  await stream.start();
+
+  await waitFor(() => server.stats.subscriptions === 2);
+  await waitFor(() => updates.some(update => update.source === 'stream' && update.type === 'YES'));
+  assert.deepEqual(stream.books.YES.bids.map(level => [level.price, level.amount]), [[0.45, 100]]);
+  assert.equal(stream.getStatus().mode, 'stream');
+
+  server.publish(TOKENS.NO, { bids: [['0.52', '10']], asks: [['0.55', '20']] });
+  await waitFor(() => stream.books.NO.asks.length === 1);
+  assert.equal(stream.books.NO.asks[0].price, 0.55);
+});
+
+test('resubscribes after the connection drops', async () => {
+  const url = await server.start();
+  createStream(createOrderBookAPI(), { url, reconnectDelay: 20 });
+  await stream.start();
+  await waitFor(() => server.stats.subscriptions === 2);
+
+  server.dropConnections();
+  await waitFor(() => server.stats.connections === 2 && server.stats.subscriptions === 4);
+  await waitFor(() => stream.getStatus().mode === 'stream');
+
+  // Snapshots published after the reconnect reach the new connection
+  server.publish(TOKENS.YES, { bids: [['0.40', '5']], asks: [] });
+  await waitFor(() => stream.books.YES.bids.length === 1);
+  assert.equal(stream.getStatus().reconnectAttempts, 0);
+});
+
+test('reconnects when heartbeats go unanswered', async () => {
+  server = new MockOrderBookServer({ respondToPing: false });
+  const url = await server.start();
+  createStream(createOrderBookAPI(), { url, heartbeatInterval: 30, heartbeatTimeout: 30, reconnectDelay: 20 });
+  await stream.start();
+
+  await waitFor(() => server.stats.connections >= 2);
+  assert.ok(server.stats.pings > 0);
+  assert.ok(log.entries.some(entry => entry.msg === '订单簿推送心跳超时，重新连接'));
+});
+
+test('falls back to polling while the stream is down', async () => {
+  const url = await server.start();
+  const api = createOrderBookAPI();
+  createStream(api, { url, pollInterval: 20, reconnectDelay: 60000 });
+  const sources = [];
+  stream.on('book', update => sources.push(update.source));
+  await stream.start();
+  await waitFor(() => stream.getStatus().mode === 'stream');
+  const callsWhileStreaming = api.restCalls;
+
+  server.dropConnections();
+  await waitFor(() => stream.getStatus().mode === 'poll');
+  await waitFor(() => api.restCalls >= callsWhileStreaming + 2);
+  assert.equal(sources[sources.length - 1], 'poll');
+});
+
+test('polls without a stream URL, one request at a time', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const api = createOrderBookAPI(async () => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    inFlight--;
+    return { YES: { bids: [], asks: [] }, NO: { bids: [], asks: [] } };
+  });
+  createStream(api, { pollInterval: 10 });
+  await stream.start();
+  assert.equal(stream.getStatus().mode, 'poll');
+
+  // Slow requests must not pile up, and listener errors must not escape as unhandled rejections
+  stream.on('book', () => {
+    throw new Error('listener failed');
+  });
+  await waitFor(() => api.restCalls >= 3);
+  await waitFor(() => log.entries.some(entry => entry.msg === '轮询订单簿失败'));
+  assert.equal(maxInFlight, 1);
+});
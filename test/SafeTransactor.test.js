@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { SafeTransactor } = require('../src/sdk/SafeTransactor');
+const OpinionTradeSDK = require('../src/sdk/OpinionTradeSDK');
+const { PrivateKeySigner } = require('../src/sdk/signers');
+const { CONDITIONAL_TOKENS_ABI } = require('../src/sdk/conditionalTokens');
+const { COLLATERAL_TOKEN_ADDRESS, CONDITIONAL_TOKENS_ADDRESS } = require('../src/sdk/constants');
+const { captureLogger } = require('./helpers');
+
+const OWNER_KEY = '0x' + '11'.repeat(32);
+const SAFE_ADDRESS = '0x' + '22'.repeat(20);
+const CONDITION_ID = '0x' + '33'.repeat(32);
+const CHAIN_ID = 56;
+
+const safeInterface = new ethers.Interface([
+  'function nonce() view returns (uint256)',
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)'
+]);
+const conditionalTokens = new ethers.Interface(CONDITIONAL_TOKENS_ABI);
+
+/**
+ * Stand-in provider: answers the Safe nonce and ERC1155 balance reads and records sent transactions
+ * @param {object} [options]
+ * @param {bigint} [options.nonce=7n] - Safe nonce
+ * @param {Array<bigint>} [options.balances] - Safe [YES, NO] balances
+ */
+function createProvider(options = {}) {
+  const { nonce = 7n, balances = [0n, 0n] } = options;
+  const provider = {
+    estimates: [],
+    broadcasts: [],
+    async call({ data }) {
+      const selector = data.slice(0, 10);
+      if (selector === safeInterface.getFunction('nonce').selector) {
+        return safeInterface.encodeFunctionResult('nonce', [nonce]);
+      }
+      if (selector === conditionalTokens.getFunction('balanceOfBatch').selector) {
+        return conditionalTokens.encodeFunctionResult('balanceOfBatch', [balances]);
+      }
+      throw new Error(`Unexpected call ${selector}`);
+    },
+    async estimateGas(request) {
+      provider.estimates.push(request);
+      return 100000n;
+    },
+    async getTransactionCount() {
+      return 3;
+    },
+    async getFeeData() {
+      return { gasPrice: 1000000000n };
+    },
+    async broadcastTransaction(signedTx) {
+      provider.broadcasts.push(signedTx);
+      return {
+        hash: ethers.keccak256(signedTx),
+        wait: async () => ({ status: 1, blockNumber: 123, gasUsed: 90000n })
+      };
+    }
+  };
+  return provider;
+}
+
+/**
+ * SDK with a stand-in provider and a fixed topic
+ */
+function createSDK(provider) {
+  const sdk = new OpinionTradeSDK({
+    privateKey: OWNER_KEY,
+    makerAddress: SAFE_ADDRESS,
+    provider,
+    logger: captureLogger().logger
+  });
+  sdk.getTopicInfo = async (topicId) => ({
+    topicId,
+    conditionId: CONDITION_ID,
+    yesToken: '101',
+    noToken: '102',
+    collateral: { address: COLLATERAL_TOKEN_ADDRESS, decimals: 18, symbol: 'USDT' }
+  });
+  return sdk;
+}
+
+test('SafeTx hash follows the Safe EIP-712 layout', async () => {
+  const safe = new SafeTransactor({
+    safeAddress: SAFE_ADDRESS,
+    signer: new PrivateKeySigner(OWNER_KEY),
+    provider: createProvider(),
+    chainId: CHAIN_ID,
+    logger: captureLogger().logger
+  });
+
+  const result = await safe.execute({ to: CONDITIONAL_TOKENS_ADDRESS, data: '0x1234' }, { dryRun: true });
+
+  const expected = ethers.TypedDataEncoder.hash(
+    { chainId: CHAIN_ID, verifyingContract: ethers.getAddress(SAFE_ADDRESS) },
+    {
+      SafeTx: [
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'data', type: 'bytes' },
+        { name: 'operation', type: 'uint8' },
+        { name: 'safeTxGas', type: 'uint256' },
+        { name: 'baseGas', type: 'uint256' },
+        { name: 'gasPrice', type: 'uint256' },
+        { name: 'gasToken', type: 'address' },
+        { name: 'refundReceiver', type: 'address' },
+        { name: 'nonce', type: 'uint256' }
+      ]
+    },
+    {
+      to: CONDITIONAL_TOKENS_ADDRESS,
+      value: 0,
+      data: '0x1234',
+      operation: 0,
+      safeTxGas: 0,
+      baseGas: 0,
+      gasPrice: 0,
+      gasToken: ethers.ZeroAddress,
+      refundReceiver: ethers.ZeroAddress,
+      nonce: 7
+    }
+  );
+  assert.equal(result.safeTxHash, expected);
+  assert.equal(result.safeTx.nonce, 7n);
+  assert.equal(result.dryRun, true);
+});
+
+test('split dry run encodes splitPosition and sends nothing', async () => {
+  const provider = createProvider();
+  const result = await createSDK(provider).splitPosition(1, '10', { dryRun: true });
+
+  assert.equal(result.call.to, ethers.getAddress(CONDITIONAL_TOKENS_ADDRESS));
+  const decoded = conditionalTokens.decodeFunctionData('splitPosition', result.call.data);
+  assert.equal(decoded[0], ethers.getAddress(COLLATERAL_TOKEN_ADDRESS));
+  assert.equal(decoded[1], ethers.ZeroHash);
+  assert.equal(decoded[2], CONDITION_ID);
+  assert.deepEqual([...decoded[3]], [1n, 2n]);
+  assert.equal(decoded[4], ethers.parseUnits('10', 18));
+  assert.equal(result.amount, '10.0');
+  assert.equal(provider.broadcasts.length, 0);
+});
+
+test('merge "max" uses the smaller of the YES and NO balances', async () => {
+  const provider = createProvider({ balances: [ethers.parseUnits('5', 18), ethers.parseUnits('3.5', 18)] });
+  const result = await createSDK(provider).mergePositions(1, 'max', { dryRun: true });
+
+  const decoded = conditionalTokens.decodeFunctionData('mergePositions', result.call.data);
+  assert.equal(decoded[2], CONDITION_ID);
+  assert.deepEqual([...decoded[3]], [1n, 2n]);
+  assert.equal(decoded[4], ethers.parseUnits('3.5', 18));
+  assert.equal(result.amount, '3.5');
+});
+
+test('merge "max" refuses when there are no complete pairs', async () => {
+  const provider = createProvider({ balances: [ethers.parseUnits('5', 18), 0n] });
+  await assert.rejects(createSDK(provider).mergePositions(1, 'max', { dryRun: true }), /No complete YES\+NO pairs/);
+});
+
+test('execute signs the SafeTx as the owner and broadcasts execTransaction', async () => {
+  const provider = createProvider();
+  const owner = new PrivateKeySigner(OWNER_KEY);
+  const result = await createSDK(provider).splitPosition(1, '2');
+
+  assert.equal(provider.broadcasts.length, 1);
+  const tx = ethers.Transaction.from(provider.broadcasts[0]);
+  assert.equal(tx.from, owner.getAddress());
+  assert.equal(tx.to, ethers.getAddress(SAFE_ADDRESS));
+  assert.equal(tx.nonce, 3);
+  assert.equal(tx.gasLimit, 120000n);
+
+  const exec = safeInterface.decodeFunctionData('execTransaction', tx.data);
+  assert.equal(exec[2], result.call.data);
+  assert.equal(ethers.recoverAddress(result.safeTxHash, exec[9]), owner.getAddress());
+  assert.equal(result.blockNumber, 123);
+});
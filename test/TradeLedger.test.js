@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const OpinionTradeSDK = require('../src/sdk/OpinionTradeSDK');
+const { TradeLedger } = require('../src/sdk/TradeLedger');
+const { captureLogger } = require('./helpers');
+
+const WALLET = '0x' + '99'.repeat(20);
+
+let dir;
+let log;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-'));
+  log = captureLogger();
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * SDK whose trade list is served from memory, newest first
+ * @param {Array<object>} trades - Trade records
+ */
+function createSDK(trades) {
+  const sdk = new OpinionTradeSDK({ privateKey: '0x' + '12'.repeat(32), makerAddress: WALLET, logger: log.logger });
+  sdk.requests = [];
+  sdk.queryTrades = async ({ page, limit }) => {
+    sdk.requests.push(page);
+    return { list: trades.slice((page - 1) * limit, page * limit), total: trades.length };
+  };
+  return sdk;
+}
+
+function createLedger() {
+  return new TradeLedger({ walletAddress: WALLET, dir, overlapSeconds: 60, logger: log.logger });
+}
+
+test('ISO createdAt values move the sync mark and bound the next sync', async () => {
+  const trades = [
+    { tradeNo: 't3', status: 2, createdAt: '2026-10-01T12:00:00Z' },
+    { tradeNo: 't2', status: 2, createdAt: '2026-10-01T11:00:00Z' },
+    { tradeNo: 't1', status: 2, createdAt: '2026-10-01T10:00:00Z' }
+  ];
+  const sdk = createSDK(trades);
+  const iterate = options => sdk.iterateTrades({ ...options, walletAddress: WALLET, pageSize: 1 });
+
+  const first = await createLedger().sync(iterate);
+  assert.deepEqual(first, { added: 3, updated: 0, total: 3, complete: true });
+
+  const state = JSON.parse(await fs.readFile(path.join(dir, `${WALLET}.state.json`), 'utf-8'));
+  assert.equal(state.syncedUntil, Date.parse('2026-10-01T12:00:00Z') / 1000);
+
+  // The next sync stops at the first page older than the overlap window
+  sdk.requests = [];
+  const second = await createLedger().sync(iterate);
+  assert.equal(second.complete, true);
+  assert.deepEqual(sdk.requests, [1, 2]);
+  assert.equal(log.entries.some(entry => entry.level === 'warn'), false);
+});
+
+test('until and since limits apply to ISO createdAt values', async () => {
+  const sdk = createSDK([
+    { tradeNo: 't3', createdAt: '2026-10-01T12:00:00Z' },
+    { tradeNo: 't2', createdAt: '2026-10-01T11:00:00Z' },
+    { tradeNo: 't1', createdAt: '2026-10-01T10:00:00Z' }
+  ]);
+
+  const trades = await sdk.getAllTrades({
+    walletAddress: WALLET,
+    since: new Date('2026-10-01T10:30:00Z'),
+    until: new Date('2026-10-01T11:30:00Z')
+  });
+
+  assert.deepEqual(trades.map(trade => trade.tradeNo), ['t2']);
+});
+
+test('unreadable createdAt values are reported instead of silently ignored', async () => {
+  const sdk = createSDK([
+    { tradeNo: 't2', status: 2, createdAt: 'yesterday' },
+    { tradeNo: 't1', status: 2, createdAt: '2026-10-01T10:00:00Z' }
+  ]);
+
+  const result = await createLedger().sync(options => sdk.iterateTrades({ ...options, walletAddress: WALLET }));
+
+  assert.equal(result.added, 2);
+  const warning = log.entries.find(entry => entry.msg === 'Trades without a readable createdAt');
+  assert.equal(warning.count, 1);
+});
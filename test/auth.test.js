@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const OpinionTradeSDK = require('../src/sdk/OpinionTradeSDK');
+const { PrivateKeySigner } = require('../src/sdk/signers');
+const { walletLogin } = require('../src/sdk/auth');
+const { HttpClient, HttpError } = require('../src/network');
+const MockAuthServer = require('../src/mock/MockAuthServer');
+const { captureLogger } = require('./helpers');
+
+const PRIVATE_KEY = '0x' + '44'.repeat(32);
+const SAFE_ADDRESS = '0x' + '55'.repeat(20);
+
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  server = new MockAuthServer();
+  baseUrl = await server.start();
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+/**
+ * SDK pointed at the mock server
+ * @param {object} [options]
+ * @param {string} [options.authorizationToken] - Initial token
+ * @param {boolean} [options.relogin=true] - Configure wallet login
+ */
+function createSDK(options = {}) {
+  const { authorizationToken, relogin = true } = options;
+  return new OpinionTradeSDK({
+    privateKey: PRIVATE_KEY,
+    makerAddress: SAFE_ADDRESS,
+    authorizationToken,
+    apiBaseUrl: baseUrl,
+    auth: relogin ? { loginUrl: `${baseUrl}/v1/user/login` } : {},
+    logger: captureLogger().logger
+  });
+}
+
+test('walletLogin signs the challenge and returns a token the server accepts', async () => {
+  const client = new HttpClient();
+  const signer = new PrivateKeySigner(PRIVATE_KEY);
+
+  const token = await walletLogin({
+    signer,
+    loginUrl: `${baseUrl}/v1/user/login`,
+    post: (url, body) => client.post(url, body, { checkApiError: false })
+  });
+
+  assert.equal(server.stats.logins, 1);
+  const claims = server.verifyToken(`Bearer ${token}`);
+  assert.equal(claims.sub, signer.getAddress().toLowerCase());
+});
+
+test('walletLogin fails when the challenge is signed by another key', async () => {
+  const client = new HttpClient();
+  const signer = new PrivateKeySigner(PRIVATE_KEY);
+  const impostor = ethers.Wallet.createRandom();
+  signer.signMessage = message => impostor.signMessage(message);
+
+  await assert.rejects(walletLogin({
+    signer,
+    loginUrl: `${baseUrl}/v1/user/login`,
+    post: (url, body) => client.post(url, body, { checkApiError: false })
+  }), /invalid signature/);
+  assert.equal(server.stats.logins, 0);
+});
+
+test('a rejected token triggers a wallet login and one retry', async () => {
+  // Not expired, but signed with another secret: only the server can tell it is invalid
+  const staleToken = new MockAuthServer().issueToken(new PrivateKeySigner(PRIVATE_KEY).getAddress());
+  const sdk = createSDK({ authorizationToken: staleToken });
+
+  const trades = await sdk.queryTrades({ walletAddress: SAFE_ADDRESS });
+
+  assert.deepEqual(trades, { list: [], total: 0 });
+  assert.equal(server.stats.rejected, 1);
+  assert.equal(server.stats.logins, 1);
+  assert.notEqual(sdk.authorizationToken, staleToken);
+  assert.ok(server.verifyToken(`Bearer ${sdk.authorizationToken}`));
+});
+
+test('an expired token is refreshed before the request is sent', async () => {
+  const expiredToken = server.issueToken(new PrivateKeySigner(PRIVATE_KEY).getAddress(), -10);
+  const sdk = createSDK({ authorizationToken: expiredToken });
+  assert.equal(sdk.getAuthStatus().expired, true);
+
+  await sdk.queryTrades({ walletAddress: SAFE_ADDRESS });
+
+  assert.equal(server.stats.rejected, 0);
+  assert.equal(server.stats.logins, 1);
+  assert.equal(sdk.getAuthStatus().expired, false);
+});
+
+test('without a login URL the 401 is passed through', async () => {
+  const sdk = createSDK({ authorizationToken: 'not-a-token', relogin: false });
+
+  await assert.rejects(sdk.queryTrades({ walletAddress: SAFE_ADDRESS }), error => {
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 401);
+    return true;
+  });
+  assert.equal(server.stats.logins, 0);
+});
@@ -0,0 +1,34 @@
+const { Logger } = require('../src/logger');
+
+/**
+ * Logger that keeps entries in memory instead of printing them
+ * @returns {{logger: Logger, entries: Array<object>}}
+ */
+function captureLogger() {
+  const entries = [];
+  const logger = new Logger({ level: 'debug', sinks: [entry => entries.push(entry)] });
+  return { logger, entries };
+}
+
+/**
+ * Wait until a condition holds
+ *
+ * @param {Function} condition - () => boolean
+ * @param {number} [timeout=2000] - Give up after this many milliseconds
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition does not hold in time
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeout}ms: ${condition}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {
+  captureLogger,
+  waitFor
+};
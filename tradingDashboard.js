@@ -1,14 +1,26 @@
 require('dotenv').config();
+const path = require('path');
 const readline = require('readline');
+const { Writable } = require('stream');
 const { exec } = require('child_process');
 const OrderBookAPI = require('./src/sdk/OrderBookAPI');
+const OrderBookStream = require('./src/sdk/OrderBookStream');
+const OrderBookState = require('./src/sdk/OrderBookState');
 const TopicAPI = require('./src/sdk/TopicAPI');
 const InventoryManager = require('./InventoryManager');
 const OpinionTradeSDK = require('./src/sdk/OpinionTradeSDK');
 const AutoClearManager = require('./AutoClearManager');
 const TelegramNotifier = require('./TelegramNotifier');
 const config = require('./config');
-const { networkMonitor } = require('./src/network/httpClient');
+const { networkMonitor, rateLimiter } = require('./src/network/httpClient');
+const { Side, VolumeType, SubmitOutcome, OrderQueryType, EXCHANGE_ADDRESS } = require('./src/sdk/constants');
+const { priceMarketOrder } = require('./src/sdk/orderBuilder');
+const { sharesForAmount } = require('./src/sdk/utils');
+const { resolveTradingRules, snapPriceToTick, validateOrderRules } = require('./src/sdk/tradingRules');
+const { DEFAULT_COLLATERAL, resolveCollateral } = require('./src/sdk/collateral');
+const { resolveFeeSchedule, estimateOrderFee } = require('./src/sdk/fees');
+const { createSigner } = require('./src/sdk/signers');
+const { createLogger } = require('./src/logger');
 
 // 导入面板和网格管理器
 const GridManager = require('./src/dashboard/GridManager');
@@ -29,9 +41,23 @@ const {
  * 统一二维选择模型，支持自由导航和虚拟滚动
  */
 class TradingDashboard {
-  constructor(topicId) {
+  /**
+   * @param {string} topicId - Topic ID
+   * @param {Object} options
+   * @param {Object} [options.signer] - 签名后端（见 src/sdk/signers），未提供时仅可查看行情
+   * @param {Logger} [options.logger] - 日志实例，默认只写入 JSON Lines 文件（避免干扰全屏界面）
+   */
+  constructor(topicId, options = {}) {
+    const {
+      signer = null,
+      logger = createLogger({
+        console: false,
+        file: process.env.LOG_FILE || path.join(__dirname, 'logs', 'dashboard.jsonl')
+      })
+    } = options;
     this.topicId = topicId;
-    this.topicAPI = new TopicAPI();
+    this.logger = logger;
+    this.topicAPI = new TopicAPI(undefined, { logger });
     this.orderBookAPI = null;
     this.inventoryManager = new InventoryManager();
     this.topicInfo = null;
@@ -43,16 +69,36 @@ class TradingDashboard {
     this.accountAddress = config.account;
 
     // 初始化 SDK（用于查询订单）
+    // TRADING_MODE=paper 时使用本地模拟交易所（无需私钥，不动用真实资金）
     this.sdk = null;
     this.sdkEnabled = false;
-    if (process.env.PRIVATE_KEY && process.env.MAKER_ADDRESS) {
+    this.paperMode = process.env.TRADING_MODE === 'paper';
+    if (this.paperMode || (signer && process.env.MAKER_ADDRESS)) {
       try {
         this.sdk = new OpinionTradeSDK({
-          privateKey: process.env.PRIVATE_KEY,
+          signer,
+          logger,
           makerAddress: process.env.MAKER_ADDRESS,
-          authorizationToken: process.env.AUTHORIZATION_TOKEN
+          authorizationToken: process.env.AUTHORIZATION_TOKEN,
+          auth: {
+            loginUrl: process.env.AUTH_LOGIN_URL
+          },
+          tradingRules: config.tradingRules,
+          collaterals: config.collaterals,
+          fees: config.fees,
+          rpcUrl: config.rpc,
+          mode: this.paperMode ? 'paper' : 'live',
+          paper: {
+            initialUsdt: parseFloat(process.env.PAPER_USDT_BALANCE || '1000')
+          }
         });
         this.sdkEnabled = true;
+
+        if (this.paperMode) {
+          // 模拟盘：库存读取模拟交易所的虚拟余额
+          this.inventoryManager = this.sdk.paperExchange;
+          this.accountAddress = this.sdk.getMakerAddress();
+        }
       } catch (error) {
         console.warn('⚠️  SDK初始化失败，订单查询功能将不可用:', error.message);
       }
@@ -61,13 +107,14 @@ class TradingDashboard {
     // 初始化自动库存清理管理器
     this.autoClearManager = null;
     if (this.sdkEnabled) {
-      this.autoClearManager = new AutoClearManager(this.sdk, topicId);
+      this.autoClearManager = new AutoClearManager(this.sdk, topicId, { logger });
     }
 
     // 初始化 Telegram 通知器
     this.telegramNotifier = new TelegramNotifier(
       process.env.TELEGRAM_BOT_TOKEN,
-      process.env.TELEGRAM_CHAT_ID
+      process.env.TELEGRAM_CHAT_ID,
+      { logger }
     );
 
     // 订单簿数据
@@ -76,6 +123,14 @@ class TradingDashboard {
       YES: null,
       NO: null
     };
+    // 盘口推送（initialize 时创建，不可用时自动回退轮询）
+    this.orderBookStream = null;
+    this.renderScheduled = false;
+    // 盘口逐档差异：档位变化和推断成交写入事件历史，变化的档位在订单簿中高亮
+    this.orderBookState = new OrderBookState();
+    this.orderBookState.on('level', (level) => this.recordMarketLevel(level));
+    this.orderBookState.on('trade', (trade) => this.recordMarketTrade(trade));
+    this.flashTimer = null;
 
     // Open Orders 数据
     this.openOrders = null;
@@ -108,6 +163,9 @@ class TradingDashboard {
 
     // 订单簿动态宽度
     this.currentOrderBookWidth = 55;
+    // 订单簿按价格区间合并档位，0 表示不合并；按 G 在预设间切换
+    this.PRICE_GROUP_PRESETS = [0, 0.001, 0.005, 0.01];
+    this.priceGroupSize = 0;
 
     // ========== 新的统一选择模型 ==========
     // 网格管理器
@@ -127,13 +185,25 @@ class TradingDashboard {
     };
 
     // 交互模式状态
-    this.interactionMode = null; // null | 'inputShares' | 'confirm' | 'submitting' | 'askAutoClear' | 'confirmCancel'
+    this.interactionMode = null; // null | 'inputShares' | 'confirm' | 'submitting' | 'askAutoClear' | 'confirmCancel' | 'confirmCancelAll' | 'cancellingAll'
     this.inputBuffer = '';
     this.priceAdjustment = 0;
     this.submitMessage = '';
     this.lastSubmittedOrderId = null;
     this.autoClearEnabled = false; // 是否启用自动清理
-
+    // 订单有效期（秒），0 表示长期有效（GTC）；按 E 在预设间切换
+    this.ORDER_TTL_PRESETS = [0, 3600, 4 * 3600, 12 * 3600, 24 * 3600];
+    this.orderTtlSeconds = 0;
+    // 输入单位：按数量（Shares）或按USDT金额（Amount，仅买入）；按 U 切换
+    this.inputVolumeType = VolumeType.SHARES;
+    // 交易规则（价格步长、最小数量/金额），initialize 后按话题数据更新
+    this.tradingRules = resolveTradingRules(null, config.tradingRules);
+    // 计价币种（地址、精度、符号），initialize 后按话题数据更新
+    this.collateral = DEFAULT_COLLATERAL;
+    // 手续费率，initialize 后按话题数据更新
+    this.feeSchedule = resolveFeeSchedule(null, config.fees);
+    // 交易所授权检查结果（仅实盘，见 checkApprovals）
+    this.approvalStatus = null;
 
     // 提示消息定时器
     this.messageTimer = null;
@@ -155,14 +225,75 @@ class TradingDashboard {
     console.log();
 
     const orderBookConfig = await this.topicAPI.getOrderBookConfig(this.topicId);
-    this.orderBookAPI = new OrderBookAPI(orderBookConfig);
+    this.orderBookAPI = new OrderBookAPI(orderBookConfig, { logger: this.logger });
+    this.orderBookStream = new OrderBookStream(this.orderBookAPI, {
+      url: config.orderbook.wsUrl,
+      pollInterval: this.refreshInterval,
+      logger: this.logger
+    });
+    this.orderBookStream.on('book', (update) => this.handleOrderBookUpdate(update));
+    this.orderBookStream.on('status', () => this.scheduleRender());
     this.tokenIds = [this.topicInfo.yesToken, this.topicInfo.noToken];
+    this.tradingRules = resolveTradingRules(this.topicInfo, config.tradingRules);
+
+    try {
+      this.collateral = resolveCollateral(this.topicInfo, config.collaterals);
+      if (this.collateral.address !== DEFAULT_COLLATERAL.address) {
+        console.log(`计价币种: ${this.collateral.symbol} (${this.collateral.address}, ${this.collateral.decimals} 位精度)`);
+      }
+    } catch (error) {
+      // 精度未知时仍可看盘，下单会被 SDK 拒绝
+      this.collateral = { address: this.topicInfo.collateral.address, decimals: null, symbol: '???' };
+      console.warn(`⚠️  ${error.message}`);
+    }
+
+    try {
+      this.feeSchedule = resolveFeeSchedule(this.topicInfo, config.fees);
+    } catch (error) {
+      console.warn(`⚠️  手续费率无效，按配置默认值显示: ${error.message}`);
+    }
+
+    // 模拟盘不涉及链上授权
+    if (this.sdkEnabled && !this.paperMode) {
+      await this.checkApprovals();
+    }
 
     if (this.autoClearManager) {
       await this.autoClearManager.initialize();
     }
   }
 
+  /**
+   * 检查 Safe 对交易所的授权（计价币种 approve、NFT setApprovalForAll）
+   * 缺少授权时订单会在撮合结算时失败且没有明确原因，这里启动时提前警告
+   */
+  async checkApprovals() {
+    try {
+      // 只传地址：精度未知的币种由链上读取
+      this.approvalStatus = await this.inventoryManager.checkApprovals(
+        this.accountAddress,
+        EXCHANGE_ADDRESS,
+        [{ address: this.collateral.address }]
+      );
+    } catch (error) {
+      console.warn(`⚠️  交易所授权检查失败: ${error.message}`);
+      return;
+    }
+
+    if (this.approvalStatus.ok) return;
+
+    console.warn('⚠️  Safe 尚未完成交易所授权，相关订单会结算失败:');
+    this.approvalStatus.tokens.filter(token => !token.ok).forEach(token => {
+      console.warn(`    ${token.symbol}: 授权额度 ${token.allowance}，余额 ${token.balance}`);
+    });
+    if (!this.approvalStatus.nft.approved) {
+      console.warn('    NFT: 未 setApprovalForAll，无法卖出 YES/NO');
+    }
+    console.warn('    可运行 npm run positions -- approve 通过 Safe 补齐授权');
+    console.log();
+    this.logger.warn('Exchange approvals missing', { missing: this.approvalStatus.missing });
+  }
+
   /**
    * 构建二维选择网格（使用面板）
    */
@@ -192,8 +323,13 @@ class TradingDashboard {
       autoClearManager: this.autoClearManager,
       showTrackedOrders: this.showTrackedOrders,
       sdkEnabled: this.sdkEnabled,
+      paperMode: this.paperMode,
+      authStatus: this.sdkEnabled && !this.paperMode ? this.sdk.getAuthStatus() : null,
       gridManager: this.gridManager,
       refreshInterval: this.refreshInterval,
+      orderBookStatus: this.orderBookStream ? this.orderBookStream.getStatus() : null,
+      bookChanges: this.orderBookState.getRecentChanges(this.currentView),
+      priceGroupSize: this.priceGroupSize,
       interactionMode: this.interactionMode,
       isInteractionMode: this.interactionMode !== null,
       selectedOrderData: this.selectedOrderData,
@@ -201,16 +337,30 @@ class TradingDashboard {
       priceAdjustment: this.priceAdjustment,
       submitMessage: this.submitMessage,
       autoClearEnabled: this.autoClearEnabled,
+      orderTtlSeconds: this.orderTtlSeconds,
+      inputVolumeType: this.inputVolumeType,
+      tradingRules: this.tradingRules,
+      collateral: this.collateral,
+      feeSchedule: this.feeSchedule,
+      approvalStatus: this.approvalStatus,
+      estimateFee: this.estimateFee.bind(this),
+      getAdjustedPrice: this.getAdjustedPrice.bind(this),
       selectOrderBookItem: this.selectOrderBookItem.bind(this),
+      estimateTakeFill: this.estimateTakeFill.bind(this),
+      getInputShares: this.getInputShares.bind(this),
       selectMyOrder: this.selectMyOrder.bind(this),
-      networkMonitor: networkMonitor
+      networkMonitor: networkMonitor,
+      rateLimiter: rateLimiter
     };
   }
 
   /**
    * 选择订单簿项目
+   * @param {string} side - 'ask' 或 'bid'
+   * @param {Object} order - 选中的档位
+   * @param {boolean} take - true=吃单（按该档位为最差价市价成交），false=同价挂单
    */
-  selectOrderBookItem(side, order) {
+  selectOrderBookItem(side, order, take = false) {
     if (!this.sdkEnabled) {
       this.showMessage('⚠️  请先配置.env文件（PRIVATE_KEY, MAKER_ADDRESS, AUTHORIZATION_TOKEN）', 3000);
       return;
@@ -220,12 +370,105 @@ class TradingDashboard {
     this.interactionMode = 'inputShares';
     this.inputBuffer = '';
     this.priceAdjustment = 0;
-    this.selectedOrderData = { side, order };
+    this.selectedOrderData = { side, order, take };
+    this.inputVolumeType = VolumeType.SHARES;
     // 反向订单默认关闭
     this.autoClearEnabled = false;
     this.render();
   }
 
+  /**
+   * 吃单：对当前选中的订单簿档位发起市价单
+   * 选中卖单档位 = 买入吃掉卖盘，选中买单档位 = 卖出吃掉买盘
+   */
+  takeSelectedOrderBookItem() {
+    const selected = this.gridManager.getCurrentSelection();
+    if (!selected || !selected.type.startsWith('orderbook')) {
+      this.showMessage('⚠️  请先在订单簿中选择要吃单的档位', 2000);
+      return;
+    }
+    this.selectOrderBookItem(selected.data.side, selected.data.order, true);
+  }
+
+  /**
+   * 预估吃单成交（以选中档位价格为最差价）
+   * @param {number|string} size - 数量，金额模式下为USDT金额
+   * @param {string} [volumeType] - VolumeType.SHARES 或 VolumeType.AMOUNT
+   * @returns {Object} priceMarketOrder 结果，失败时返回 { error }
+   */
+  estimateTakeFill(size, volumeType = VolumeType.SHARES) {
+    const book = this.orderBooks[this.currentView];
+    if (!book || !this.selectedOrderData) {
+      return { error: '订单簿数据不可用' };
+    }
+
+    const isAmount = volumeType === VolumeType.AMOUNT;
+    try {
+      return priceMarketOrder({
+        orderBook: book,
+        side: this.selectedOrderData.side === 'ask' ? Side.BUY : Side.SELL,
+        shares: isAmount ? undefined : size,
+        amount: isAmount ? size : undefined,
+        priceLimit: this.selectedOrderData.order.price,
+        tickSize: this.tradingRules.tickSize
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * 估算当前订单的手续费（买入另付，卖出从所得中扣除）
+   * @param {number} amount - 订单成交额（计价币种）
+   * @returns {Object} { fee, net, feeRateBps }
+   */
+  estimateFee(amount) {
+    const { side, take } = this.selectedOrderData;
+    const isBuy = take ? side === 'ask' : side === 'bid';
+    const { feeRateBps } = this.feeSchedule;
+    return {
+      ...estimateOrderFee({ side: isBuy ? Side.BUY : Side.SELL, amount, feeRateBps }),
+      feeRateBps
+    };
+  }
+
+  /**
+   * 当前挂单价格：选中档位价格 + 调整的 tick 数，对齐到话题的价格步长
+   * @returns {number} 价格（0-1）
+   */
+  getAdjustedPrice() {
+    const { tickSize } = this.tradingRules;
+    return snapPriceToTick(this.selectedOrderData.order.price + this.priceAdjustment * tickSize, tickSize);
+  }
+
+  /**
+   * 当前输入对应的shares数量
+   * 数量模式直接取输入值；金额模式下挂单按限价向下取整换算，吃单按盘口深度预估
+   * @returns {number} shares 数量，输入无效时为 0
+   */
+  getInputShares() {
+    const value = parseFloat(this.inputBuffer);
+    if (isNaN(value) || value <= 0 || !this.selectedOrderData) {
+      return 0;
+    }
+
+    if (this.inputVolumeType !== VolumeType.AMOUNT) {
+      return value;
+    }
+
+    if (this.selectedOrderData.take) {
+      const fill = this.estimateTakeFill(this.inputBuffer, VolumeType.AMOUNT);
+      return fill.error ? 0 : fill.shares;
+    }
+
+    const adjustedPrice = this.getAdjustedPrice();
+    try {
+      return parseFloat(sharesForAmount(this.inputBuffer, (adjustedPrice * 100).toFixed(2)));
+    } catch (error) {
+      return 0;
+    }
+  }
+
   /**
    * 选择我的订单
    */
@@ -306,6 +549,16 @@ class TradingDashboard {
         return;
       }
 
+      if (this.interactionMode === 'confirmCancelAll') {
+        this.handleCancelAllConfirmMode(str, key);
+        return;
+      }
+
+      // 全部撤单进行中，忽略按键直到完成
+      if (this.interactionMode === 'cancellingAll') {
+        return;
+      }
+
       if (this.interactionMode === 'askAutoClear') {
         this.handleAutoClearMode(str, key);
         return;
@@ -358,7 +611,17 @@ class TradingDashboard {
 
     // R键 - 手动刷新
     if (key.name === 'r') {
-      this.refresh();
+      this.refresh({ orderBook: true });
+    }
+
+    // T键 - 吃单（以选中档位为最差价市价成交）
+    if (str === 't' || str === 'T') {
+      this.takeSelectedOrderBookItem();
+    }
+
+    // X键 - 撤销本Topic全部订单
+    if (str === 'x' || str === 'X') {
+      this.promptCancelAll();
     }
 
     // H键 - 切换显示历史盈亏
@@ -370,6 +633,11 @@ class TradingDashboard {
     if (str === 'a' || str === 'A') {
       this.toggleTrackedOrders();
     }
+
+    // G键 - 切换订单簿价格合并区间
+    if (str === 'g' || str === 'G') {
+      this.togglePriceGrouping();
+    }
   }
 
   /**
@@ -389,7 +657,7 @@ class TradingDashboard {
    * 处理ESC键
    */
   handleEscape() {
-    if (this.interactionMode === 'submitting') return;
+    if (this.interactionMode === 'submitting' || this.interactionMode === 'cancellingAll') return;
 
     if (this.interactionMode === 'confirm') {
       this.interactionMode = 'inputShares';
@@ -398,7 +666,7 @@ class TradingDashboard {
       this.interactionMode = null;
       this.selectedOrderData = null;
       this.render();
-    } else if (this.interactionMode === 'confirmCancel' || this.interactionMode === 'askAutoClear') {
+    } else if (this.interactionMode === 'confirmCancel' || this.interactionMode === 'confirmCancelAll' || this.interactionMode === 'askAutoClear') {
       this.interactionMode = null;
       this.selectedOrderData = null;
       this.submitMessage = '';
@@ -411,9 +679,35 @@ class TradingDashboard {
    */
   handleInputMode(str, key) {
     if (key.name === 'return') {
-      const shares = parseFloat(this.inputBuffer);
-      if (isNaN(shares) || shares <= 0) {
-        this.showMessage('❌ 请输入有效的数量（大于0的数字）', 2000);
+      const isAmount = this.inputVolumeType === VolumeType.AMOUNT;
+      const value = parseFloat(this.inputBuffer);
+      if (isNaN(value) || value <= 0) {
+        this.showMessage(isAmount ? '❌ 请输入有效的金额（大于0的数字）' : '❌ 请输入有效的数量（大于0的数字）', 2000);
+        return;
+      }
+      if (this.selectedOrderData.take) {
+        const fill = this.estimateTakeFill(this.inputBuffer, this.inputVolumeType);
+        if (fill.error) {
+          this.showMessage(`❌ ${fill.error}`, 3000);
+          return;
+        }
+      } else if (isAmount && this.getInputShares() <= 0) {
+        this.showMessage('❌ 金额太小，按当前价格买不到 0.01 shares', 2000);
+        return;
+      }
+      // 签名前按话题交易规则检查价格步长和最小数量/金额
+      try {
+        const limitPrice = this.selectedOrderData.take
+          ? snapPriceToTick(this.selectedOrderData.order.price, this.tradingRules.tickSize)
+          : this.getAdjustedPrice();
+        validateOrderRules({
+          limitPrice: (limitPrice * 100).toFixed(2),
+          shares: String(this.getInputShares()),
+          amount: isAmount ? this.inputBuffer : undefined,
+          rules: this.tradingRules
+        });
+      } catch (error) {
+        this.showMessage(`❌ ${error.message}`, 3000);
         return;
       }
       this.interactionMode = 'confirm';
@@ -432,30 +726,51 @@ class TradingDashboard {
       return;
     }
 
-    // Tab键 - 切换自动清理选项（仅对买单有效）
+    // Tab键 - 切换自动清理选项（仅对买单挂单有效）
     if (key.name === 'tab') {
-      if (this.selectedOrderData.side === 'bid' && this.autoClearManager) {
+      if (this.selectedOrderData.side === 'bid' && !this.selectedOrderData.take && this.autoClearManager) {
         this.autoClearEnabled = !this.autoClearEnabled;
         this.render();
       }
       return;
     }
 
-    // 上下键调整价格
+    // 上下键调整价格（吃单以选中档位为最差价，不可调整）
     if (key.name === 'up' || key.name === 'down') {
+      if (this.selectedOrderData.take) return;
+      const { tickSize } = this.tradingRules;
       const adjustment = key.name === 'up' ? 1 : -1;
       const newAdjustment = this.priceAdjustment + adjustment;
       const basePrice = this.selectedOrderData.order.price;
-      const newPrice = basePrice + (newAdjustment * 0.001);
+      const newPrice = snapPriceToTick(basePrice + newAdjustment * tickSize, tickSize);
 
-      if (newPrice >= 0.001 && newPrice <= 0.999) {
+      if (newPrice >= tickSize - 1e-9 && newPrice <= 1 - tickSize + 1e-9) {
         this.priceAdjustment = newAdjustment;
         this.render();
       }
       return;
     }
 
-    // M键 - 填充最大可下单数量
+    // E键 - 切换订单有效期
+    if (str === 'e' || str === 'E') {
+      if (this.selectedOrderData.take) return;
+      const currentIndex = this.ORDER_TTL_PRESETS.indexOf(this.orderTtlSeconds);
+      const nextIndex = (currentIndex + 1) % this.ORDER_TTL_PRESETS.length;
+      this.orderTtlSeconds = this.ORDER_TTL_PRESETS[nextIndex];
+      this.render();
+      return;
+    }
+
+    // U键 - 切换按数量/按USDT金额输入（仅买入）
+    if (str === 'u' || str === 'U') {
+      if (!this.panels.input.isBuyAction(this.selectedOrderData)) return;
+      this.inputVolumeType = this.inputVolumeType === VolumeType.AMOUNT ? VolumeType.SHARES : VolumeType.AMOUNT;
+      this.inputBuffer = '';
+      this.render();
+      return;
+    }
+
+    // M键 - 填充最大可下单数量（金额模式下为可用USDT）
     if (str === 'm' || str === 'M') {
       const maxAmount = this.calculateMaxAmount();
       if (maxAmount > 0) {
@@ -551,6 +866,78 @@ class TradingDashboard {
     }
   }
 
+  /**
+   * 询问是否撤销本Topic全部订单
+   */
+  promptCancelAll() {
+    if (!this.sdkEnabled) {
+      this.showMessage('⚠️  请先配置.env文件以使用撤单功能', 3000);
+      return;
+    }
+
+    const orderCount = this.openOrders && this.openOrders.list ? this.openOrders.list.length : 0;
+    if (orderCount === 0) {
+      this.showMessage('暂无未完成订单', 2000);
+      return;
+    }
+
+    this.submitMessage = `🤔 确认撤销本Topic全部未完成订单 (${orderCount}个)? [Y/N]`;
+    this.interactionMode = 'confirmCancelAll';
+    this.render();
+  }
+
+  /**
+   * 处理全部撤单确认模式
+   */
+  handleCancelAllConfirmMode(str, key) {
+    const input = str ? str.toLowerCase() : '';
+
+    if (input === 'y') {
+      this.executeCancelAll();
+    } else if (input === 'n' || key.name === 'escape') {
+      this.interactionMode = null;
+      this.submitMessage = '';
+      this.render();
+    }
+  }
+
+  /**
+   * 执行全部撤单
+   */
+  async executeCancelAll() {
+    // 切到忙碌状态，避免重复按 Y 再发起一轮撤单
+    this.interactionMode = 'cancellingAll';
+    this.submitMessage = '📤 正在撤销全部订单...';
+    this.render();
+
+    try {
+      const report = await this.sdk.cancelAll({ topicId: this.topicId });
+
+      // 记录手动取消的订单ID，避免发送 Telegram 通知
+      report.results.forEach(result => {
+        const order = report.orders[result.index];
+        if (result.ok && order.orderId) {
+          this.manuallyCancelledOrders.add(order.orderId);
+        }
+      });
+
+      this.interactionMode = null;
+      if (report.failed > 0) {
+        const firstError = report.results.find(r => !r.ok).error;
+        this.showMessage(`⚠️  已撤销 ${report.succeeded}/${report.total} 个订单，失败 ${report.failed} 个: ${firstError}`, 5000);
+      } else {
+        this.showMessage(`✅ 已撤销全部 ${report.succeeded} 个订单`, 3000);
+      }
+      this.playBeep();
+
+      await this.refresh();
+
+    } catch (error) {
+      this.interactionMode = null;
+      this.showMessage(`❌ 全部撤单失败: ${error.message}`, 3000);
+    }
+  }
+
   /**
    * 处理自动清理询问模式
    */
@@ -586,8 +973,8 @@ class TradingDashboard {
     }
 
     try {
-      const adjustedPrice = this.selectedOrderData.order.price + (this.priceAdjustment * 0.001);
-      const shares = parseFloat(this.inputBuffer);
+      const adjustedPrice = this.getAdjustedPrice();
+      const shares = this.getInputShares();
 
       await this.autoClearManager.trackOrder({
         orderId: this.lastSubmittedOrderId,
@@ -633,11 +1020,13 @@ class TradingDashboard {
   }
 
   /**
-   * 计算最大可下单数量（委托给 InputPanel）
+   * 计算最大可下单数量（委托给 InputPanel），金额模式下为最大可用USDT
    */
   calculateMaxAmount() {
     const context = this.getRenderContext();
-    return this.panels.input.calculateMaxAmount(context);
+    return this.inputVolumeType === VolumeType.AMOUNT
+      ? this.panels.input.calculateMaxSpend(context)
+      : this.panels.input.calculateMaxAmount(context);
   }
 
   /**
@@ -658,8 +1047,18 @@ class TradingDashboard {
     this.render();
 
     try {
+      // 先用本地账本立即显示，再增量同步新成交
+      if (!this.paperMode) {
+        const cached = await this.sdk.getProfitLoss({ topicId: this.topicId, sync: false, costMethod: config.profitLoss.costMethod });
+        if (cached.lastSyncAt) {
+          this.profitLoss = { ...cached, syncing: true };
+          this.render();
+        }
+      }
+
       const result = await this.sdk.getProfitLoss({
-        topicId: this.topicId
+        topicId: this.topicId,
+        costMethod: config.profitLoss.costMethod
       });
 
       this.profitLoss = result;
@@ -667,7 +1066,7 @@ class TradingDashboard {
       this.render();
 
     } catch (error) {
-      console.error('获取历史盈亏失败:', error.message);
+      this.logger.error('获取历史盈亏失败', { error });
       this.profitLoss = { error: error.message };
       this.isLoadingProfitLoss = false;
       this.render();
@@ -689,33 +1088,46 @@ class TradingDashboard {
     this.submitMessage = '📤 提交订单中...';
     this.render();
 
+    if (this.selectedOrderData.take) {
+      return this.submitTakeOrder();
+    }
+
     try {
-      const adjustedPrice = this.selectedOrderData.order.price + (this.priceAdjustment * 0.001);
+      const adjustedPrice = this.getAdjustedPrice();
+      const isAmount = this.inputVolumeType === VolumeType.AMOUNT;
       const orderParams = {
         topicId: this.topicId,
         position: this.currentView,
-        limitPrice: (adjustedPrice * 100).toFixed(2),
-        shares: this.inputBuffer
+        limitPrice: (adjustedPrice * 100).toFixed(2)
       };
 
+      // 设置了有效期则下限时单（GTD），否则长期有效
+      if (this.orderTtlSeconds > 0) {
+        orderParams.ttlSeconds = this.orderTtlSeconds;
+      }
+
       let result;
-      if (this.selectedOrderData.side === 'bid') {
-        result = await this.sdk.buyByTopic(orderParams);
+      if (isAmount) {
+        // 按USDT金额买入，shares 由 SDK 按限价换算
+        result = await this.sdk.buyWithAmount({ ...orderParams, amount: this.inputBuffer });
+      } else if (this.selectedOrderData.side === 'bid') {
+        result = await this.sdk.buyByTopic({ ...orderParams, shares: this.inputBuffer });
       } else {
-        result = await this.sdk.sellByTopic(orderParams);
+        result = await this.sdk.sellByTopic({ ...orderParams, shares: this.inputBuffer });
       }
 
       const orderId = result.result?.orderData?.orderId || result.orderId;
       this.lastSubmittedOrderId = orderId;
 
       const pricePercent = (adjustedPrice * 100).toFixed(2);
-      const shares = parseFloat(this.inputBuffer);
+      const shares = parseFloat(isAmount ? result.shares : this.inputBuffer);
       const actionLabel = this.selectedOrderData.side === 'bid' ? 'BUY' : 'SELL';
 
       // 如果是买单且启用了自动清理，立即启用追踪
       if (this.selectedOrderData.side === 'bid' && this.autoClearManager && orderId && this.autoClearEnabled) {
         await this.autoClearManager.trackOrder({
           orderId: orderId,
+          orderHash: result.orderHash,
           topicId: this.topicId,
           position: this.currentView,
           side: 1, // BUY
@@ -740,6 +1152,8 @@ class TradingDashboard {
       }, 3000);
 
     } catch (error) {
+      if (this.handleUnknownSubmitOutcome(error)) return;
+
       this.submitMessage = `❌ 订单提交失败: ${error.message}`;
       this.interactionMode = 'confirm';
       this.render();
@@ -751,16 +1165,112 @@ class TradingDashboard {
     }
   }
 
+  /**
+   * 处理结果未知的提交（重试耗尽仍无法确认交易所是否收到订单）
+   * 不回到确认界面，避免重复提交
+   * @returns {boolean} 是否已处理
+   */
+  handleUnknownSubmitOutcome(error) {
+    if (error.outcome !== SubmitOutcome.UNKNOWN) {
+      return false;
+    }
+
+    this.submitMessage = '⚠️  订单状态未知（网络异常），请在"我的订单"中确认后再决定是否重新下单';
+    this.render();
+
+    setTimeout(() => {
+      this.interactionMode = null;
+      this.selectedOrderData = null;
+      this.submitMessage = '';
+      this.refresh();
+    }, 5000);
+    return true;
+  }
+
+  /**
+   * 提交吃单（市价单，以选中档位价格为最差成交价）
+   */
+  async submitTakeOrder() {
+    try {
+      const { side, order } = this.selectedOrderData;
+      const orderSide = side === 'ask' ? Side.BUY : Side.SELL;
+      const actionLabel = orderSide === Side.BUY ? 'BUY' : 'SELL';
+      const isAmount = this.inputVolumeType === VolumeType.AMOUNT;
+
+      await this.sdk.createMarketOrder({
+        topicId: this.topicId,
+        position: this.currentView,
+        side: orderSide,
+        shares: isAmount ? undefined : this.inputBuffer,
+        amount: isAmount ? this.inputBuffer : undefined,
+        priceLimit: order.price
+      });
+
+      const sizeLabel = isAmount
+        ? `${parseFloat(this.inputBuffer).toFixed(2)} ${this.collateral.symbol}`
+        : `x${parseFloat(this.inputBuffer).toFixed(2)}`;
+      this.submitMessage = `✅ 吃单提交成功！${actionLabel} ${this.currentView} ${sizeLabel} (最差价 ${order.price.toFixed(4)})`;
+      this.playBeep();
+
+      await this.refresh();
+
+      setTimeout(() => {
+        this.interactionMode = null;
+        this.selectedOrderData = null;
+        this.submitMessage = '';
+        this.render();
+      }, 3000);
+
+    } catch (error) {
+      if (this.handleUnknownSubmitOutcome(error)) return;
+
+      this.submitMessage = `❌ 吃单失败: ${error.message}`;
+      this.interactionMode = 'confirm';
+      this.render();
+
+      setTimeout(() => {
+        this.submitMessage = '';
+        this.render();
+      }, 3000);
+    }
+  }
+
   /**
    * 切换YES/NO视图
    */
   toggleView() {
     this.currentView = this.currentView === 'YES' ? 'NO' : 'YES';
-    // 重置光标到左上角
-    this.gridManager.resetCursor();
+    this.resetOrderBookCursor();
     this.render();
   }
 
+  /**
+   * 切换订单簿价格合并区间（不合并 → 0.001 → 0.005 → 0.01）
+   */
+  togglePriceGrouping() {
+    const currentIndex = this.PRICE_GROUP_PRESETS.indexOf(this.priceGroupSize);
+    const nextIndex = (currentIndex + 1) % this.PRICE_GROUP_PRESETS.length;
+    this.priceGroupSize = this.PRICE_GROUP_PRESETS[nextIndex];
+    // 合并后行数变化，原光标行已无意义
+    this.resetOrderBookCursor();
+    this.showMessage(this.priceGroupSize > 0 ? `📊 盘口按 ${this.priceGroupSize} 合并` : '📊 盘口不合并', 1500);
+  }
+
+  /**
+   * 当前订单簿（合并后）的卖单、买单行数；卖单行数即买卖分界在网格中的行号
+   */
+  getOrderBookRowCounts() {
+    const levels = this.panels.orderBook.groupLevels(this.orderBooks[this.currentView], this.priceGroupSize);
+    return { asks: levels.asks.length, bids: levels.bids.length };
+  }
+
+  /**
+   * 光标移到订单簿最优卖价（没有卖单时为最优买价）
+   */
+  resetOrderBookCursor() {
+    this.gridManager.setCursorPosition(0, Math.max(0, this.getOrderBookRowCounts().asks - 1));
+  }
+
   /**
    * 清屏
    */
@@ -783,7 +1293,7 @@ class TradingDashboard {
     const beepCommand = 'powershell.exe -c "[console]::beep(3000,100); [console]::beep(5000,200); [console]::beep(3000,100)"';
     exec(beepCommand, (error) => {
       if (error) {
-        console.error('提示音播放失败:', error.message);
+        this.logger.warn('提示音播放失败', { error });
       }
     });
   }
@@ -871,12 +1381,12 @@ class TradingDashboard {
         if (isFilled) {
           // 订单完全成交，总是发送通知
           this.telegramNotifier.notifyOrderFilled(eventData).catch(err => {
-            console.error('发送 Telegram 通知失败:', err.message);
+            this.logger.error('发送 Telegram 通知失败', { error: err });
           });
         } else if (!isManuallyCancelled) {
           // 订单被移除但不是用户手动取消的，发送通知
           this.telegramNotifier.notifyOrderRemoved(eventData).catch(err => {
-            console.error('发送 Telegram 通知失败:', err.message);
+            this.logger.error('发送 Telegram 通知失败', { error: err });
           });
         }
 
@@ -1047,16 +1557,79 @@ class TradingDashboard {
   }
 
   /**
-   * 刷新订单簿数据
+   * 处理盘口更新（推送或轮询，见 OrderBookStream）
+   * @param {Object} update - { type, book, books, source }
    */
-  async refreshOrderBook() {
-    try {
-      const books = await this.orderBookAPI.getBothOrderBooks();
-      this.orderBooks.YES = books.YES;
-      this.orderBooks.NO = books.NO;
-    } catch (error) {
-      console.error('刷新订单簿失败:', error.message);
+  handleOrderBookUpdate({ type, book }) {
+    const hadBook = !!this.orderBooks[type];
+    const previousRows = this.getOrderBookRowCounts();
+
+    this.orderBooks[type] = book;
+
+    // 卖单行数变化会让整列错位：光标在订单簿时随之平移，停在相对买卖分界的同一位置
+    const cursor = this.gridManager.getCursorPosition();
+    if (type === this.currentView && cursor.x === 0) {
+      if (!hadBook) {
+        this.resetOrderBookCursor();
+      } else {
+        const rows = this.getOrderBookRowCounts();
+        const y = cursor.y + rows.asks - previousRows.asks;
+        this.gridManager.setCursorPosition(0, Math.max(0, Math.min(rows.asks + rows.bids - 1, y)));
+      }
+    }
+
+    const diff = this.orderBookState.apply(type, book);
+    if (diff.levels.length > 0 || diff.trades.length > 0) {
+      // 高亮到期后重绘一次，盘口没有新推送时也能恢复原样
+      clearTimeout(this.flashTimer);
+      this.flashTimer = setTimeout(() => this.scheduleRender(), this.orderBookState.flashDuration);
+    }
+
+    // 模拟盘：用最新盘口撮合挂单
+    if (this.paperMode && this.sdk) {
+      this.sdk.paperExchange.processOrderBooks(this.topicId, { [type]: book });
+    }
+
+    if (this.autoClearManager) {
+      this.autoClearManager.handleOrderBook(this.topicId, type, book);
     }
+
+    this.scheduleRender();
+  }
+
+  /**
+   * 记录盘口档位变化（只记录靠近最优价的档位，避免深处挂单刷屏）
+   */
+  recordMarketLevel(level) {
+    const { enabled, depth, minAmount } = config.orderbook.activity;
+    if (!enabled || level.depth >= depth || Math.abs(level.delta) < minAmount) return;
+
+    this.addEvent('market_level', level);
+  }
+
+  /**
+   * 记录从盘口消耗推断的成交
+   */
+  recordMarketTrade(trade) {
+    const { enabled, minAmount } = config.orderbook.activity;
+    if (!enabled || trade.amount < minAmount) return;
+
+    this.addEvent('market_trade', trade);
+  }
+
+  /**
+   * 合并短时间内的多次重绘（推送频率可能远高于屏幕需要的刷新率）
+   */
+  scheduleRender() {
+    // 首次刷新完成前由 start() 统一渲染
+    if (this.renderScheduled || !this.timer) return;
+    this.renderScheduled = true;
+    setTimeout(() => {
+      this.renderScheduled = false;
+      if (this.isRunning) {
+        this.render();
+      }
+    }, 100);
   }
 
   /**
@@ -1066,7 +1639,8 @@ class TradingDashboard {
     try {
       const inventory = await this.inventoryManager.getFullInventory(
         this.accountAddress,
-        this.tokenIds
+        this.tokenIds,
+        this.collateral.decimals === null ? [] : [this.collateral]
       );
 
       const previousLength = this.eventHistory.length;
@@ -1078,7 +1652,7 @@ class TradingDashboard {
 
       this.previousInventory = inventory;
     } catch (error) {
-      console.error('刷新余额失败:', error.message);
+      this.logger.error('刷新余额失败', { error });
     }
   }
 
@@ -1089,10 +1663,12 @@ class TradingDashboard {
     if (!this.sdkEnabled) return;
 
     try {
-      const result = await this.sdk.getOpenOrders({
-        topicId: this.topicId,
-        limit: 20
-      });
+      // 翻页取全部挂单（挂单多的账户不再截断）
+      const list = [];
+      for await (const order of this.sdk.iterateOrders({ topicId: this.topicId, queryType: OrderQueryType.OPEN })) {
+        list.push(order);
+      }
+      const result = { list, total: list.length };
 
       const previousLength = this.eventHistory.length;
       this.detectOrderChanges(result);
@@ -1119,20 +1695,28 @@ class TradingDashboard {
       }
 
     } catch (error) {
-      console.error('刷新订单失败:', error.message);
+      this.logger.error('刷新订单失败', { error });
       this.openOrders = { error: error.message, list: [], total: 0 };
     }
   }
 
   /**
    * 刷新所有数据
+   * @param {Object} [options]
+   * @param {boolean} [options.orderBook=false] - 同时通过 REST 强制拉取一次盘口（手动刷新时使用）
    */
-  async refresh() {
+  async refresh(options = {}) {
+    // 盘口平时由 orderBookStream 推送/轮询更新，这里默认只刷新余额和订单
     const refreshTasks = [
-      this.refreshOrderBook(),
       this.refreshInventory()
     ];
 
+    if (options.orderBook && this.orderBookStream) {
+      refreshTasks.push(this.orderBookStream.poll().catch(error => {
+        this.logger.error('刷新盘口失败', { error });
+      }));
+    }
+
     if (this.sdkEnabled) {
       refreshTasks.push(this.refreshOpenOrders());
     }
@@ -1151,6 +1735,7 @@ class TradingDashboard {
 
     console.log('正在加载交易看板数据...');
 
+    await this.orderBookStream.start();
     await this.refresh();
 
     this.timer = setInterval(() => {
@@ -1166,6 +1751,10 @@ class TradingDashboard {
     if (this.timer) {
       clearInterval(this.timer);
     }
+    if (this.orderBookStream) {
+      this.orderBookStream.stop();
+    }
+    clearTimeout(this.flashTimer);
     if (this.messageTimer) {
       clearTimeout(this.messageTimer);
     }
@@ -1176,6 +1765,71 @@ class TradingDashboard {
   }
 }
 
+/**
+ * 在终端中读取密码（不回显）
+ */
+function promptPassphrase(question) {
+  return new Promise((resolve) => {
+    // 输出先经过这个流转发到 stdout，打印提示后静音，屏蔽输入回显
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) {
+          process.stdout.write(chunk, encoding);
+        }
+        callback();
+      }
+    });
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true
+    });
+
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      process.stdin.resume();
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * 根据 .env 配置加载签名后端
+ * SIGNER_TYPE: privateKey（默认，读取 PRIVATE_KEY）| keystore（KEYSTORE_PATH + 启动时输入密码）| jsonrpc（EXTERNAL_SIGNER_URL + SIGNER_ADDRESS）
+ * @returns {Promise<Object|null>} 签名后端，未配置时返回 null
+ */
+async function loadSignerFromEnv() {
+  const type = process.env.SIGNER_TYPE || 'privateKey';
+
+  if (type === 'privateKey') {
+    if (!process.env.PRIVATE_KEY) return null;
+    return createSigner({ type, privateKey: process.env.PRIVATE_KEY });
+  }
+
+  if (type === 'keystore') {
+    const MAX_ATTEMPTS = 3;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const passphrase = await promptPassphrase(`请输入 keystore 密码 (${process.env.KEYSTORE_PATH}): `);
+      try {
+        return await createSigner({ type, keystorePath: process.env.KEYSTORE_PATH, passphrase });
+      } catch (error) {
+        console.warn(`⚠️  ${error.message} (${attempt}/${MAX_ATTEMPTS})`);
+      }
+    }
+    throw new Error('keystore 解锁失败');
+  }
+
+  return createSigner({
+    type,
+    url: process.env.EXTERNAL_SIGNER_URL,
+    address: process.env.SIGNER_ADDRESS
+  });
+}
+
 // 启动看板
 async function main() {
   const topicId = process.argv[2] || '789';
@@ -1188,7 +1842,14 @@ async function main() {
   console.log('='.repeat(85));
   console.log();
 
-  const dashboard = new TradingDashboard(topicId);
+  let signer = null;
+  try {
+    signer = await loadSignerFromEnv();
+  } catch (error) {
+    console.warn('⚠️  签名后端加载失败，下单功能将不可用:', error.message);
+  }
+
+  const dashboard = new TradingDashboard(topicId, { signer });
 
   process.on('SIGINT', () => {
     dashboard.stop();
@@ -1206,3 +1867,4 @@ if (require.main === module) {
 }
 
 module.exports = TradingDashboard;
+module.exports.loadSignerFromEnv = loadSignerFromEnv;